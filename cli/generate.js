@@ -0,0 +1,256 @@
+// cli/generate.js
+// Генерация печатных листов из командной строки (Node, без браузера)
+
+import { readFileSync, writeFileSync, mkdirSync } from "node:fs";
+import { basename, extname, join } from "node:path";
+import { parseArgs } from "node:util";
+
+/**
+ * Пакетная генерация листов: настройки экрана генератора из JSON-файла,
+ * seed и форматы вывода - из аргументов.
+ *
+ * ИСПОЛЬЗОВАНИЕ:
+ * node cli/generate.js settings.json --seed 12345 --format html,csv --out sheets/
+ * node cli/generate.js term.json --sheets 12 --answers --lang ru
+ *
+ * ФАЙЛ НАСТРОЕК - объект settings экрана генератора (examplesCount, actionsCount,
+ * digitCount, blocks, worksheetTitle, inWords…) или массив таких объектов
+ * (каждый - отдельная серия листов). Необязательные поля записи:
+ * - name     - начало имён файлов (по умолчанию имя файла настроек)
+ * - seed     - seed первого листа серии (--seed важнее)
+ * - language - язык листа (--lang важнее)
+ *
+ * Листы серии получают seed, seed+1, … - любой лист можно повторить
+ * в браузере по коду на листе. Без seed каждый лист получает новый.
+ * Файлы: <out>/<name>-<seed>.<html|csv|txt|json>
+ */
+
+const FORMATS = ['html', 'csv', 'txt', 'json'];
+const LANGUAGES = ['uk', 'ru', 'en', 'es'];
+
+const USAGE = `Использование: node cli/generate.js <settings.json> [опции]
+
+  --seed <seed>       seed первого листа (число или строка)
+  --sheets <n>        листов на каждую запись настроек (по умолчанию 1)
+  --format <список>   ${FORMATS.join(', ')} через запятую (по умолчанию html)
+  --out <папка>       куда писать файлы (по умолчанию текущая)
+  --lang <язык>       ${LANGUAGES.join(', ')} (по умолчанию uk)
+  --answers           лист ответов в html, ответы в txt
+  --quiet             без логов генератора
+  --help              эта справка`;
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      seed: { type: 'string' },
+      sheets: { type: 'string', default: '1' },
+      format: { type: 'string', default: 'html' },
+      out: { type: 'string', default: '.' },
+      lang: { type: 'string' },
+      answers: { type: 'boolean', default: false },
+      quiet: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+} catch (error) {
+  console.error(`❌ ${error.message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+const { values: options, positionals } = args;
+
+if (options.help || positionals.length !== 1) {
+  console.log(USAGE);
+  process.exit(options.help ? 0 : 1);
+}
+
+// Сводка CLI выводится всегда; логи модулей генератора (console.log / warn) - кроме --quiet
+const report = console.log.bind(console);
+if (options.quiet) {
+  console.log = () => {};
+  console.warn = () => {};
+}
+
+// Модули подключаются после --quiet: реестр правил логирует уже при загрузке
+const { PrintGenerator } = await import("../print/PrintGenerator.js");
+const { PrintFormatter } = await import("../print/PrintFormatter.js");
+const { SeededRandom } = await import("../core/SeededRandom.js");
+const { RuleRegistry } = await import("../core/RuleRegistry.js");
+const { getTranslations } = await import("../i18n/translations.js");
+
+try {
+  const written = run(positionals[0], options);
+  report(`✅ Записано файлов: ${written}`);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+}
+
+/**
+ * Сгенерировать все листы и записать файлы
+ *
+ * @param {string} settingsPath - Путь к JSON с настройками
+ * @param {Object} options - Разобранные аргументы
+ * @returns {number} Сколько файлов записано
+ */
+function run(settingsPath, options) {
+  const formats = parseFormats(options.format);
+  const sheets = Number(options.sheets);
+  if (!Number.isInteger(sheets) || sheets < 1) {
+    throw new Error(`--sheets должно быть целым числом от 1, получено "${options.sheets}"`);
+  }
+  if (options.lang !== undefined && !LANGUAGES.includes(options.lang)) {
+    throw new Error(`Неизвестный язык "${options.lang}" (${LANGUAGES.join(', ')})`);
+  }
+
+  const entries = readSettings(settingsPath);
+  const defaultName = basename(settingsPath, extname(settingsPath));
+  const styles = formats.includes('html')
+    ? readFileSync(new URL("../print/print-styles.css", import.meta.url), 'utf8')
+    : null;
+
+  mkdirSync(options.out, { recursive: true });
+
+  let written = 0;
+  entries.forEach((entry, index) => {
+    const name = entry.name || (entries.length > 1 ? `${defaultName}-${index + 1}` : defaultName);
+    const language = options.lang ?? entry.language ?? 'uk';
+    if (!LANGUAGES.includes(language)) {
+      throw new Error(`${name}: неизвестный язык "${language}" (${LANGUAGES.join(', ')})`);
+    }
+
+    const baseSeed = options.seed ?? entry.seed ?? null;
+
+    for (let i = 0; i < sheets; i++) {
+      // Серия от заданного seed: seed, seed+1, …; без seed - новый на каждый лист
+      const seed = baseSeed === null || baseSeed === ''
+        ? null
+        : (SeededRandom.normalizeSeed(baseSeed) + i) >>> 0;
+
+      const sheet = generateSheet(entry, seed, name);
+      const t = getTranslations(language);
+
+      for (const format of formats) {
+        const file = join(options.out, `${name}-${sheet.seed}.${format}`);
+        writeFileSync(file, formatSheet(format, sheet, { language, t, styles, answers: options.answers }), 'utf8');
+        report(`📄 ${file}`);
+        written++;
+      }
+    }
+  });
+
+  return written;
+}
+
+/**
+ * Прочитать файл настроек: объект или массив объектов
+ */
+function readSettings(settingsPath) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(settingsPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Не удалось прочитать настройки ${settingsPath}: ${error.message}`);
+  }
+
+  const entries = Array.isArray(data) ? data : [data];
+  if (entries.length === 0 || !entries.every(entry => entry && typeof entry === 'object' && !Array.isArray(entry))) {
+    throw new Error(`${settingsPath}: ожидается объект настроек или непустой массив объектов`);
+  }
+
+  return entries;
+}
+
+/**
+ * Список форматов из --format ("html,csv")
+ */
+function parseFormats(value) {
+  const formats = [...new Set(value.split(',').map(f => f.trim().toLowerCase()).filter(Boolean))];
+  const unknown = formats.filter(f => !FORMATS.includes(f));
+
+  if (formats.length === 0 || unknown.length > 0) {
+    throw new Error(`Неизвестный формат "${unknown.join(', ') || value}" (${FORMATS.join(', ')})`);
+  }
+
+  return formats;
+}
+
+/**
+ * Сгенерировать один лист (настройки проверяет PrintGenerator)
+ *
+ * @returns {Object} { seed, settings, examples, coverage, difficulty, variety, answers }
+ */
+function generateSheet(entry, seed, name) {
+  const { name: _name, language: _language, ...settings } = entry;
+
+  let generator;
+  let examples;
+  try {
+    generator = new PrintGenerator({ ...settings, seed });
+    examples = generator.generate();
+  } catch (error) {
+    throw new Error(`${name}: ${error.message}`);
+  }
+
+  if (examples.length === 0) {
+    throw new Error(`${name}: не удалось сгенерировать ни одного примера (seed ${generator.seed})`);
+  }
+
+  return {
+    seed: generator.seed,
+    settings,
+    examples,
+    coverage: generator.coverage,
+    difficulty: generator.difficulty,
+    variety: generator.variety,
+    answers: generator.answers
+  };
+}
+
+/**
+ * Текст файла листа в нужном формате
+ * (HTML - как превью экрана генератора, со встроенными стилями печати)
+ */
+function formatSheet(format, sheet, { language, t, styles, answers }) {
+  const { settings, examples, seed } = sheet;
+
+  switch (format) {
+    case 'html':
+      return PrintFormatter.formatFullDocument(examples, {
+        showAnswers: false,
+        includeAnswersSheet: answers,
+        title: settings.worksheetTitle || t.worksheet.defaultTitle,
+        answersTitle: t.worksheet.answersTitle,
+        comment: settings.worksheetComment || '',
+        seed,
+        seedLabel: t.worksheet.seedLabel,
+        remainderLabel: t.worksheet.remainderLabel,
+        locale: language,
+        inWords: settings.inWords ?? false,
+        words: t.dictation,
+        showFormulas: true,
+        // Частичные произведения - по блокам-операциям реестра (id правила = example.operation)
+        showPartials: Object.fromEntries(
+          RuleRegistry.list()
+            .filter(rule => rule.operation)
+            .map(rule => [rule.id, settings.blocks?.[rule.id]?.showPartials ?? false])
+        ),
+        showDifficulty: true,
+        columns: 10,
+        rows: Math.ceil(examples.length / 10),
+        styles
+      });
+    case 'csv':
+      return PrintFormatter.formatToCSV(examples, { locale: language, remainderLabel: t.worksheet.remainderLabel });
+    case 'txt':
+      return PrintFormatter.formatToText(examples, {
+        showAnswers: answers,
+        locale: language,
+        remainderLabel: t.worksheet.remainderLabel
+      });
+    case 'json':
+      return JSON.stringify({ language, ...sheet }, null, 2) + '\n';
+  }
+}
@@ -0,0 +1,196 @@
+// core/DifficultyScorer.js - Оценка сложности примеров и листов
+
+import { Soroban } from "./Soroban.js";
+
+/**
+ * DifficultyScorer - сколько "стоит" пример для ученика.
+ *
+ * ФАКТОРЫ (у каждого - вес в WEIGHTS):
+ * - technique   - сумма весов техник шагов (Просто 1 … Мікс 4, см. TECHNIQUE_WEIGHTS)
+ * - beadMoves   - сколько бусин сдвигается за пример (по ходам стержней)
+ * - carries     - переносы и заёмы между стержнями (в т.ч. переход через ноль)
+ * - digits      - разрядность: самое длинное число цепочки
+ *                 (у примера-операции - цифры обоих операндов)
+ * - signChanges - смены направления: "+" после "-" и наоборот
+ *
+ * score = Σ фактор × вес, округляется до десятых.
+ * Бусины и переносы считаются по модели абакуса (Soroban.planRodStep)
+ * из ходов стержней details[].rods - так же, как их делает ученик.
+ *
+ * ИСПОЛЬЗОВАНИЕ:
+ * const difficulty = DifficultyScorer.scoreExample(example);
+ * // { score: 14.5, factors: { technique: 7, beadMoves: 12, carries: 1, digits: 2, signChanges: 1 } }
+ * const summary = DifficultyScorer.summarize(examples);
+ * const ordered = DifficultyScorer.sortByDifficulty(examples); // от лёгких к сложным
+ */
+export class DifficultyScorer {
+  /**
+   * Вес техники шага (details[].technique)
+   */
+  static TECHNIQUE_WEIGHTS = {
+    simple: 1,
+    brother: 2,
+    friend: 3,
+    mix: 4,
+    multiply: 3,
+    divide: 4
+  };
+
+  /**
+   * Вес единицы каждого фактора
+   */
+  static WEIGHTS = {
+    technique: 1,
+    beadMoves: 0.25,
+    carries: 1.5,
+    digits: 1,
+    signChanges: 0.5
+  };
+
+  /**
+   * Оценить пример
+   *
+   * @param {Object} example - Пример (PrintGenerator: steps, details, operands?)
+   * @returns {{score:number, factors:{technique:number, beadMoves:number,
+   *            carries:number, digits:number, signChanges:number}}}
+   */
+  static scoreExample(example) {
+    const factors = {
+      technique: 0,
+      beadMoves: 0,
+      carries: 0,
+      digits: this._digits(example),
+      signChanges: this._signChanges(example)
+    };
+
+    for (const detail of example.details || []) {
+      factors.technique += this.TECHNIQUE_WEIGHTS[detail.technique] ?? this.TECHNIQUE_WEIGHTS.simple;
+
+      for (const rod of detail.rods || []) {
+        const plan = Soroban.planRodStep(rod.from, rod.delta);
+        factors.beadMoves += plan.moves.reduce((sum, move) => sum + Math.abs(move.count), 0);
+        if (plan.carry !== 0) {
+          factors.carries++;
+        }
+      }
+    }
+
+    return {
+      score: this._weigh(factors),
+      factors
+    };
+  }
+
+  /**
+   * Сводка по листу: средняя, самая лёгкая и самая сложная оценка,
+   * средние значения факторов (чтобы сравнивать листы между собой)
+   *
+   * @param {Array} examples - Примеры (оценка берётся из example.difficulty или считается)
+   * @returns {Object|null} { count, average, min, max, easiestId, hardestId, factors }
+   *          или null для пустого листа
+   */
+  static summarize(examples) {
+    if (examples.length === 0) {
+      return null;
+    }
+
+    const scored = examples.map(example => ({
+      id: example.id,
+      difficulty: example.difficulty ?? this.scoreExample(example)
+    }));
+
+    let easiest = scored[0];
+    let hardest = scored[0];
+    const totals = { technique: 0, beadMoves: 0, carries: 0, digits: 0, signChanges: 0 };
+    let totalScore = 0;
+
+    for (const item of scored) {
+      if (item.difficulty.score < easiest.difficulty.score) {
+        easiest = item;
+      }
+      if (item.difficulty.score > hardest.difficulty.score) {
+        hardest = item;
+      }
+
+      totalScore += item.difficulty.score;
+      for (const key of Object.keys(totals)) {
+        totals[key] += item.difficulty.factors[key];
+      }
+    }
+
+    const average = (value) => Math.round((value / scored.length) * 10) / 10;
+
+    return {
+      count: scored.length,
+      average: average(totalScore),
+      min: easiest.difficulty.score,
+      max: hardest.difficulty.score,
+      easiestId: easiest.id,
+      hardestId: hardest.id,
+      factors: Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, average(value)]))
+    };
+  }
+
+  /**
+   * Примеры от лёгких к сложным (при равной оценке - в исходном порядке).
+   * Номера примеров переназначаются по новому порядку (1, 2, 3…)
+   *
+   * @param {Array} examples - Примеры
+   * @returns {Array} Новый массив (исходные объекты с новыми id)
+   */
+  static sortByDifficulty(examples) {
+    return examples
+      .map((example, index) => ({
+        example,
+        index,
+        score: (example.difficulty ?? this.scoreExample(example)).score
+      }))
+      .sort((a, b) => a.score - b.score || a.index - b.index)
+      .map(({ example }, index) => Object.assign(example, { id: index + 1 }));
+  }
+
+  /**
+   * Разрядность: цифры самого длинного числа цепочки (дробные тоже - это стержни),
+   * у примера-операции - сумма цифр операндов (23 × 7 → 3)
+   */
+  static _digits(example) {
+    const countDigits = (text) => String(text).replace(/\D/g, '').replace(/^0+/, '').length || 1;
+
+    if (example.operation && example.operands) {
+      return example.operands.reduce((sum, operand) => sum + countDigits(operand), 0);
+    }
+
+    const numbers = [...(example.steps || [])];
+    if (example.start) {
+      numbers.push(example.start);
+    }
+
+    return numbers.reduce((max, number) => Math.max(max, countDigits(number)), 0);
+  }
+
+  /**
+   * Смены знака между соседними шагами ("+3 -2 +4" → 2); у операций - 0
+   */
+  static _signChanges(example) {
+    if (example.operation) {
+      return 0;
+    }
+
+    let changes = 0;
+    const steps = example.steps || [];
+    for (let i = 1; i < steps.length; i++) {
+      if (steps[i].startsWith('-') !== steps[i - 1].startsWith('-')) {
+        changes++;
+      }
+    }
+    return changes;
+  }
+
+  static _weigh(factors) {
+    let score = 0;
+    for (const [key, value] of Object.entries(factors)) {
+      score += value * this.WEIGHTS[key];
+    }
+    return Math.round(score * 10) / 10;
+  }
+}
@@ -1,123 +1,348 @@
 // core/ExampleGenerator.js - Генератор примеров на основе правил
 
+import { SeededRandom } from "./SeededRandom.js";
+import { Soroban } from "./Soroban.js";
+
 export class ExampleGenerator {
-  constructor(rule) {
+  // Предохранитель перебора (на практике не достигается благодаря
+  // запоминанию тупиков: одноразрядных состояний не больше сотни)
+  static MAX_SEARCH_NODES = 200000;
+
+  /**
+   * @param {Object} rule - Правило (BaseRule или MultiDigitGenerator)
+   * @param {SeededRandom} [random] - Источник случайности (по умолчанию - от правила)
+   */
+  constructor(rule, random) {
     this.rule = rule;
+    this.random = random ?? rule.random ?? new SeededRandom();
     console.log(`⚙️ Генератор создан с правилом: ${rule.name}`);
   }
 
   /**
    * Сгенерировать один пример.
-   *  - если digitCount === 1 → одноразрядная логика (_generateSingleDigitAttempt)
+   *  - если правило строит пример само (MultiDigitGenerator, умножение, деление) →
+   *    используем его generateExample напрямую
+   *  - если digitCount === 1 → поиск с возвратом (_searchSingleDigitExample)
    *  - если digitCount > 1 и правило НЕ MultiDigitGenerator → векторная логика
-   *  - если правило MultiDigitGenerator → используем его метод напрямую
+   *
+   * Каждый шаг примера дополняется описанием техники (см. _annotateSteps).
+   *
+   * @throws {Error} Если для настроек не существует ни одной допустимой цепочки
    */
   generate() {
+    return this._annotateSteps(this._generateRaw());
+  }
+
+  /**
+   * Пример без описания шагов
+   */
+  _generateRaw() {
     const ruleName = this.rule.constructor.name;
-    const isMultiDigit = ruleName === 'MultiDigitGenerator';
     
-    // Если правило - это MultiDigitGenerator, он сам генерирует пример
-    if (isMultiDigit) {
-      console.log('🔢 ExampleGenerator: используем MultiDigitGenerator');
+    // MultiDigitGenerator и правила целых операций (умножение, деление) генерируют пример сами
+    if (typeof this.rule.generateExample === 'function') {
+      console.log(`🔢 ExampleGenerator: используем ${ruleName}.generateExample`);
       return this.rule.generateExample();
     }
     
-    // Иначе используем старую логику
     const digitCount = this.rule.config?.digitCount || 1;
-    const combineLevels = this.rule.config?.combineLevels || false;
 
-    // Сколько попыток даём генератору, чтобы подобрать валидную цепочку
-    let maxAttempts = digitCount === 1 ? 100 : (digitCount <= 3 ? 200 : 250);
+    if (digitCount === 1) {
+      return this._searchSingleDigitExample();
+    }
+
+    return this._generateVectorExample();
+  }
 
-    if (!combineLevels && digitCount > 1) {
-      maxAttempts *= 2;
+  /**
+   * Дополнить шаги техникой, формулой и ходами по стержням.
+   * Шаги, уже описанные правилом (MultiDigitGenerator), не трогаем.
+   *
+   * @param {Object} example - Пример { start, steps, answer }
+   * @returns {Object} Тот же пример с шагами
+   *          { action, fromState, toState, technique, formula, formulaKey, rods }
+   */
+  _annotateSteps(example) {
+    if (!this.rule.describeStep) {
+      return example;
     }
 
-    console.log(
-      `🎯 Генерация примера: digitCount=${digitCount}, combineLevels=${combineLevels}, попыток=${maxAttempts}`
+    example.steps = example.steps.map(step =>
+      step.technique ? step : { ...step, ...this.rule.describeStep(step.fromState, step.action) }
     );
 
-    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-      try {
-        let example;
+    return example;
+  }
 
-        if (digitCount === 1) {
-          example = this._generateSingleDigitAttempt();
-        } else {
-          example = this._generateMultiDigitAttemptVectorBased();
-        }
+  /**
+   * Одноразрядный пример: поиск с возвратом по getAvailableActions.
+   *
+   * Вместо случайных попыток строим цепочку шаг за шагом; если ветка
+   * заходит в тупик (нет действий или validateExample отклоняет итог),
+   * откатываемся и пробуем следующее действие. Порядок перебора случайный
+   * с учётом весов правила (повторы в getAvailableActions = приоритет).
+   *
+   * Квота технических шагов правила (getTechniqueQuota) соблюдается при
+   * переборе: ветки с лишними техническими шагами или без шансов набрать
+   * минимум отсекаются сразу.
+   *
+   * Запрещённые шаблоны правила (forbiddenPatterns: +4 -4, +3 +3,
+   * возврат в ноль) и итоги вне границ (totalMin-totalMax, у последнего
+   * шага - answerMin-answerMax) отсекаются на шаге, а не в конце цепочки.
+   *
+   * Тупиковые узлы запоминаются по ключу (состояние, шаг, число
+   * технических шагов; при шаблонах - и предыдущее действие), поэтому
+   * перебор конечен: либо находим цепочку, либо доказываем, что её нет
+   * ни для одной длины из [minSteps, maxSteps].
+   *
+   * Стартовое число берётся из правила (generateStartState). Если из него
+   * цепочки нет, пробуем остальные числа из диапазона старта правила.
+   *
+   * @returns {Object} Пример { start, steps, answer }
+   * @throws {Error} Если допустимой цепочки не существует
+   */
+  _searchSingleDigitExample() {
+    const lengths = this._candidateLengths();
+    const starts = this._candidateStarts();
 
-        // Если получили цепочку длиннее лимита maxSteps — обрежем и пересчитаем ответ
-        const maxStepsAllowed =
-          this.rule.config?.maxSteps ??
-          this.rule.config?.stepsCount ??
-          10;
-
-        if (example.steps.length > maxStepsAllowed) {
-          example.steps = example.steps.slice(0, maxStepsAllowed);
-          
-          // Пересчитываем финальный ответ
-          let finalState = example.start;
-          for (const step of example.steps) {
-            finalState += step.action;
-          }
-          example.answer = finalState;
+    for (const startState of starts) {
+      console.log(
+        `🎯 Поиск примера: старт=${startState}, длины=[${lengths.join(', ')}]`
+      );
+
+      for (const stepsCount of lengths) {
+        const example = this._searchChain(startState, stepsCount);
+
+        if (example) {
+          console.log(`✅ Пример найден: ${stepsCount} шагов`);
+          return example;
         }
 
-        // Валидация
+        console.warn(`⚠️ Цепочек длиной ${stepsCount} от ${startState} не существует`);
+      }
+    }
+
+    const rejections = this.rule.describePatternRejections?.() || '';
+    throw new Error(
+      `Правило "${this.rule.name}": не существует допустимой цепочки ` +
+      `длиной ${lengths.join('/')} шагов от старта ${starts.join('/')} для выбранных настроек` +
+      (rejections ? ` (отклонено шаблонами: ${rejections})` : '')
+    );
+  }
+
+  /**
+   * Стартовые числа в порядке перебора:
+   * сначала выбранное правилом, затем остальные из диапазона старта,
+   * с которых правило может начать.
+   * @returns {Array<number>}
+   */
+  _candidateStarts() {
+    const preferred = this.rule.generateStartState ? this.rule.generateStartState() : 0;
+
+    if (!this.rule.getStartRange) {
+      return [preferred];
+    }
+
+    const { minState, maxState } = this.rule.config;
+    const range = this.rule.getStartRange(minState, maxState);
+    const others = [];
+    for (let value = range.min; value <= range.max; value++) {
+      if (value !== preferred && this.rule.isStartUsable(value)) {
+        others.push(value);
+      }
+    }
+
+    return [preferred, ...others];
+  }
+
+  /**
+   * Длины цепочки в порядке перебора:
+   * сначала случайная из правила, затем остальные из диапазона.
+   * @returns {Array<number>}
+   */
+  _candidateLengths() {
+    const preferred = this.rule.generateStepsCount ? this.rule.generateStepsCount() : 3;
+    const minSteps = this.rule.config?.minSteps ?? preferred;
+    const maxSteps = this.rule.config?.maxSteps ?? preferred;
+
+    const others = [];
+    for (let n = minSteps; n <= maxSteps; n++) {
+      if (n !== preferred) {
+        others.push(n);
+      }
+    }
+
+    return [preferred, ...this._shuffle(others)];
+  }
+
+  /**
+   * Поиск с возвратом цепочки фиксированной длины
+   *
+   * @param {number} startState - Стартовое состояние
+   * @param {number} stepsCount - Длина цепочки
+   * @returns {Object|null} Пример или null, если цепочки нет
+   */
+  _searchChain(startState, stepsCount) {
+    const deadEnds = new Set();
+    const steps = [];
+    let nodes = 0;
+
+    const quota = this.rule.getTechniqueQuota
+      ? this.rule.getTechniqueQuota()
+      : { min: 0, max: Infinity };
+    // Без максимума число техник сверх минимума не важно: счётчик
+    // упирается в минимум, чтобы ключи тупиков не размножались
+    const capCount = count => Number.isFinite(quota.max) ? count : Math.min(quota.min, count);
+
+    // Шаблоны зависят от предыдущего действия - тогда оно входит в ключ тупика
+    const hasPatterns = this.rule.patternFilter ? !this.rule.patternFilter.isEmpty() : false;
+
+    const visit = (state, index, techniqueCount) => {
+      // Квота: лишние технические шаги или минимум уже не набрать
+      if (techniqueCount > quota.max || techniqueCount + (stepsCount - index) < quota.min) {
+        return null;
+      }
+
+      if (index === stepsCount) {
+        const example = {
+          start: startState,
+          steps: steps.map(step => ({ ...step })),
+          answer: state
+        };
+
         if (this.rule.validateExample && !this.rule.validateExample(example)) {
+          return null;
+        }
+        return example;
+      }
+
+      const previous = index > 0 ? steps[index - 1].action : null;
+      const key = `${state}|${index}|${techniqueCount}${hasPatterns ? `|${previous}` : ''}`;
+      if (deadEnds.has(key)) {
+        return null;
+      }
+
+      if (++nodes > ExampleGenerator.MAX_SEARCH_NODES) {
+        throw new Error(`Поиск превысил лимит ${ExampleGenerator.MAX_SEARCH_NODES} узлов`);
+      }
+
+      // Первое действие от пустого абакуса - только "+";
+      // от стартового числа можно и вычитать
+      const isFirst = index === 0 && startState === 0;
+      // Правило со своим порядком (BlendRule: блок по весу, затем действие)
+      const order = this.rule.orderActions
+        ? this.rule.orderActions(state, isFirst, 0)
+        : this._weightedOrder(this.rule.getAvailableActions(state, isFirst, 0) || []);
+
+      for (const action of order) {
+        const nextState = this.rule.applyAction(state, action);
+
+        if (this.rule.isTotalAllowed && !this.rule.isTotalAllowed(nextState, index + 1 === stepsCount)) {
           continue;
         }
 
-        console.log(`✅ Пример сгенерирован за ${attempt} попыток`);
-        return example;
-      } catch (err) {
-        if (attempt % 50 === 0) {
-          console.warn(`⚠️ Попытка ${attempt}/${maxAttempts} не удалась:`, err.message);
+        if (hasPatterns && this.rule.checkPatternStep(previous, action, nextState, index + 1 === stepsCount)) {
+          continue;
         }
+
+        const isTechnique = this.rule.isTechniqueTransition
+          ? this.rule.isTechniqueTransition(state, nextState)
+          : false;
+
+        steps.push({ action, fromState: state, toState: nextState });
+
+        const found = visit(nextState, index + 1, capCount(techniqueCount + (isTechnique ? 1 : 0)));
+        if (found) {
+          return found;
+        }
+
+        steps.pop();
       }
-    }
 
-    // Если не удалось за maxAttempts попыток - возвращаем минимальный пример
-    console.error('❌ Не удалось сгенерировать пример за отведённые попытки');
-    return this._generateFallbackExample();
+      deadEnds.add(key);
+      return null;
+    };
+
+    return visit(startState, 0, 0);
   }
 
   /**
-   * Генерация одноразрядного примера
+   * Случайный порядок перебора различных действий с учётом весов.
+   * Вес действия = сколько раз оно встречается в списке
+   * (так правила задают приоритет, например братских шагов).
+   *
+   * @param {Array<number>} available - Действия (с повторами)
+   * @returns {Array<number>} Различные действия в порядке перебора
    */
-  _generateSingleDigitAttempt() {
-    const startState = this.rule.generateStartState ? this.rule.generateStartState() : 0;
-    const stepsCount = this.rule.generateStepsCount ? this.rule.generateStepsCount() : 3;
+  _weightedOrder(available) {
+    const weights = new Map();
+    for (const action of available) {
+      weights.set(action, (weights.get(action) || 0) + 1);
+    }
 
-    let currentState = startState;
-    const steps = [];
+    const order = [];
+    let total = available.length;
 
-    for (let i = 0; i < stepsCount; i++) {
-      const isFirst = (i === 0);
-      const available = this.rule.getAvailableActions(currentState, isFirst, 0);
+    while (weights.size > 0) {
+      let roll = this.random.next() * total;
 
-      if (!available || available.length === 0) {
-        throw new Error(`Нет доступных действий на шаге ${i}, state=${currentState}`);
+      for (const [action, weight] of weights) {
+        roll -= weight;
+        if (roll < 0 || weights.size === 1) {
+          order.push(action);
+          weights.delete(action);
+          total -= weight;
+          break;
+        }
       }
+    }
 
-      const action = available[Math.floor(Math.random() * available.length)];
-      const nextState = this.rule.applyAction(currentState, action);
+    return order;
+  }
 
-      steps.push({
-        action: action,
-        fromState: currentState,
-        toState: nextState
-      });
+  /**
+   * Перемешивание массива (Фишер-Йетс) через общий источник случайности
+   * @param {Array} array
+   * @returns {Array} Новый перемешанный массив
+   */
+  _shuffle(array) {
+    const result = [...array];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = this.random.int(0, i);
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
 
-      currentState = nextState;
+  /**
+   * Многоразрядный пример без MultiDigitGenerator (векторная логика).
+   * Используется только при прямом вызове с правилом digitCount > 1.
+   */
+  _generateVectorExample() {
+    const digitCount = this.rule.config?.digitCount || 1;
+    const combineLevels = this.rule.config?.combineLevels || false;
+    const maxAttempts = combineLevels ? 250 : 500;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        const example = this._generateMultiDigitAttemptVectorBased();
+
+        if (this.rule.validateExample && !this.rule.validateExample(example)) {
+          continue;
+        }
+
+        console.log(`✅ Пример сгенерирован за ${attempt} попыток`);
+        return example;
+      } catch (err) {
+        if (attempt % 50 === 0) {
+          console.warn(`⚠️ Попытка ${attempt}/${maxAttempts} не удалась:`, err.message);
+        }
+      }
     }
 
-    return {
-      start: startState,
-      steps: steps,
-      answer: currentState
-    };
+    throw new Error(
+      `Не удалось сгенерировать ${digitCount}-разрядный пример за ${maxAttempts} попыток`
+    );
   }
 
   /**
@@ -165,7 +390,7 @@ export class ExampleGenerator {
           );
 
           if (available && available.length > 0) {
-            const action = available[Math.floor(Math.random() * available.length)];
+            const action = this.random.pick(available);
             nextStateVector[pos] = this.rule.applyAction(currentStateVector[pos], action);
           }
         }
@@ -201,7 +426,7 @@ export class ExampleGenerator {
       throw new Error('Нет доступных действий для комбинированного режима');
     }
 
-    return available[Math.floor(Math.random() * available.length)];
+    return this.random.pick(available);
   }
 
   /**
@@ -213,34 +438,48 @@ export class ExampleGenerator {
     }, 0);
   }
 
-  /**
-   * Fallback пример на случай полного провала генерации
-   */
-  _generateFallbackExample() {
-    console.warn('⚠️ Используем fallback пример');
-    return {
-      start: 0,
-      steps: [
-        { action: 1, fromState: 0, toState: 1 },
-        { action: 1, fromState: 1, toState: 2 },
-        { action: -1, fromState: 2, toState: 1 }
-      ],
-      answer: 1
-    };
-  }
-
   /**
    * Преобразование в формат для trainer_logic
-   * { start: 0, steps: ["+3", "+1", "-2"], answer: 2 }
+   * {
+   *   start: 0,
+   *   steps: ["+3", "+1", "-2"],
+   *   details: [{ action: 3, technique: "brother", formula: "+3 = +5 - 2",
+   *               formulaKey: "brother:+3", rods: [...] }, ...],
+   *   answer: 2
+   * }
+   * steps остаются строками для совместимости, описание шагов - в details.
+   * Для умножения и деления добавляются operation ("multiply" | "divide")
+   * и operands: [a, b], а steps - шаги соробана (частичные произведения);
+   * у деления answer - частное, remainder - остаток.
+   * Десятичный пример (decimalPlaces > 0) считается целыми числами в единицах
+   * младшего стержня и только здесь переводится в дроби: steps - "+12.35",
+   * start/answer - числа, unitRod - номер стержня единиц (от младшего).
+   * Шаг, переводящий итог через ноль (метод дополнения), помечен complement: true.
    */
   toTrainerFormat(example) {
+    const decimalPlaces = example.decimalPlaces ?? 0;
+    const toNumber = value => decimalPlaces > 0 ? Number(Soroban.formatValue(value, decimalPlaces)) : value;
+    const signed = value => {
+      const text = Soroban.formatValue(value, decimalPlaces);
+      return value > 0 ? `+${text}` : text;
+    };
+
     return {
-      start: example.start,
-      steps: example.steps.map(step => {
-        const action = step.action;
-        return action > 0 ? `+${action}` : `${action}`;
-      }),
-      answer: example.answer
+      ...(example.operation ? { operation: example.operation, operands: example.operands } : {}),
+      start: toNumber(example.start),
+      steps: example.steps.map(step => signed(step.action)),
+      details: example.steps.map(step => ({
+        action: toNumber(step.action),
+        technique: step.technique ?? 'simple',
+        formula: step.formula ?? signed(step.action),
+        formulaKey: step.formulaKey ?? null,
+        rods: step.rods ?? [],
+        ...(step.partial ? { partial: step.partial } : {}),
+        ...(step.complement ? { complement: true } : {})
+      })),
+      answer: toNumber(example.answer),
+      ...(example.remainder !== undefined ? { remainder: example.remainder } : {}),
+      ...(decimalPlaces > 0 ? { decimalPlaces, unitRod: decimalPlaces } : {})
     };
   }
 }
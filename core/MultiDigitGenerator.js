@@ -1,16 +1,23 @@
 // core/MultiDigitGenerator.js - Генератор многозначных примеров
 
+import { SeededRandom } from "./SeededRandom.js";
+import { Soroban } from "./Soroban.js";
+
 /**
  * MultiDigitGenerator - класс-обёртка для генерации многозначных примеров.
  * 
  * Принимает любое правило (SimpleRule, BrothersRule, FriendsRule...) и применяет
- * его к каждому разряду НЕЗАВИСИМО, формируя многозначные числа.
+ * его к каждому разряду (стержню абакуса), формируя многозначные числа.
  * 
  * КЛЮЧЕВЫЕ ОСОБЕННОСТИ:
- * 1. Каждый разряд живёт по правилам базового правила (физика абакуса)
- * 2. Использует ВЫБРАННЫЕ в настройках цифры (selectedDigits из config)
+ * 1. Каждый разряд живёт по правилам базового правила (физика абакуса):
+ *    цифра числа на стержне выбирается только из действий, которые
+ *    правило разрешает для текущего состояния ЭТОГО стержня
+ * 2. Использует ВЫБРАННЫЕ в настройках цифры (через getAvailableActions правила)
  * 3. Цифры в одном числе уникальны (например +21 ✅, +22 редко)
- * 4. Поддержка переменной разрядности (+389-27+164)
+ * 4. Поддержка переменной разрядности (+389-27+164) и профиля разрядности
+ *    по позициям (digitProfile: первое число 3-значное, дальше 2-значные,
+ *    последнее однозначное; или распределение длин с весами)
  * 5. Избегание нулевых разрядов (+20 максимум 1 раз)
  * 
  * ПРИМЕР 1 (выбрано [1,2,3,4,5]):
@@ -20,6 +27,34 @@
  * ПРИМЕР 2 (выбрано [1,2,3,4,5,6,7,8,9]):
  * Разрядность: 2
  * Результат: +19-76+82+34 = 59
+ * 
+ * ФИЗИКА ПО СТЕРЖНЯМ:
+ * - Число раскладывается по стержням от единиц к старшим разрядам
+ * - Для правил без переносов ("Просто", "Братья") состояние стержня = его цифра,
+ *   переход обязан остаться в 0-9 (и быть физически возможным, если правило
+ *   умеет это проверять) → "Просто 1-4" никогда не требует пятёрки или переноса
+ * - Для правил с переносом ("Друзі", "Мікс", maxState ≥ 99) правило видит
+ *   стержень вместе со старшим соседом (двузначное "окно"), а выход за 0-9
+ *   разрешён только как технический шаг правила (перенос/заём в соседа)
+ * - Десятичные дроби (decimalPlaces): младшие стержни - знаки после запятой,
+ *   числа хранятся целыми в единицах младшего стержня (12.35 → 1235), поэтому
+ *   правила стержней те же, а ответ считается без ошибок плавающей точки
+ * - Пример может начинаться со стартового числа (startMin-startMax базового
+ *   правила): оно сразу раскладывается по стержням
+ * - Отрицательный итог (negativeLimit > 0, по умолчанию выключено): вычитание
+ *   ниже нуля - заём из воображаемой единицы за старшим стержнем (метод
+ *   дополнения). На абакусе тогда дополнение: -5 на 3 стержнях = 995,
+ *   а переход обратно через ноль - перенос за старший стержень.
+ *   Переход через ноль - всегда заём/перенос, поэтому ниже нуля уходят
+ *   только правила с переносом ("Друзі", "Мікс")
+ * - Если правило требует технику (братский шаг и т.п.), число шагов с техникой
+ *   хотя бы на одном стержне укладывается в квоту правила (getTechniqueQuota):
+ *   при нехватке техники стержни берут технические ходы, при избытке - простые
+ * - Границы итогов и ответа (totalMin-totalMax, answerMin-answerMax) соблюдаются
+ *   при построении числа: стержень берёт только цифры, при которых число ещё
+ *   может уложиться в оставшееся окно [min - итог, max - итог]. Запрещённые
+ *   шаблоны (forbiddenPatterns: +40 -40, +23 +23, возврат в ноль) отсекаются
+ *   на старшей цифре, когда число уже известно целиком
  */
 
 export class MultiDigitGenerator {
@@ -29,20 +64,29 @@ export class MultiDigitGenerator {
    * @param {Object} config - конфигурация
    */
   constructor(RuleClass, maxDigitCount, config = {}) {
-    // Создаём экземпляр базового правила с теми же настройками
-    // selectedDigits берутся из config - пользователь выбирает их в UI
-    this.baseRule = new RuleClass(config);
-    
+    // Общий источник случайности для обёртки и базового правила
+    const { random, ...restConfig } = config;
+    this.random = random ?? new SeededRandom();
+
     // ВАЖНО: Количество разрядов в ПРИМЕРЕ (что показываем пользователю)
     this.displayDigitCount = Math.max(1, Math.min(9, maxDigitCount));
     
     // ВАЖНО: Абакус всегда на 1 разряд БОЛЬШЕ для переноса!
     this.maxDigitCount = this.displayDigitCount + 1;
     
+    // Создаём экземпляр базового правила с теми же настройками
+    // selectedDigits берутся из config - пользователь выбирает их в UI.
+    // Правило работает на многоразрядном абакусе: стержни проверяет обёртка
+    this.baseRule = new RuleClass({
+      ...restConfig,
+      digitCount: Math.max(2, restConfig.digitCount ?? this.displayDigitCount),
+      random: this.random
+    });
+    
     console.log(`📊 Разрядность: пример=${this.displayDigitCount}, абакус=${this.maxDigitCount}`);
     
     this.config = {
-      ...config,
+      ...restConfig,
       maxDigitCount: this.maxDigitCount,
       
       // Режим переменной разрядности (переключатель в UI)
@@ -50,6 +94,21 @@ export class MultiDigitGenerator {
       // false: +123+456-789 (фиксированная длина)
       variableDigitCounts: config.variableDigitCounts ?? false,
       
+      // Профиль разрядности по позициям (важнее variableDigitCounts, null = нет):
+      // { first, last, weights } - длина первого и последнего числа (null = как
+      // у остальных) и веса длин остальных чисел ({ 2: 1 } - все 2-значные,
+      // { 1: 1, 2: 3 } - 2-значных втрое больше; пусто = полная разрядность)
+      digitProfile: config.digitProfile ?? null,
+      
+      // Знаков после запятой (младшие стержни - дробная часть, 0 = целые)
+      decimalPlaces: Math.max(0, Math.min(this.displayDigitCount - 1, config.decimalPlaces ?? 0)),
+      
+      // Насколько итог может уйти ниже нуля (в единицах младшего стержня, 0 = не может)
+      negativeLimit: Math.max(0, Math.min(
+        Math.pow(10, this.displayDigitCount) - 1,
+        config.negativeLimit ?? 0
+      )),
+      
       // Вероятность повторяющихся цифр (+22, +33) - редко!
       duplicateDigitProbability: 0.1, // 10% шанс
       
@@ -73,6 +132,8 @@ export class MultiDigitGenerator {
   Разрядность абакуса: ${this.maxDigitCount} (+1 для переноса)
   Выбранные цифры: [${selectedDigits.join(', ')}]
   Переменная разрядность: ${this.config.variableDigitCounts}
+  Профиль разрядности: ${this.config.digitProfile ? JSON.stringify(this.config.digitProfile) : 'нет'}
+  Ниже нуля до: ${this.config.negativeLimit > 0 ? -this.config.negativeLimit : 'нет'}
   Вероятность дубликатов: ${this.config.duplicateDigitProbability * 100}%
   Макс. нулей: ${this.config.maxZeroDigits}`);
   }
@@ -95,8 +156,8 @@ export class MultiDigitGenerator {
       try {
         const example = this._generateAttempt(stepsCount);
         
-        // Валидация через базовое правило (если есть)
-        if (this.baseRule.validateExample && !this.baseRule.validateExample(example)) {
+        // Валидация: базовое правило + техника на стержнях
+        if (!this.validateExample(example)) {
           continue;
         }
         
@@ -109,7 +170,33 @@ export class MultiDigitGenerator {
       }
     }
     
-    throw new Error('Не удалось сгенерировать валидный пример');
+    const rejections = this.baseRule.describePatternRejections?.() || '';
+    const bounds = this._describeBounds();
+    throw new Error(
+      `Правило "${this.baseRule.name}": не удалось построить ${this.displayDigitCount}-разрядный пример ` +
+      `за ${maxAttempts} попыток` +
+      (bounds ? ` в границах ${bounds}` : '') +
+      (rejections ? ` (отклонено шаблонами: ${rejections})` : '')
+    );
+  }
+
+  /**
+   * Заданные границы итогов и ответа для сообщения об ошибке:
+   * "итогов 40-60, ответа 50-55" (пустая строка - границ нет)
+   */
+  _describeBounds() {
+    const { totalMin = null, totalMax = null, answerMin = null, answerMax = null } = this.baseRule.config || {};
+    const format = value => value === null ? '…' : Soroban.formatValue(value, this.config.decimalPlaces);
+    const parts = [];
+    
+    if (totalMin !== null || totalMax !== null) {
+      parts.push(`итогов ${format(totalMin)}-${format(totalMax)}`);
+    }
+    if (answerMin !== null || answerMax !== null) {
+      parts.push(`ответа ${format(answerMin)}-${format(answerMax)}`);
+    }
+    
+    return parts.join(', ');
   }
 
   /**
@@ -120,143 +207,465 @@ export class MultiDigitGenerator {
     this.config._duplicatesUsed = 0;
     this.config._zeroDigitsUsed = 0;
     
-    const startState = 0; // Всегда начинаем с 0
+    const startState = this.generateStartState();
     let currentState = startState;
     const steps = [];
+    const quota = this._techniqueQuota();
+    let techniqueSteps = 0;
     
     for (let i = 0; i < stepsCount; i++) {
-      const isFirst = (i === 0);
+      // Первое действие от пустого абакуса - только "+"
+      const isFirst = (i === 0 && startState === 0);
       
-      // Генерируем многозначное число
-      const action = this._generateMultiDigitAction(currentState, isFirst);
+      // Квота техники: "require" - без технического шага минимум не набрать,
+      // "forbid" - максимум уже набран, "any" - свободный выбор
+      let techniqueMode = 'any';
+      if (techniqueSteps >= quota.max) {
+        techniqueMode = 'forbid';
+      } else if (quota.min - techniqueSteps >= stepsCount - i) {
+        techniqueMode = 'require';
+      }
       
-      if (action === null) {
+      // Генерируем многозначное число (итог в границах, без запрещённых шаблонов)
+      const previous = i > 0 ? steps[i - 1].action : null;
+      const result = this._generateMultiDigitAction(currentState, isFirst, techniqueMode, i, stepsCount, previous);
+      
+      if (result === null) {
         throw new Error(`Не удалось сгенерировать действие на шаге ${i}`);
       }
       
-      const nextState = currentState + action;
-      
-      // Проверка границ
-      if (nextState < 0 || nextState >= Math.pow(10, this.maxDigitCount)) {
-        throw new Error(`Состояние вышло за границы: ${nextState}`);
+      if (result.rods.some(move => move.isTechnique)) {
+        techniqueSteps++;
       }
       
+      const nextState = currentState + result.action;
+      
       steps.push({
-        action: action,
+        action: result.action,
         fromState: currentState,
-        toState: nextState
+        toState: nextState,
+        ...this._describeRodSteps(result.action, result.rods),
+        // Переход через ноль - заём/возврат воображаемой единицы (метод дополнения)
+        ...(this._zeroCrossingCarry(currentState, nextState) !== 0 ? { complement: true } : {})
       });
       
       currentState = nextState;
     }
     
-    return {
+    const example = {
       start: startState,
       steps: steps,
       answer: currentState
     };
+    
+    // Десятичный пример: числа - в единицах младшего стержня,
+    // стержень единиц - rods[decimalPlaces]
+    if (this.config.decimalPlaces > 0) {
+      example.decimalPlaces = this.config.decimalPlaces;
+    }
+    
+    return example;
   }
 
   /**
    * Генерация многозначного действия (+123, -456, и т.д.)
+   *
+   * @param {number} currentState - Текущее число на абакусе
+   * @param {boolean} isFirst - Первое ли действие
+   * @param {string} [techniqueMode] - "any" | "require" | "forbid" (квота техники)
+   * @param {number} [index] - Номер шага (для профиля разрядности)
+   * @param {number} [stepsCount] - Шагов в примере
+   * @param {number|null} [previous] - Предыдущее действие (для шаблонов, null - шаг первый)
+   * @returns {{action:number, rods:Array}|null} Действие и ходы по стержням
+   *          или null, если ни один знак не допускает числа
    */
-  _generateMultiDigitAction(currentState, isFirst) {
-    const { variableDigitCounts } = this.config;
-    const selectedDigits = this.baseRule.config?.selectedDigits || [1, 2, 3, 4, 5];
-    
+  _generateMultiDigitAction(currentState, isFirst, techniqueMode = 'any', index = 0, stepsCount = 1, previous = null) {
     // Определяем разрядность этого числа
-    let digitCount;
+    const digitCount = this._pickDigitCount(index, stepsCount);
+    const isLast = index === stepsCount - 1;
+    const bounds = this._actionWindow(currentState, isLast);
+    
+    for (const sign of this._candidateSigns(currentState, isFirst)) {
+      // Окно для модуля числа с этим знаком
+      const target = {
+        min: Math.max(1, sign > 0 ? bounds.min : -bounds.max),
+        max: sign > 0 ? bounds.max : -bounds.min,
+        previous,
+        isLast
+      };
+      if (target.min > target.max) {
+        continue;
+      }
+      
+      const result = this._buildRodAction(currentState, digitCount, sign, isFirst, techniqueMode, target);
+      if (result) {
+        return result;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Допустимые значения действия шага: итог после шага в границах правила
+   * (getTotalBounds; на последнем шаге - и в границах ответа) и не ниже
+   * -negativeLimit
+   *
+   * @param {number} currentState - Итог до шага
+   * @param {boolean} isLast - Последний ли шаг примера
+   * @returns {{min:number, max:number}}
+   */
+  _actionWindow(currentState, isLast) {
+    const bounds = this.baseRule.getTotalBounds
+      ? this.baseRule.getTotalBounds(isLast)
+      : { min: -Infinity, max: Infinity };
+    
+    return {
+      min: Math.max(bounds.min, -this.config.negativeLimit) - currentState,
+      max: bounds.max - currentState
+    };
+  }
+
+  /**
+   * Может ли число длины digitCount уложиться в окно target, если его цифры
+   * до стержня pos включительно уже дают value (старшие цифры - любые,
+   * старшая - не ноль). На старшем стержне число известно целиком -
+   * проверяется и запрещённый шаблон с предыдущим шагом
+   *
+   * @param {number} value - Младшая часть числа (стержни 0…pos)
+   * @param {Object} target - { min, max, previous, isLast } - окно модуля числа
+   * @returns {boolean}
+   */
+  _fitsTarget(value, pos, digitCount, sign, currentState, target) {
+    if (pos === digitCount - 1) {
+      if (value < target.min || value > target.max) {
+        return false;
+      }
+      
+      const action = sign * value;
+      return !(this.baseRule.checkPatternStep &&
+        this.baseRule.checkPatternStep(target.previous, action, currentState + action, target.isLast));
+    }
+    
+    // Старшая часть числа: цифры pos+1…digitCount-1, старшая не ноль
+    const unit = Math.pow(10, pos + 1);
+    const highMin = Math.max(Math.pow(10, digitCount - pos - 2), Math.ceil((target.min - value) / unit));
+    const highMax = Math.min(Math.pow(10, digitCount - pos - 1) - 1, Math.floor((target.max - value) / unit));
+    
+    return highMin <= highMax;
+  }
+
+  /**
+   * Разрядность числа на позиции index.
+   * Профиль: первое и последнее число - своя длина (если задана),
+   * остальные - по весам длин; без профиля - variableDigitCounts
+   *
+   * @param {number} index - Номер шага (0 = первый)
+   * @param {number} stepsCount - Шагов в примере
+   * @returns {number} Количество цифр (1 … displayDigitCount)
+   */
+  _pickDigitCount(index, stepsCount) {
+    const { digitProfile, variableDigitCounts } = this.config;
+    
+    if (digitProfile) {
+      if (index === 0 && digitProfile.first) {
+        return digitProfile.first;
+      }
+      if (index === stepsCount - 1 && digitProfile.last) {
+        return digitProfile.last;
+      }
+      
+      const lengths = Object.keys(digitProfile.weights || {});
+      if (lengths.length > 0) {
+        return Number(this._pickWeightedLength(digitProfile.weights, lengths));
+      }
+      return this.displayDigitCount;
+    }
+    
     if (variableDigitCounts) {
       // Переменная разрядность: от 1 до displayDigitCount
-      digitCount = 1 + Math.floor(Math.random() * this.displayDigitCount);
-    } else {
-      // Фиксированная разрядность
-      digitCount = this.displayDigitCount;
+      return this.random.int(1, this.displayDigitCount);
+    }
+    
+    // Фиксированная разрядность
+    return this.displayDigitCount;
+  }
+
+  /**
+   * Длина числа случайно с учётом весов профиля
+   *
+   * @param {Object<string, number>} weights - { "1": 1, "2": 3 }
+   * @param {Array<string>} lengths - Ключи weights
+   * @returns {string}
+   */
+  _pickWeightedLength(weights, lengths) {
+    const total = lengths.reduce((sum, length) => sum + weights[length], 0);
+    let roll = this.random.next() * total;
+    
+    for (const length of lengths) {
+      roll -= weights[length];
+      if (roll < 0) {
+        return length;
+      }
+    }
+    
+    return lengths[lengths.length - 1];
+  }
+
+  /**
+   * Знаки в порядке перебора
+   */
+  _candidateSigns(currentState, isFirst) {
+    if (isFirst || (currentState === 0 && this.config.negativeLimit === 0)) {
+      return [1]; // Первое действие и действие от нуля - только "+"
     }
     
-    // Генерируем цифры
-    const digits = [];
+    const onlyAddition = this.baseRule.config?.onlyAddition ?? false;
+    const onlySubtraction = this.baseRule.config?.onlySubtraction ?? false;
+    
+    if (onlyAddition) {
+      return [1];
+    }
+    if (onlySubtraction) {
+      return [-1];
+    }
+    
+    return this.random.chance(0.5) ? [1, -1] : [-1, 1];
+  }
+
+  /**
+   * Построить число заданной длины и знака, проходя стержни от единиц вверх.
+   * Каждая цифра - допустимое действие базового правила на своём стержне,
+   * при котором число ещё укладывается в окно target (_fitsTarget).
+   *
+   * @param {Object} [target] - { min, max, previous, isLast } - окно модуля числа
+   * @returns {{action:number, rods:Array}|null}
+   */
+  _buildRodAction(currentState, digitCount, sign, isFirst, techniqueMode = 'any',
+                  target = { min: 1, max: Infinity, previous: null, isLast: false }) {
+    const rods = this._toRods(currentState);
     const usedDigits = new Set();
+    const moves = [];
+    let number = 0;
+    let carry = 0;
     
-    for (let pos = 0; pos < digitCount; pos++) {
-      let digit;
-      let attempts = 0;
-      const maxDigitAttempts = 50;
-      
-      while (attempts < maxDigitAttempts) {
-        // Выбираем случайную цифру из доступных
-        digit = selectedDigits[Math.floor(Math.random() * selectedDigits.length)];
-        
-        // Проверка на уникальность (но иногда разрешаем дубликаты)
-        const allowDuplicate = Math.random() < this.config.duplicateDigitProbability;
-        
-        if (!usedDigits.has(digit) || allowDuplicate) {
-          // Проверка на нули (первая цифра не может быть 0)
-          if (pos === 0 && digit === 0) {
-            attempts++;
-            continue;
-          }
-          
-          // Ограничение на количество нулей
-          if (digit === 0 && this.config._zeroDigitsUsed >= this.config.maxZeroDigits) {
-            attempts++;
-            continue;
-          }
-          
-          break;
-        }
-        
-        attempts++;
+    for (let pos = 0; pos < this.maxDigitCount; pos++) {
+      // Перенос/заём из младшего стержня (может каскадом уйти дальше)
+      if (carry !== 0) {
+        const carryStep = Soroban.planRodStep(rods[pos], carry);
+        rods[pos] = carryStep.to;
+        carry = carryStep.carry;
       }
       
-      if (attempts >= maxDigitAttempts) {
-        // Не удалось подобрать цифру - берем любую доступную
-        digit = selectedDigits[0];
+      if (pos >= digitCount) {
+        continue;
       }
       
-      digits.push(digit);
-      usedDigits.add(digit);
+      const isLeading = pos === digitCount - 1;
+      const fits = digit => this._fitsTarget(number + digit * Math.pow(10, pos), pos, digitCount, sign, currentState, target);
+      const move = this._pickRodMove(rods, pos, sign, isFirst, isLeading, usedDigits, techniqueMode, fits);
       
-      if (digit === 0) {
-        this.config._zeroDigitsUsed++;
+      if (move === null) {
+        return null;
       }
+      
+      // Нулевая цифра - не ход на стержне
+      if (move.delta !== 0) {
+        moves.push(move);
+      }
+      number += move.digit * Math.pow(10, pos);
+      
+      const rodStep = Soroban.planRodStep(rods[pos], move.delta);
+      rods[pos] = rodStep.to;
+      carry += rodStep.carry;
     }
     
-    // Собираем число из цифр
-    let number = 0;
-    for (let i = 0; i < digits.length; i++) {
-      number += digits[i] * Math.pow(10, digits.length - 1 - i);
+    // Перенос за пределы абакуса допустим только как переход через ноль
+    // (метод дополнения), и итог не ниже -negativeLimit
+    const nextState = currentState + sign * number;
+    if (carry !== this._zeroCrossingCarry(currentState, nextState) || nextState < -this.config.negativeLimit) {
+      return null;
     }
     
-    // Определяем знак
-    let sign;
-    if (isFirst) {
-      sign = 1; // Первое действие всегда положительное
-    } else if (currentState === 0) {
-      sign = 1; // Если состояние 0, только положительное
-    } else {
-      // Проверяем флаги onlyAddition/onlySubtraction
-      const onlyAddition = this.baseRule.config?.onlyAddition ?? false;
-      const onlySubtraction = this.baseRule.config?.onlySubtraction ?? false;
-      
-      if (onlyAddition) {
-        sign = 1;
-      } else if (onlySubtraction) {
-        sign = -1;
-      } else {
-        sign = Math.random() < 0.5 ? 1 : -1;
-      }
+    // Квота требует технический шаг, но ни один стержень его не дал
+    if (techniqueMode === 'require' && !moves.some(move => move.isTechnique)) {
+      return null;
+    }
+    
+    return {
+      action: sign * number,
+      rods: moves
+    };
+  }
+
+  /**
+   * Выбрать цифру для стержня pos.
+   * Кандидаты - действия базового правила для состояния стержня (с весами),
+   * совпадающие по знаку, допустимые физически и оставляющие число в окне (fits).
+   * Квота техники: "forbid" - только простые ходы,
+   * "require" - технические ходы, если стержень их допускает.
+   *
+   * @returns {{position:number, from:number, delta:number, digit:number, isTechnique:boolean}|null}
+   */
+  _pickRodMove(rods, pos, sign, isFirst, isLeading, usedDigits, techniqueMode = 'any', fits = () => true) {
+    const rodState = rods[pos];
+    const windowState = this._rodWindow(rods, pos);
+    const available = this.baseRule.getAvailableActions(windowState, isFirst, pos) || [];
+    const isTechniqueMove = action => this.baseRule.isTechniqueTransition
+      ? this.baseRule.isTechniqueTransition(windowState, windowState + action)
+      : false;
+    
+    let candidates = available.filter(action =>
+      action !== 0 &&
+      Math.sign(action) === sign &&
+      this._isRodMoveAllowed(rodState, windowState, action) &&
+      fits(Math.abs(action))
+    );
+    
+    if (techniqueMode === 'forbid') {
+      candidates = candidates.filter(action => !isTechniqueMove(action));
+    } else if (techniqueMode === 'require' && candidates.some(isTechniqueMove)) {
+      candidates = candidates.filter(isTechniqueMove);
     }
     
-    const action = number * sign;
+    // Цифры в одном числе уникальны (но иногда разрешаем дубликаты)
+    let pool = candidates.filter(action => !usedDigits.has(Math.abs(action)));
+    if (pool.length === 0 || this.random.chance(this.config.duplicateDigitProbability)) {
+      pool = candidates;
+    }
     
-    // Финальная проверка: не выходим ли за границы
-    const nextState = currentState + action;
-    if (nextState < 0 || nextState >= Math.pow(10, this.maxDigitCount)) {
+    if (pool.length === 0) {
+      // Нулевой разряд (+20, +105) - редко и не в старшей цифре
+      if (!isLeading && this.config._zeroDigitsUsed < this.config.maxZeroDigits && fits(0)) {
+        this.config._zeroDigitsUsed++;
+        return this._rodMove(pos, rodState, 0, false);
+      }
       return null;
     }
     
-    return action;
+    // Правило со своим порядком (BlendRule: блок по весу, затем действие)
+    const delta = this.baseRule.orderActions
+      ? this.baseRule.orderActions(windowState, isFirst, pos).find(action => pool.includes(action))
+      : this.random.pick(pool);
+    usedDigits.add(Math.abs(delta));
+    
+    return this._rodMove(pos, rodState, delta, isTechniqueMove(delta));
+  }
+
+  /**
+   * Ход на стержне с формулой (формула - в весе стержня: "+30 = +50 - 20").
+   * Техника и формула - по бусинам стержня (Soroban): на листе "Друзі"
+   * стержень может потребовать брата. isTechnique - вердикт базового правила
+   * (техника этого правила), по нему считается квота.
+   *
+   * @returns {{position:number, from:number, to:number, delta:number, digit:number,
+   *            isTechnique:boolean, technique:string, formula:string, formulaKey:string}}
+   */
+  _rodMove(pos, rodState, delta, isTechnique) {
+    const unit = Math.pow(10, pos);
+    const { decimalPlaces } = this.config;
+    const rodStep = Soroban.planRodStep(rodState, delta, unit, decimalPlaces);
+    const technique = rodStep.technique;
+    const signed = delta >= 0 ? `+${delta}` : `${delta}`;
+    const weighted = Soroban.formatValue(delta * unit, decimalPlaces, true);
+    
+    return {
+      position: pos,
+      from: rodState,
+      to: rodStep.to,
+      delta: delta,
+      digit: Math.abs(delta),
+      isTechnique: isTechnique,
+      technique: technique,
+      formula: technique === 'simple' ? (delta >= 0 ? `+${weighted}` : weighted) : rodStep.formula,
+      formulaKey: `${technique}:${signed}`
+    };
+  }
+
+  /**
+   * Описание шага по ходам на стержнях (как BaseRule.describeStep):
+   * техника - самая сложная из стержней, формула - формулы технических стержней
+   *
+   * @returns {{rods:Array, technique:string, formula:string, formulaKey:string}}
+   */
+  _describeRodSteps(action, rods) {
+    const technique = Soroban.maxTechnique(rods.map(move => move.technique));
+    const value = Soroban.formatValue(action, this.config.decimalPlaces);
+    const signed = action > 0 ? `+${value}` : value;
+    const techniqueRods = rods.filter(move => move.technique !== 'simple');
+    const main = rods.find(move => move.technique === technique);
+    
+    return {
+      rods: rods,
+      technique: technique,
+      formula: techniqueRods.length > 0
+        ? techniqueRods.map(move => move.formula).join('; ')
+        : signed,
+      formulaKey: technique === 'simple' ? `simple:${signed}` : main.formulaKey
+    };
+  }
+
+  /**
+   * Допустим ли ход delta на стержне с состоянием rodState.
+   * - внутри стержня (0-9): физическая проверка правила (если есть)
+   * - с переносом/заёмом: только как технический шаг правила
+   */
+  _isRodMoveAllowed(rodState, windowState, delta) {
+    const next = rodState + delta;
+    
+    if (next >= 0 && next <= 9) {
+      return this.baseRule.isPhysicallyPossible
+        ? this.baseRule.isPhysicallyPossible(rodState, delta)
+        : true;
+    }
+    
+    return this.baseRule.isTechniqueTransition
+      ? this.baseRule.isTechniqueTransition(windowState, windowState + delta)
+      : false;
+  }
+
+  /**
+   * Состояние, которое видит правило для стержня pos.
+   * Правила с переносом (maxState ≥ 99) видят стержень вместе со старшим
+   * соседом, остальные - только сам стержень.
+   */
+  _rodWindow(rods, pos) {
+    const usesCarry = (this.baseRule.config?.maxState ?? 9) >= 99;
+    if (!usesCarry) {
+      return rods[pos];
+    }
+    
+    // Заём/перенос уйдёт за старший стержень (выше только 0 или только 9
+    // в дополнении) - это переход через ноль: сосед - воображаемая единица
+    const top = rods[this.maxDigitCount - 1];
+    if (this.config.negativeLimit > 0 && rods.slice(pos + 1).every(digit => digit === top)) {
+      return 10 + rods[pos];
+    }
+    
+    return (rods[pos + 1] ?? 0) * 10 + rods[pos];
+  }
+
+  /**
+   * Перенос за старший стержень при переходе через ноль:
+   * -1 - ушли ниже нуля (заём из воображаемой единицы),
+   * +1 - вернулись из минуса (единица отдана обратно), 0 - ноль не пересекли
+   */
+  _zeroCrossingCarry(fromState, toState) {
+    return (toState < 0 ? -1 : 0) - (fromState < 0 ? -1 : 0);
+  }
+
+  /**
+   * Число → массив цифр по стержням (индекс 0 = единицы).
+   * Отрицательное число стоит на абакусе дополнением: -5 → 995
+   */
+  _toRods(state) {
+    const rods = new Array(this.maxDigitCount).fill(0);
+    let rest = state < 0 ? Math.pow(10, this.maxDigitCount) + state : state;
+    for (let pos = 0; pos < this.maxDigitCount; pos++) {
+      rods[pos] = rest % 10;
+      rest = Math.floor(rest / 10);
+    }
+    return rods;
   }
 
   /**
@@ -278,15 +687,62 @@ export class MultiDigitGenerator {
     }
     
     // Делегируем валидацию базовому правилу
-    if (this.baseRule.validateExample) {
-      return this.baseRule.validateExample(example);
+    if (this.baseRule.validateExample && !this.baseRule.validateExample(example)) {
+      return false;
+    }
+    
+    // Итог по шагам и нижняя граница (ниже нуля - только в пределах negativeLimit)
+    let state = example.start;
+    for (const step of example.steps) {
+      state += step.action;
+      if (state < -this.config.negativeLimit) {
+        console.warn(`⚠️ MultiDigitGenerator: итог ${state} ниже допустимого -${this.config.negativeLimit}`);
+        return false;
+      }
+    }
+    
+    if (state !== example.answer) {
+      console.warn(`⚠️ MultiDigitGenerator: шаги дают ${state}, а ответ ${example.answer}`);
+      return false;
+    }
+    
+    
+    // Квота техники: шаг технический, если техника есть хотя бы на одном стержне
+    const { min, max } = this._techniqueQuota();
+    const techniqueSteps = example.steps.filter(step =>
+      (step.rods || []).some(move => move.isTechnique)
+    ).length;
+    
+    if (techniqueSteps < min || techniqueSteps > max) {
+      console.warn(
+        `⚠️ MultiDigitGenerator: шагов с техникой правила "${this.baseRule.name}" ${techniqueSteps}, ` +
+        `нужно ${min}-${max === Infinity ? '∞' : max}`
+      );
+      return false;
     }
     
     return true;
   }
 
+  /**
+   * Квота технических шагов базового правила
+   * @returns {{min:number, max:number}}
+   */
+  _techniqueQuota() {
+    return this.baseRule.getTechniqueQuota
+      ? this.baseRule.getTechniqueQuota()
+      : { min: 0, max: Infinity };
+  }
+
+  /**
+   * Стартовое число примера (настройки базового правила),
+   * не длиннее разрядности примера
+   */
   generateStartState() {
-    return 0;
+    if (!this.baseRule.pickStartValue) {
+      return 0;
+    }
+    return this.baseRule.pickStartValue(0, Math.pow(10, this.displayDigitCount) - 1);
   }
 
   generateStepsCount() {
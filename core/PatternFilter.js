@@ -0,0 +1,117 @@
+// core/PatternFilter.js - Запрет бесполезных шаблонов цепочки (+4 -4, +3 +3, возврат в ноль)
+
+import { Soroban } from "./Soroban.js";
+
+/**
+ * PatternFilter - шаблоны цепочки, которые ничего не тренируют.
+ *
+ * ШАБЛОНЫ (PATTERNS):
+ * - inverse    - шаг сразу отменяет предыдущий: +4 -4
+ * - repeat     - тот же шаг два раза подряд: +3 +3
+ * - zeroReturn - итог возвращается в ноль посреди примера: +2 +3 -5 +4
+ *                (ноль в ответе - не возврат, пример на нём заканчивается)
+ *
+ * Правила проверяют пример целиком (findViolation) в validateExample,
+ * генераторы - каждый шаг при выборе (checkStep), чтобы не достраивать
+ * заведомо отвергнутые цепочки.
+ *
+ * ИСПОЛЬЗОВАНИЕ:
+ * const filter = new PatternFilter(['inverse', 'repeat']);
+ * filter.findViolation({ start: 0, steps: [{ action: 4 }, { action: -4 }, { action: 2 }] });
+ * // { pattern: 'inverse', index: 1, fragment: '+4 -4' }
+ */
+export class PatternFilter {
+  /**
+   * Известные шаблоны
+   */
+  static PATTERNS = ['inverse', 'repeat', 'zeroReturn'];
+
+  /**
+   * @param {Array<string>} [patterns] - Запрещённые шаблоны (из PATTERNS)
+   * @throws {Error} Если шаблон неизвестен
+   */
+  constructor(patterns = []) {
+    for (const pattern of patterns) {
+      if (!PatternFilter.PATTERNS.includes(pattern)) {
+        throw new Error(`Неизвестный шаблон цепочки: ${pattern}`);
+      }
+    }
+
+    this.patterns = new Set(patterns);
+  }
+
+  /**
+   * Ничего не запрещено
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return this.patterns.size === 0;
+  }
+
+  /**
+   * Какой запрещённый шаблон образует шаг
+   *
+   * @param {number|null} previous - Предыдущее действие (null - шаг первый)
+   * @param {number} action - Действие шага
+   * @param {number} state - Итог после шага
+   * @param {boolean} isLast - Последний ли шаг примера
+   * @returns {string|null} Имя шаблона или null, если шаг допустим
+   */
+  checkStep(previous, action, state, isLast) {
+    if (previous !== null && this.patterns.has('inverse') && action === -previous) {
+      return 'inverse';
+    }
+
+    if (previous !== null && this.patterns.has('repeat') && action === previous) {
+      return 'repeat';
+    }
+
+    if (!isLast && this.patterns.has('zeroReturn') && state === 0) {
+      return 'zeroReturn';
+    }
+
+    return null;
+  }
+
+  /**
+   * Первый запрещённый шаблон примера
+   *
+   * @param {Object} example - Пример { start, steps: [{ action }], decimalPlaces? }
+   * @returns {{pattern:string, index:number, fragment:string}|null}
+   *          index - номер шага, fragment - шаги шаблона ("+4 -4", "-5 = 0")
+   */
+  findViolation(example) {
+    if (this.isEmpty()) {
+      return null;
+    }
+
+    const steps = example.steps || [];
+    const format = value => {
+      const text = Soroban.formatValue(value, example.decimalPlaces ?? 0);
+      return value > 0 ? `+${text}` : text;
+    };
+
+    let state = example.start;
+    let previous = null;
+
+    for (let index = 0; index < steps.length; index++) {
+      const action = steps[index].action;
+      state += action;
+
+      const pattern = this.checkStep(previous, action, state, index === steps.length - 1);
+      if (pattern) {
+        return {
+          pattern,
+          index,
+          fragment: pattern === 'zeroReturn'
+            ? `${format(action)} = 0`
+            : `${format(previous)} ${format(action)}`
+        };
+      }
+
+      previous = action;
+    }
+
+    return null;
+  }
+}
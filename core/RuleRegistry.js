@@ -0,0 +1,167 @@
+// core/RuleRegistry.js - Реестр правил (блоков) генератора
+
+import { BUILTIN_RULES } from "./rules/builtinRules.js";
+
+/**
+ * RuleRegistry - какие блоки знает генератор.
+ *
+ * Генератор (выбор правила, смешивание), проверка настроек (PrintGenerator,
+ * экран генератора) и секция блоков в UI берут всё из реестра, поэтому
+ * своё правило подключается регистрацией, без правок этих модулей.
+ *
+ * ОПИСАНИЕ ПРАВИЛА (definition):
+ * - id            - ключ блока в settings.blocks ("brothers")
+ * - name          - короткое имя для логов и getInfo ("Братья")
+ * - RuleClass     - класс правила (наследник BaseRule)
+ * - digits        - цифры блока: кнопки в UI и допустимые selectedDigits ([1, 2, 3, 4])
+ * - defaultDigits - выбраны в UI по умолчанию ([] - блок выключен)
+ * - fallbackDigits - selectedDigits, если из выбранных ни одна не допустима
+ * - minRods       - минимум стержней (разрядность + знаки после запятой)
+ * - priority      - старшинство в режиме "priority" (больше - старше)
+ * - operation     - пример-операция целиком (умножение, деление), не цепочка шагов
+ *                   (example.operation = id правила: по нему включаются частичные произведения)
+ * - directions    - есть ли опции "только сложение / только вычитание"
+ * - carries       - переносит через старший стержень (итог может уйти ниже нуля)
+ * - technique     - техника шагов для покрытия формул ("brother"; null - не считается)
+ * - options       - опции блока в UI: [{ id, type: "number"|"checkbox"|"select",
+ *                   value, min?, max?, choices?: [{ value, key }], labels? }]
+ * - labels        - заголовок блока по языкам ({ uk, ru, en, es });
+ *                   не задан - t.blocks[id] из translations.js
+ * - buildConfig({ block, blocks, common, digits }) - конфигурация RuleClass
+ *                   (digits - выбранные допустимые цифры или fallbackDigits)
+ * - validate(block, sheet) - проверка опций блока: null или
+ *                   { error: ключ t.errors, message: текст для PrintGenerator };
+ *                   sheet - { digitCount, decimalPlaces }
+ *
+ * ИСПОЛЬЗОВАНИЕ:
+ * RuleRegistry.register({
+ *   id: 'tens', name: 'Десятки', RuleClass: TensRule,
+ *   digits: [1, 2, 3], labels: { uk: 'ДЕСЯТКИ', en: 'TENS' },
+ *   buildConfig: ({ common, digits }) => ({ selectedDigits: digits, ...common })
+ * });
+ * RuleRegistry.byPriority(); // [divide, multiply, mix, friends, brothers, tens, simple]
+ */
+export class RuleRegistry {
+  /**
+   * Значения по умолчанию для описания правила
+   */
+  static DEFAULTS = {
+    defaultDigits: [],
+    minRods: 1,
+    priority: 0,
+    operation: false,
+    directions: true,
+    carries: false,
+    technique: null,
+    options: [],
+    labels: null,
+    validate: () => null
+  };
+
+  static _rules = new Map();
+
+  /**
+   * Зарегистрировать правило
+   *
+   * @param {Object} definition - Описание правила (см. выше)
+   * @returns {Object} Описание с заполненными значениями по умолчанию
+   * @throws {Error} Если описание неполное или id уже занят
+   */
+  static register(definition) {
+    const { id, RuleClass, digits, buildConfig } = definition;
+
+    if (typeof id !== 'string' || id === '') {
+      throw new Error("У правила должен быть id");
+    }
+    if (this._rules.has(id)) {
+      throw new Error(`Правило "${id}" уже зарегистрировано`);
+    }
+    if (typeof RuleClass !== 'function' || typeof buildConfig !== 'function') {
+      throw new Error(`Правило "${id}": нужны RuleClass и buildConfig`);
+    }
+    if (!Array.isArray(digits) || digits.length === 0 || !digits.every(Number.isInteger)) {
+      throw new Error(`Правило "${id}": цифры блока должны быть непустым списком целых`);
+    }
+
+    const rule = {
+      ...this.DEFAULTS,
+      name: id,
+      fallbackDigits: digits,
+      ...definition
+    };
+
+    this._rules.set(id, rule);
+    console.log(`🧩 Правило "${rule.name}" (${id}) зарегистрировано`);
+    return rule;
+  }
+
+  /**
+   * Убрать правило из реестра
+   * @param {string} id
+   * @returns {boolean} Было ли такое правило
+   */
+  static unregister(id) {
+    return this._rules.delete(id);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null} Описание правила
+   */
+  static get(id) {
+    return this._rules.get(id) ?? null;
+  }
+
+  /**
+   * Правила в порядке регистрации (порядок блоков в UI)
+   * @returns {Array<Object>}
+   */
+  static list() {
+    return [...this._rules.values()];
+  }
+
+  /**
+   * Правила от старшего к младшему (режим "priority");
+   * при равном priority - в порядке регистрации
+   * @returns {Array<Object>}
+   */
+  static byPriority() {
+    return this.list()
+      .map((rule, index) => ({ rule, index }))
+      .sort((a, b) => b.rule.priority - a.rule.priority || a.index - b.index)
+      .map(({ rule }) => rule);
+  }
+
+  /**
+   * Правила, у блоков которых выбраны цифры
+   *
+   * @param {Object} blocks - Настройки блоков { simple: { digits: [...] }, ... }
+   * @param {Object} [options]
+   * @param {boolean} [options.byPriority] - От старшего к младшему
+   * @returns {Array<Object>}
+   */
+  static active(blocks, { byPriority = false } = {}) {
+    const rules = byPriority ? this.byPriority() : this.list();
+    return rules.filter(rule => (blocks?.[rule.id]?.digits || []).length > 0);
+  }
+
+  /**
+   * Выбранные цифры блока, допустимые для правила
+   * (ни одной - fallbackDigits)
+   *
+   * @param {Object} rule - Описание правила
+   * @param {Array<number|string>} digits - Цифры из настроек блока
+   * @returns {Array<number>}
+   */
+  static selectedDigits(rule, digits = []) {
+    const selected = digits
+      .map(d => parseInt(d, 10))
+      .filter(n => rule.digits.includes(n));
+
+    return selected.length > 0 ? selected : rule.fallbackDigits;
+  }
+}
+
+for (const definition of BUILTIN_RULES) {
+  RuleRegistry.register(definition);
+}
@@ -0,0 +1,135 @@
+// core/SeededRandom.js - Детерминированный генератор случайных чисел
+
+/**
+ * SeededRandom - источник случайности с зерном (seed).
+ *
+ * ЗАЧЕМ:
+ * Все случайные решения генератора (количество шагов, выбор действия,
+ * цифры многозначных чисел, знак) идут через один экземпляр SeededRandom.
+ * Одинаковый seed + одинаковые настройки = одинаковые примеры,
+ * поэтому любой напечатанный лист можно восстановить по коду на нём.
+ *
+ * АЛГОРИТМ: mulberry32 (32-битное состояние, быстрый и достаточно
+ * равномерный для учебных задач).
+ *
+ * ИСПОЛЬЗОВАНИЕ:
+ * const random = new SeededRandom(12345);
+ * random.next();         // 0.0 … 1.0 (не включая 1)
+ * random.int(1, 6);      // целое 1 … 6 включительно
+ * random.pick([1, 2]);   // случайный элемент массива
+ */
+export class SeededRandom {
+  /**
+   * @param {number|string} [seed] - Зерно. Если не задано - создаётся новое.
+   */
+  constructor(seed) {
+    this.seed = SeededRandom.normalizeSeed(seed ?? SeededRandom.createSeed());
+    this._state = this.seed;
+  }
+
+  /**
+   * Создать новое случайное зерно.
+   * Единственное место, где используется Math.random().
+   * @returns {number} Зерно (целое 1 … 2^31-1)
+   */
+  static createSeed() {
+    return 1 + Math.floor(Math.random() * 0x7ffffffe);
+  }
+
+  /**
+   * Привести зерно к 32-битному беззнаковому целому.
+   * Числовые строки ("12345") трактуются как числа,
+   * остальные строки хешируются (FNV-1a).
+   *
+   * @param {number|string} seed - Зерно
+   * @returns {number} Нормализованное зерно
+   */
+  static normalizeSeed(seed) {
+    if (typeof seed === 'string') {
+      const trimmed = seed.trim();
+
+      if (/^\d+$/.test(trimmed)) {
+        return Number(trimmed) >>> 0;
+      }
+
+      let hash = 0x811c9dc5;
+      for (let i = 0; i < trimmed.length; i++) {
+        hash ^= trimmed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+      }
+      return hash >>> 0;
+    }
+
+    const numeric = Number(seed);
+    if (!Number.isFinite(numeric)) {
+      throw new Error(`Некорректный seed: ${seed}`);
+    }
+
+    return Math.floor(Math.abs(numeric)) >>> 0;
+  }
+
+  /**
+   * Следующее число в диапазоне [0, 1)
+   * @returns {number}
+   */
+  next() {
+    this._state = (this._state + 0x6d2b79f5) >>> 0;
+
+    let t = this._state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Целое число в диапазоне [min, max] включительно
+   * @param {number} min
+   * @param {number} max
+   * @returns {number}
+   */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * Случайный элемент массива
+   * @param {Array} array
+   * @returns {*} Элемент или undefined для пустого массива
+   */
+  pick(array) {
+    if (!array || array.length === 0) {
+      return undefined;
+    }
+    return array[Math.floor(this.next() * array.length)];
+  }
+
+  /**
+   * Ключ случайно с учётом весов: { brothers: 3, simple: 1 } → "brothers" в 3 из 4 случаев
+   * @param {Object<string, number>} weights - Веса (больше нуля)
+   * @returns {string} Ключ
+   */
+  pickWeighted(weights) {
+    const names = Object.keys(weights);
+    const total = names.reduce((sum, name) => sum + weights[name], 0);
+    let roll = this.next() * total;
+
+    for (const name of names) {
+      roll -= weights[name];
+      if (roll < 0) {
+        return name;
+      }
+    }
+
+    return names[names.length - 1];
+  }
+
+  /**
+   * Событие с вероятностью probability
+   * @param {number} probability - Вероятность 0 … 1
+   * @returns {boolean}
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+}
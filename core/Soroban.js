@@ -0,0 +1,313 @@
+// core/Soroban.js - Модель соробана (стержни с верхней и нижними бусинами)
+
+/**
+ * Soroban - общая модель состояния абакуса для всех правил.
+ *
+ * ФИЗИКА:
+ * - Стержень (разряд) = 1 верхняя бусина (5) + 4 нижние (1+1+1+1)
+ * - Значение стержня = (верхняя ? 5 : 0) + количество активных нижних
+ * - Стержни хранятся от младшего к старшему: rods[0] = единицы
+ *
+ * КЛАССИФИКАЦИЯ ХОДА НА СТЕРЖНЕ (planRodStep):
+ * - simple  - прямой ход: бусины двигаются только в сторону действия
+ * - brother - через 5: +3 = +5 - 2, -3 = -5 + 2
+ * - friend  - через 10: +7 = +10 - 3 (перенос в старший стержень)
+ * - mix     - через 10, но дополнение требует брата: +7 = +10 - 5 + 2
+ *
+ * Правила (Просто, Братья, Друзі, Мікс) не считают бусины сами,
+ * а спрашивают модель - поэтому техника добавляется или исправляется
+ * в одном месте.
+ *
+ * ДЕСЯТИЧНЫЕ ДРОБИ:
+ * Число хранится в единицах младшего стержня (12.35 при 2 знаках после
+ * запятой = 1235 на стержнях), поэтому вся арифметика - целочисленная.
+ * Стержень единиц (unit rod) - rods[decimalPlaces]; в строку число
+ * переводит formatValue, без ошибок плавающей точки.
+ *
+ * ИСПОЛЬЗОВАНИЕ:
+ * const abacus = Soroban.fromValue(15, 2);
+ * const plan = abacus.planDelta(7);
+ * // plan.ok === true, plan.to === 22, plan.technique === 'mix'
+ * // plan.steps[0].formula === '+7 = +10 - 5 + 2'
+ */
+export class Soroban {
+  /**
+   * Техники в порядке возрастания сложности
+   */
+  static TECHNIQUES = ['simple', 'brother', 'friend', 'mix'];
+
+  /**
+   * @param {number} rodCount - Количество стержней
+   * @param {Array<number>} [rods] - Значения стержней (0-9), rods[0] = единицы
+   */
+  constructor(rodCount = 1, rods = null) {
+    this.rodCount = Math.max(1, rodCount);
+    this.rods = rods ? [...rods] : new Array(this.rodCount).fill(0);
+  }
+
+  /**
+   * Создать абакус с числом на нём
+   * @param {number} value - Неотрицательное целое
+   * @param {number} rodCount - Количество стержней
+   * @returns {Soroban}
+   */
+  static fromValue(value, rodCount) {
+    const rods = new Array(rodCount).fill(0);
+    let rest = value;
+    for (let pos = 0; pos < rodCount; pos++) {
+      rods[pos] = rest % 10;
+      rest = Math.floor(rest / 10);
+    }
+    return new Soroban(rodCount, rods);
+  }
+
+  /**
+   * Число на абакусе
+   * @returns {number}
+   */
+  get value() {
+    return Soroban._rodsToValue(this.rods);
+  }
+
+  /**
+   * Бусины стержня
+   * @param {number} position - Номер стержня (0 = единицы)
+   * @returns {{upper:number, lower:number}}
+   */
+  getBeads(position) {
+    return Soroban.splitDigit(this.rods[position] ?? 0);
+  }
+
+  /**
+   * Разложить цифру на бусины
+   * @param {number} digit - 0-9
+   * @returns {{upper:number, lower:number}} upper 0/1, lower 0-4
+   */
+  static splitDigit(digit) {
+    return digit >= 5
+      ? { upper: 1, lower: digit - 5 }
+      : { upper: 0, lower: digit };
+  }
+
+  /**
+   * Спланировать ход delta (-9 … +9) на одном стержне со значением value.
+   * Выход за 0-9 означает перенос (+1) или заём (-1) из старшего стержня.
+   *
+   * @param {number} value - Значение стержня (0-9)
+   * @param {number} delta - Действие на стержне (-9 … +9)
+   * @param {number} [unit] - Вес стержня (1, 10, 100…) - только для формулы:
+   *        +3 на десятках → "+30 = +50 - 20"
+   * @param {number} [decimalPlaces] - Знаков после запятой (вес считается от
+   *        младшего стержня): +3 на десятых при 2 знаках → "+0.3 = +0.5 - 0.2"
+   * @returns {{from:number, to:number, delta:number, carry:number,
+   *            technique:string, formula:string,
+   *            moves:Array<{bead:string, count:number}>}}
+   */
+  static planRodStep(value, delta, unit = 1, decimalPlaces = 0) {
+    const signed = n => Soroban._signed(n, decimalPlaces);
+    const spaced = n => Soroban._spaced(n, decimalPlaces);
+
+    const target = value + delta;
+
+    // Переход через 10: перенос/заём + дополнение на этом стержне
+    if (target > 9 || target < 0) {
+      const carry = target > 9 ? 1 : -1;
+      const complement = Soroban.planRodStep(value, delta - carry * 10, unit, decimalPlaces);
+      const technique = complement.technique === 'simple' ? 'friend' : 'mix';
+      let formula = `${signed(delta * unit)} = ${signed(carry * 10 * unit)} ${spaced(complement.delta * unit)}`;
+
+      if (technique === 'mix') {
+        // Дополнение раскладывается через брата: +7 = +10 - 3 = +10 - 5 + 2
+        const beads = complement.moves
+          .map(move => spaced((move.bead === 'upper' ? move.count * 5 : move.count) * unit))
+          .join(' ');
+        formula += ` = ${signed(carry * 10 * unit)} ${beads}`;
+      }
+
+      return {
+        from: value,
+        to: complement.to,
+        delta,
+        carry,
+        technique,
+        formula,
+        moves: complement.moves
+      };
+    }
+
+    const from = Soroban.splitDigit(value);
+    const to = Soroban.splitDigit(target);
+    const upperMove = to.upper - from.upper;
+    const lowerMove = to.lower - from.lower;
+
+    const moves = [];
+    if (upperMove !== 0) {
+      moves.push({ bead: 'upper', count: upperMove });
+    }
+    if (lowerMove !== 0) {
+      moves.push({ bead: 'lower', count: lowerMove });
+    }
+
+    // Прямой ход: ни одна группа бусин не двигается против действия
+    const direct = upperMove * delta >= 0 && lowerMove * delta >= 0;
+
+    if (direct) {
+      return {
+        from: value,
+        to: target,
+        delta,
+        carry: 0,
+        technique: 'simple',
+        formula: signed(delta * unit),
+        moves
+      };
+    }
+
+    // Иначе - через 5 (брат): верхняя бусина в сторону действия,
+    // нижние компенсируют
+    return {
+      from: value,
+      to: target,
+      delta,
+      carry: 0,
+      technique: 'brother',
+      formula: `${signed(delta * unit)} = ${signed(upperMove * 5 * unit)} ${spaced(lowerMove * unit)}`,
+      moves
+    };
+  }
+
+  /**
+   * Спланировать прибавление числа delta ко всему абакусу.
+   * Цифры числа ставятся от единиц к старшим стержням; перенос/заём -
+   * отдельный ход ±1 на старшем стержне (может сам требовать техники).
+   *
+   * @param {number} delta - Целое число (любого знака)
+   * @returns {{ok:boolean, from:number, to:number, delta:number,
+   *            steps:Array, technique:string,
+   *            carries:number, borrows:number, beadMoves:number}}
+   *          ok = false, если перенос вышел за последний стержень
+   */
+  planDelta(delta) {
+    const rods = [...this.rods];
+    const steps = [];
+    const sign = Math.sign(delta);
+    let rest = Math.abs(delta);
+    let ok = true;
+
+    for (let pos = 0; rest > 0; pos++) {
+      const digit = rest % 10;
+      rest = Math.floor(rest / 10);
+
+      if (pos >= rods.length) {
+        ok = false;
+        break;
+      }
+
+      if (digit !== 0 && !Soroban._applyRodDelta(rods, pos, sign * digit, steps, false)) {
+        ok = false;
+        break;
+      }
+    }
+
+    return {
+      ok,
+      from: this.value,
+      to: Soroban._rodsToValue(rods),
+      delta,
+      steps,
+      technique: Soroban.maxTechnique(steps.map(step => step.technique)),
+      carries: steps.filter(step => step.carry > 0).length,
+      borrows: steps.filter(step => step.carry < 0).length,
+      beadMoves: steps.reduce(
+        (sum, step) => sum + step.moves.reduce((s, move) => s + Math.abs(move.count), 0),
+        0
+      )
+    };
+  }
+
+  /**
+   * Применить число к абакусу (если ход возможен)
+   * @param {number} delta
+   * @returns {Object} План хода (см. planDelta)
+   */
+  applyDelta(delta) {
+    const plan = this.planDelta(delta);
+    if (plan.ok) {
+      this.rods = Soroban.fromValue(plan.to, this.rodCount).rods;
+    }
+    return plan;
+  }
+
+  /**
+   * Самая сложная техника из списка
+   * @param {Array<string>} techniques
+   * @returns {string}
+   */
+  static maxTechnique(techniques) {
+    let maxIndex = 0;
+    for (const technique of techniques) {
+      maxIndex = Math.max(maxIndex, Soroban.TECHNIQUES.indexOf(technique));
+    }
+    return Soroban.TECHNIQUES[maxIndex];
+  }
+
+  /**
+   * Ход на стержне pos с каскадом переносов
+   * @returns {boolean} false, если перенос вышел за абакус
+   */
+  static _applyRodDelta(rods, pos, delta, steps, isCarry) {
+    if (pos >= rods.length) {
+      return false;
+    }
+
+    const step = Soroban.planRodStep(rods[pos], delta, Math.pow(10, pos));
+    steps.push({ position: pos, isCarry, ...step });
+    rods[pos] = step.to;
+
+    if (step.carry !== 0) {
+      return Soroban._applyRodDelta(rods, pos + 1, step.carry, steps, true);
+    }
+
+    return true;
+  }
+
+  static _rodsToValue(rods) {
+    return rods.reduce((sum, digit, pos) => sum + digit * Math.pow(10, pos), 0);
+  }
+
+  /**
+   * Число в единицах младшего стержня → десятичная строка (точка - разделитель)
+   *
+   * @param {number} value - Целое (1235)
+   * @param {number} [decimalPlaces] - Знаков после запятой (2)
+   * @param {boolean} [trimZeros] - Убрать незначащие нули дробной части
+   *        (ход стержня: 30 при 2 знаках → "0.3", а не "0.30")
+   * @returns {string} "12.35"; при 0 знаков - само число
+   */
+  static formatValue(value, decimalPlaces = 0, trimZeros = false) {
+    if (decimalPlaces <= 0) {
+      return String(value);
+    }
+
+    const digits = String(Math.abs(value)).padStart(decimalPlaces + 1, '0');
+    const whole = digits.slice(0, -decimalPlaces);
+    let fraction = digits.slice(-decimalPlaces);
+
+    if (trimZeros) {
+      fraction = fraction.replace(/0+$/, '');
+    }
+
+    return `${value < 0 ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+  }
+
+  static _signed(n, decimalPlaces = 0) {
+    const text = Soroban.formatValue(n, decimalPlaces, true);
+    return n >= 0 ? `+${text}` : text;
+  }
+
+  static _spaced(n, decimalPlaces = 0) {
+    return n >= 0
+      ? `+ ${Soroban.formatValue(n, decimalPlaces, true)}`
+      : `- ${Soroban.formatValue(-n, decimalPlaces, true)}`;
+  }
+}
@@ -12,21 +12,53 @@
 //   - "Братья": компенсация до 5
 //   - "Друзі": компенсация до 10 (🆕)
 //   - "Мікс": комбинация Братьев и Друзей (🆕)
+//   - "Множення": умножение a × b частичными произведениями
+//   - "Ділення": деление a ÷ b (нацело или с остатком)
+//
+// Блоки (и свои правила) описаны в RuleRegistry: класс правила, цифры,
+// старшинство, сборка конфигурации - генератор их не перечисляет.
 
-import { UnifiedSimpleRule } from "./rules/UnifiedSimpleRule.js";
 import { ExampleGenerator } from "./ExampleGenerator.js";
-import { BrothersRule } from "./rules/BrothersRule.js";
-import { FriendsRule } from "./rules/FriendsRule.js";    // 🆕 ДОБАВЛЕНО
-import { MixRule } from "./rules/MixRule.js";            // 🆕 ДОБАВЛЕНО
 import { MultiDigitGenerator } from "./MultiDigitGenerator.js";
+import { SeededRandom } from "./SeededRandom.js";
+import { BlendRule } from "./rules/BlendRule.js";
+import { RuleRegistry } from "./RuleRegistry.js";
 
 /**
  * Основная внешняя функция.
  * Вызывается из trainer_logic.js при показе каждого нового примера.
  *
  * @param {Object} settings - настройки из UI
- * @returns {{ start:number, steps:string[], answer:number }}
+ * @param {SeededRandom} [settings.random] - общий источник случайности (PrintGenerator передаёт один на весь лист)
+ * @param {number|string} [settings.seed] - зерно, если random не передан
+ * @param {string} [settings.blendMode] - "priority" | "example" | "step" (смешивание блоков)
+ * @param {{min?:number, max?:number}} [settings.techniqueSteps] - квота технических шагов на пример
+ * @param {{min?:number, max?:number}} [settings.start] - стартовое число примера
+ *        (min === max - фиксированное, иначе случайное из диапазона; по умолчанию 0)
+ * @param {number} [settings.decimalPlaces] - знаков после запятой (0-3) для примеров
+ *        на сложение/вычитание; ответ считается целыми числами без ошибок округления
+ * @param {number} [settings.negativeLimit] - насколько итог может уйти ниже нуля
+ *        (метод дополнения; 0 или не задано - итог не бывает отрицательным)
+ * @param {{first?:number, last?:number, weights?:Object<number, number>}} [settings.digitProfile] -
+ *        профиль разрядности многозначных чисел: длина первого и последнего числа
+ *        и веса длин остальных ({ first: 3, last: 1, weights: { 2: 1 } } → +345 +12 -23 +4);
+ *        длины - в цифрах целой части (дробные разряды добавляются сами)
+ * @param {{min?:number, max?:number}} [settings.totalRange] - границы промежуточных итогов
+ *        (после каждого шага; null = без границы)
+ * @param {{min?:number, max?:number}} [settings.answerRange] - границы ответа
+ *        (соблюдаются при построении цепочки, не перебором примеров)
+ * @param {Array<string>} [settings.forbiddenPatterns] - запрещённые шаблоны цепочки
+ *        ('inverse' +4 -4, 'repeat' +3 +3, 'zeroReturn' - возврат в ноль посреди примера)
+ * @returns {{ start:number, steps:string[], details:Object[], answer:number, blend:Object }}
  *          Пример в готовом формате для тренажёра.
+ *          details[i] - техника, формула и стержни шага steps[i];
+ *          blend - { mode, weights, block?, techniques } - какие блоки дали пример.
+ *          Примеры-операции дополнительно содержат operation ("multiply" | "divide"),
+ *          operands: [a, b] и (для деления) remainder; answer - произведение или частное.
+ *          Десятичные примеры - дробные числа в start/answer/steps, decimalPlaces
+ *          и unitRod (номер стержня единиц от младшего).
+ *          details[i].complement - шаг переводит итог через ноль (метод дополнения).
+ * @throws {Error} Если для настроек не существует допустимого примера
  */
 export function generateExample(settings = {}) {
   try {
@@ -34,6 +66,14 @@ export function generateExample(settings = {}) {
     console.log("🔍 [generator] settings.blocks:", settings.blocks);
     console.log("🔍 [generator] settings.actions:", settings.actions);
 
+    //
+    // 0. Источник случайности
+    //
+    // Все случайные решения (длина, действия, цифры) идут через него,
+    // поэтому одинаковый seed + одинаковые настройки = одинаковый пример.
+    //
+    const random = settings.random ?? new SeededRandom(settings.seed);
+
     //
     // 1. Разрядность
     //
@@ -51,6 +91,23 @@ export function generateExample(settings = {}) {
     // false → более строго (каждый столбец сам по себе).
     const combineLevels = settings.combineLevels === true;
 
+    // decimalPlaces: знаков после запятой (0-3).
+    // Дробные разряды - это младшие стержни абакуса, поэтому стержней
+    // digits + decimalPlaces, а стержень единиц - rods[decimalPlaces]
+    const decimalPlacesRaw = parseInt(settings.decimalPlaces, 10);
+    const decimalPlaces =
+      Number.isFinite(decimalPlacesRaw) ? Math.max(0, Math.min(3, decimalPlacesRaw)) : 0;
+    const rodCount = digitCount + decimalPlaces;
+
+    // negativeLimit: насколько итог может уйти ниже нуля (0 = не может).
+    // Ниже нуля считают методом дополнения по стержням, поэтому такие
+    // примеры всегда строит MultiDigitGenerator
+    const negativeLimitRaw = parseInt(settings.negativeLimit, 10);
+    const negativeLimit =
+      Number.isFinite(negativeLimitRaw) && negativeLimitRaw > 0
+        ? Math.min(negativeLimitRaw, Math.pow(10, digitCount) - 1)
+        : 0;
+
     //
     // 2. Длина примера (сколько шагов в последовательности)
     //
@@ -75,156 +132,159 @@ export function generateExample(settings = {}) {
     console.log("🔍 [generator] minSteps:", minSteps, "maxSteps:", maxSteps);
 
     //
-    // 3. Блоки (Просто, Братья, Друзі, Мікс)
+    // 3. Блоки (Просто, Братья, Друзі, Мікс, Множення, Ділення и свои правила)
     //
     const blocks = settings.blocks || {};
-    
-    // Какие цифры выбраны в каждом блоке
-    const simpleDigits = blocks?.simple?.digits || [];
-    const brothersDigits = blocks?.brothers?.digits || [];
-    const friendsDigits = blocks?.friends?.digits || [];      // 🆕 ДОБАВЛЕНО
-    const mixDigits = blocks?.mix?.digits || [];              // 🆕 ДОБАВЛЕНО
-
-    console.log("🔍 [generator] simpleDigits:", simpleDigits);
-    console.log("🔍 [generator] brothersDigits:", brothersDigits);
-    console.log("🔍 [generator] friendsDigits:", friendsDigits);    // 🆕
-    console.log("🔍 [generator] mixDigits:", mixDigits);            // 🆕
-
-    // Определяем, какой блок активен
-    const simpleActive = simpleDigits.length > 0;
-    const brothersActive = brothersDigits.length > 0;
-    const friendsActive = friendsDigits.length > 0;          // 🆕 ДОБАВЛЕНО
-    const mixActive = mixDigits.length > 0;                  // 🆕 ДОБАВЛЕНО
+
+    // Активные блоки (с выбранными цифрами) - от старшего к младшему
+    const activeBlocks = RuleRegistry.active(blocks, { byPriority: true }).map(rule => rule.id);
 
     console.log("📊 [generator] Активные блоки:");
-    console.log("   Просто:", simpleActive);
-    console.log("   Братья:", brothersActive);
-    console.log("   Друзі:", friendsActive);                 // 🆕
-    console.log("   Мікс:", mixActive);                      // 🆕
+    for (const name of activeBlocks) {
+      console.log(`   ${RuleRegistry.get(name).name}:`, blocks[name].digits);
+    }
 
     //
     // 4. Создаём правило
     //
     // Логика выбора:
-    // 1. Определяем базовый класс правила
-    // 2. Если digitCount > 1 → оборачиваем в MultiDigitGenerator
-    // 3. Если digitCount === 1 → используем правило напрямую
+    // 1. Определяем базовый класс правила (по режиму смешивания блоков)
+    // 2. Если стержней > 1 (digitCount + decimalPlaces) → оборачиваем в MultiDigitGenerator
+    // 3. Если один стержень → используем правило напрямую
+    //
+    // Режимы смешивания (settings.blendMode):
+    //   - "priority" (по умолчанию): один блок по старшинству правила в реестре
+    //                (Ділення > Множення > Мікс > Друзі > Братья > Просто)
+    //   - "example": каждый пример берёт один блок, случайно по весам учителя
+    //   - "step":    каждый шаг берётся из действий всех блоков с весами (BlendRule);
+    //                блоки-операции (умножение, деление) занимают целые примеры по своему весу
+    // Вес блока - blocks.<блок>.weight (по умолчанию 1, 0 = блок не участвует).
+    // Приоритет техники блока - blocks.<блок>.priority (0.1-1, по умолчанию правила).
     //
     let rule;
 
+    // Квота технических шагов (например "2-3 братских, остальные простые").
+    // Не задано → по умолчанию правила: хотя бы один технический шаг
+    const techniqueCfg = settings.techniqueSteps || {};
+
+    // Стартовое число ("начни с 50 и сделай 5 шагов").
+    // Не задано → пример начинается с пустого абакуса
+    const startCfg = settings.start || {};
+    const startMin = parseInt(startCfg.min ?? 0, 10) || 0;
+    const startMax = parseInt(startCfg.max ?? startMin, 10) || startMin;
+    // Старт задаётся целым числом, а на абакусе - в единицах младшего стержня
+    const startScale = Math.pow(10, decimalPlaces);
+
+    // Границы итогов и ответа - в единицах младшего стержня (как все числа на абакусе)
+    const totalBounds = scaleBounds(settings.totalRange, startScale);
+    const answerBounds = scaleBounds(settings.answerRange, startScale);
+
+    const common = {
+      minSteps: minSteps,
+      maxSteps: maxSteps,
+      digitCount: digitCount,  // ИСПРАВЛЕНО: передаем реальную разрядность
+      combineLevels: combineLevels,
+      minTechniqueSteps: techniqueCfg.min ?? null,
+      maxTechniqueSteps: techniqueCfg.max ?? null,
+      startMin: startMin * startScale,
+      startMax: startMax * startScale,
+      // Бесполезные шаблоны цепочки (+4 -4, +3 +3, возврат в ноль) - см. PatternFilter
+      forbiddenPatterns: settings.forbiddenPatterns || [],
+      totalMin: totalBounds.min,
+      totalMax: totalBounds.max,
+      answerMin: answerBounds.min,
+      answerMax: answerBounds.max
+    };
+
+    const blendMode = settings.blendMode ?? "priority";
+    const weights = blendWeights(activeBlocks, blocks);
+    const blendBlocks = Object.keys(weights);
+
+    console.log("🧩 [generator] Режим смешивания:", blendMode, weights);
+
+    // Все веса нулевые - учитель выключил все блоки (а не выбрал старший)
+    if (blendMode !== "priority" && activeBlocks.length > 0 && blendBlocks.length === 0) {
+      throw new Error("Все активные блоки с весом 0: хотя бы у одного блока вес должен быть больше нуля");
+    }
+
     // === ОПРЕДЕЛЯЕМ БАЗОВЫЙ КЛАСС ПРАВИЛА ===
     let RuleClass;
     let ruleConfigForClass;
+    let blend;
 
-    // Приоритет: Мікс > Друзі > Братья > Просто
-    
-    if (mixActive) {
-      // 🆕 БЛОК "МІКС"
-      console.log("🔄 [generator] Базовое правило: МІКС");
-      console.log("   📌 Выбранные цифры:", mixDigits);
-      console.log("   📌 Только сложение:", blocks?.mix?.onlyAddition);
-      console.log("   📌 Только вычитание:", blocks?.mix?.onlySubtraction);
-
-      RuleClass = MixRule;
-      
-      const selectedMixDigits = mixDigits
-        .map(d => parseInt(d, 10))
-        .filter(n => n >= 6 && n <= 9);
+    // В режиме "step" блоки-операции не смешиваются с шагами:
+    // сначала по весам решаем, будет ли пример операцией или цепочкой шагов
+    let stepBlocks = blendBlocks;
+    const isOperation = name => RuleRegistry.get(name).operation;
+    if (blendMode === "step" && blendBlocks.some(isOperation)) {
+      const chainBlocks = blendBlocks.filter(name => !isOperation(name));
+      const choiceWeights = { ...weights };
+      for (const name of chainBlocks) {
+        delete choiceWeights[name];
+      }
+      if (chainBlocks.length > 0) {
+        choiceWeights.chain = chainBlocks.reduce((sum, name) => sum + weights[name], 0);
+      }
+      const choice = random.pickWeighted(choiceWeights);
+      stepBlocks = choice === "chain" ? chainBlocks : [choice];
+    }
 
-      ruleConfigForClass = {
-        selectedDigits: selectedMixDigits.length > 0 ? selectedMixDigits : [6, 7, 8, 9],
-        onlyAddition: blocks?.mix?.onlyAddition ?? false,
-        onlySubtraction: blocks?.mix?.onlySubtraction ?? false,
-        minSteps: minSteps,
-        maxSteps: maxSteps,
-        digitCount: digitCount,  // ИСПРАВЛЕНО: передаем реальную разрядность
-        combineLevels: combineLevels,
-        blocks: blocks
-      };
-      
-    } else if (friendsActive) {
-      // 🆕 БЛОК "ДРУЗІ"
-      console.log("🤝 [generator] Базовое правило: ДРУЗІ");
-      console.log("   📌 Выбранные друзья:", friendsDigits);
-      console.log("   📌 Только сложение:", blocks?.friends?.onlyAddition);
-      console.log("   📌 Только вычитание:", blocks?.friends?.onlySubtraction);
-
-      RuleClass = FriendsRule;
-      
-      const selectedFriendsDigits = friendsDigits
-        .map(d => parseInt(d, 10))
-        .filter(n => n >= 1 && n <= 9);
+    if (blendMode === "step" && blendBlocks.length > 1 && stepBlocks.length === 1) {
+      // Выбран блок-операция (или в цепочке остался один блок)
+      const block = stepBlocks[0];
+      ({ RuleClass, config: ruleConfigForClass } = buildBlockRule(block, blocks, common));
+      blend = { mode: "step", weights, block };
 
+    } else if (blendMode === "step" && stepBlocks.length > 1) {
+      // Каждый шаг - из любого блока (с весами)
+      RuleClass = BlendRule;
       ruleConfigForClass = {
-        selectedDigits: selectedFriendsDigits.length > 0 ? selectedFriendsDigits : [9],
-        onlyAddition: blocks?.friends?.onlyAddition ?? false,
-        onlySubtraction: blocks?.friends?.onlySubtraction ?? false,
-        minSteps: minSteps,
-        maxSteps: maxSteps,
-        digitCount: digitCount,  // ИСПРАВЛЕНО: передаем реальную разрядность
-        combineLevels: combineLevels,
-        blocks: blocks
+        ...common,
+        entries: stepBlocks.map(name => ({
+          block: name,
+          weight: weights[name],
+          ...buildBlockRule(name, blocks, common)
+        }))
       };
-      
-    } else if (brothersActive) {
-      // БЛОК "БРАТЬЯ"
-      console.log("👬 [generator] Базовое правило: БРАТЬЯ");
-      console.log("   📌 Выбранные братья:", brothersDigits);
-      console.log("   📌 Только сложение:", blocks?.brothers?.onlyAddition);
-      console.log("   📌 Только вычитание:", blocks?.brothers?.onlySubtraction);
-
-      RuleClass = BrothersRule;
-      
-      const selectedBrothersDigits = brothersDigits
-        .map(d => parseInt(d, 10))
-        .filter(n => n >= 1 && n <= 4);
-
-      ruleConfigForClass = {
-        selectedDigits: selectedBrothersDigits.length > 0 ? selectedBrothersDigits : [4],
-        onlyAddition: blocks?.brothers?.onlyAddition ?? false,
-        onlySubtraction: blocks?.brothers?.onlySubtraction ?? false,
-        minSteps: minSteps,
-        maxSteps: maxSteps,
-        digitCount: digitCount,  // ИСПРАВЛЕНО: передаем реальную разрядность
-        combineLevels: combineLevels,
-        blocks: blocks
-      };
-      
-    } else {
-      // БЛОК "ПРОСТО" (по умолчанию)
-      console.log("📘 [generator] Базовое правило: ПРОСТО");
-      
-      RuleClass = UnifiedSimpleRule;
-      
-      // Преобразуем строковые цифры в числа
-      const selectedSimpleDigits = simpleDigits
-        .map(d => parseInt(d, 10))
-        .filter(n => n >= 1 && n <= 9);
+      blend = { mode: "step", weights };
 
-      // includeFive определяет максимальное состояние (4 или 9)
-      const includeFive = selectedSimpleDigits.some(d => d >= 5);
+    } else if (blendMode === "example" && blendBlocks.length > 1) {
+      // Весь пример - из одного блока, выбранного по весам
+      const block = random.pickWeighted(weights);
+      ({ RuleClass, config: ruleConfigForClass } = buildBlockRule(block, blocks, common));
+      blend = { mode: "example", weights, block };
 
-      ruleConfigForClass = {
-        selectedDigits: selectedSimpleDigits.length > 0 ? selectedSimpleDigits : [1, 2, 3, 4],
-        includeFive: includeFive,
-        onlyAddition: blocks?.simple?.onlyAddition ?? false,
-        onlySubtraction: blocks?.simple?.onlySubtraction ?? false,
-        minSteps: minSteps,
-        maxSteps: maxSteps,
-        digitCount: digitCount,  // ИСПРАВЛЕНО: передаем реальную разрядность
-        combineLevels: combineLevels
-      };
+    } else {
+      // Единственный блок с весом, в режиме "priority" - старший активный (ни одного - "Просто")
+      const block = (blendMode !== "priority" ? blendBlocks[0] : undefined) ?? activeBlocks[0] ?? "simple";
+      ({ RuleClass, config: ruleConfigForClass } = buildBlockRule(block, blocks, common));
+      blend = { mode: "priority", weights, block };
     }
 
+    // Правило и обёртка берут случайность из общего источника
+    ruleConfigForClass.random = random;
+
     // === ВЫБИРАЕМ ОДНОРАЗРЯДНОЕ ИЛИ МНОГОРАЗРЯДНОЕ ===
-    if (digitCount > 1) {
-      console.log(`🔢 [generator] Режим МНОГОРАЗРЯДНЫЙ (${digitCount} разрядов)`);
+    // Правила, которые сами строят многозначные числа (умножение, деление),
+    // в MultiDigitGenerator не оборачиваются
+    const buildsWholeExample = typeof RuleClass.prototype.generateExample === "function";
+
+    if (buildsWholeExample) {
+      console.log(`✖️ [generator] Режим ОПЕРАЦИИ (${RuleClass.name})`);
+      rule = new RuleClass(ruleConfigForClass);
+    } else if (rodCount > 1 || negativeLimit > 0) {
+      console.log(`🔢 [generator] Режим МНОГОРАЗРЯДНЫЙ (${digitCount} разрядов, ${decimalPlaces} после запятой)`);
       console.log(`   📌 Переменная разрядность: ${combineLevels}`);
       
       // Многоразрядный режим - используем MultiDigitGenerator
-      rule = new MultiDigitGenerator(RuleClass, digitCount, {
+      // (дробные разряды - младшие стержни того же абакуса)
+      rule = new MultiDigitGenerator(RuleClass, rodCount, {
         ...ruleConfigForClass,
+        digitCount: rodCount,
+        decimalPlaces: decimalPlaces,
+        negativeLimit: negativeLimit * startScale,
         variableDigitCounts: combineLevels,
+        digitProfile: rodProfile(settings.digitProfile, decimalPlaces),
         minSteps: minSteps,
         maxSteps: maxSteps
       });
@@ -238,19 +298,26 @@ export function generateExample(settings = {}) {
     //
     // 5. Генерируем пример
     //
-    const gen = new ExampleGenerator(rule);
-    const rawExample = gen.generate(); // { start, steps:[{action,fromState,toState}], answer }
+    const gen = new ExampleGenerator(rule, random);
+    const rawExample = gen.generate(); // { start, steps:[{action,fromState,toState,technique,formula,...}], answer }
 
     //
     // 6. Преобразуем к формату, который ждёт UI/trainer_logic:
     // {
     //    start: 0,
     //    steps: ["+3","+1","-4", ...],
+    //    details: [{ technique, formula, formulaKey, rods }, ...],
     //    answer: 0
     // }
     //
     const formatted = gen.toTrainerFormat(rawExample);
 
+    // Какие блоки дали пример и сколько шагов каждой техники
+    formatted.blend = {
+      ...blend,
+      techniques: countTechniques(formatted.details)
+    };
+
     console.log(
       "✅ [generator] пример готов:",
       JSON.stringify(formatted, null, 2)
@@ -261,12 +328,205 @@ export function generateExample(settings = {}) {
     console.error("❌ [generator] Ошибка генерации примера:", error);
     console.error(error.stack);
 
-    // Fallback: возвращаем простой пример
-    console.warn("⚠️ [generator] Возвращаем fallback пример");
-    return {
-      start: 0,
-      steps: ["+1", "+2", "-1"],
-      answer: 2
-    };
+    // Никаких подменных примеров: вызывающий код должен узнать,
+    // что настройки не допускают ни одной цепочки
+    throw error;
+  }
+}
+
+/**
+ * Стартовое число, с которого блок примера-цепочки начать не может:
+ * цифра на каком-то стержне - не состояние правила блока
+ * (у "Просто 1-4" бусины 5 нет - старт 5 или 50 невозможен).
+ * Проверяются блоки, которые построят пример в режиме смешивания:
+ * "priority" - старший блок, "example" - каждый блок с весом,
+ * "step" - смесь (цифра доступна, если доступна хотя бы одному блоку).
+ *
+ * @param {Object} settings - { blocks, blendMode, start: { min, max } } (старт - целое)
+ * @returns {{block:string, start:number, maxDigit:number}|null} null - старт допустим
+ */
+export function findUnusableStart(settings = {}) {
+  const blocks = settings.blocks || {};
+  const starts = [settings.start?.min, settings.start?.max].filter(value => value !== null && value !== undefined);
+  if (starts.length === 0) {
+    return null;
   }
+
+  const activeBlocks = RuleRegistry.active(blocks, { byPriority: true }).map(rule => rule.id);
+  const weights = blendWeights(activeBlocks, blocks);
+  const weighted = Object.keys(weights);
+  const isChain = name => !RuleRegistry.get(name).operation;
+  const blendMode = settings.blendMode ?? "priority";
+
+  // Наибольшая доступная цифра стержня у правила блока
+  const limitOf = name => {
+    const { RuleClass, config } = buildBlockRule(name, blocks, {});
+    return new RuleClass(config).startDigitLimit();
+  };
+
+  let checks;
+  if (blendMode === "step" && weighted.filter(isChain).length > 1) {
+    const limits = weighted.filter(isChain).map(name => ({ block: name, maxDigit: limitOf(name) }));
+    checks = [limits.reduce((best, entry) => (entry.maxDigit > best.maxDigit ? entry : best))];
+  } else if (blendMode !== "priority" && weighted.length > 1) {
+    checks = weighted.filter(isChain).map(name => ({ block: name, maxDigit: limitOf(name) }));
+  } else {
+    const block = (blendMode !== "priority" ? weighted[0] : undefined) ?? activeBlocks[0] ?? "simple";
+    checks = isChain(block) ? [{ block, maxDigit: limitOf(block) }] : [];
+  }
+
+  for (const { block, maxDigit } of checks) {
+    const start = starts.find(value => String(value).split('').some(digit => Number(digit) > maxDigit));
+    if (start !== undefined) {
+      return { block, start, maxDigit };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Наименьшее изменение итога за один шаг после первого (в единицах примера).
+ * Итоги до и после такого шага оба в границах totalRange, поэтому границы
+ * уже этого шага цепочку не допускают: каждое 3-значное число меняет итог
+ * минимум на 100. Длины шагов - как у MultiDigitGenerator: профиль
+ * разрядности (последнее число и веса остальных), иначе переменная
+ * разрядность (числа от одного стержня), иначе полная разрядность.
+ *
+ * @param {Object} settings - { digitCount, decimalPlaces, combineLevels, digitProfile, actionsCount }
+ * @returns {number|null} null - в примере меньше двух шагов
+ */
+export function minStepSize(settings = {}) {
+  const { digitCount = 1, decimalPlaces = 0, combineLevels = false, digitProfile = null } = settings;
+  const actionsCount = settings.actionsCount ?? 1;
+
+  if (actionsCount < 2) {
+    return null;
+  }
+
+  let length;
+  if (digitProfile) {
+    const middle = Object.keys(digitProfile.weights || {}).map(Number);
+    const lengths = middle.length > 0 ? middle : [digitCount];
+    const later = actionsCount > 2 ? [...lengths] : [];
+    later.push(...(digitProfile.last ? [digitProfile.last] : lengths));
+    length = Math.min(...later);
+  } else if (combineLevels && digitCount + decimalPlaces > 1) {
+    // Переменная разрядность: число может занять один младший стержень
+    return Math.pow(10, -decimalPlaces);
+  } else {
+    length = digitCount;
+  }
+
+  // Старшая цифра числа не ноль: length-значное число - от 10^(length-1)
+  return Math.pow(10, length - 1);
+}
+
+/**
+ * Класс и конфигурация правила для одного блока (по описанию из RuleRegistry).
+ *
+ * @param {string} blockName - id правила в реестре ("simple", "brothers", ...)
+ * @param {Object} blocks - Настройки блоков из UI
+ * @param {Object} common - Общие параметры (minSteps, maxSteps, digitCount, combineLevels, квота, старт)
+ * @returns {{ RuleClass: Function, config: Object }}
+ * @throws {Error} Если правило не зарегистрировано
+ */
+function buildBlockRule(blockName, blocks, common) {
+  const rule = RuleRegistry.get(blockName);
+  if (!rule) {
+    throw new Error(`Неизвестный блок: ${blockName}`);
+  }
+
+  const block = blocks?.[blockName] || {};
+
+  return {
+    RuleClass: rule.RuleClass,
+    config: rule.buildConfig({
+      block,
+      blocks,
+      common,
+      digits: RuleRegistry.selectedDigits(rule, block.digits)
+    })
+  };
+}
+
+/**
+ * Границы { min, max } в единицах младшего стержня: 12.3 при 2 знаках → 1230.
+ * Дробная граница округляется внутрь диапазона
+ *
+ * @param {{min?:number, max?:number}|undefined} range - Границы (null = без границы)
+ * @param {number} scale - 10^decimalPlaces
+ * @returns {{min:number|null, max:number|null}}
+ */
+function scaleBounds(range, scale) {
+  const min = range?.min ?? null;
+  const max = range?.max ?? null;
+
+  return {
+    min: min === null ? null : Math.ceil(Math.round(min * scale * 1e6) / 1e6),
+    max: max === null ? null : Math.floor(Math.round(max * scale * 1e6) / 1e6)
+  };
+}
+
+/**
+ * Профиль разрядности в стержнях: длины из UI - цифры целой части,
+ * у дробного примера к каждой добавляются знаки после запятой
+ *
+ * @param {Object|null} profile - { first, last, weights }
+ * @param {number} decimalPlaces - Знаков после запятой
+ * @returns {Object|null} Профиль для MultiDigitGenerator или null
+ */
+function rodProfile(profile, decimalPlaces) {
+  if (!profile) {
+    return null;
+  }
+
+  const toRods = length => (length ? length + decimalPlaces : null);
+  const weights = {};
+  for (const [length, weight] of Object.entries(profile.weights || {})) {
+    weights[toRods(Number(length))] = weight;
+  }
+
+  return {
+    first: toRods(profile.first),
+    last: toRods(profile.last),
+    weights
+  };
+}
+
+/**
+ * Веса активных блоков для смешивания.
+ * Вес не задан → 1; вес ≤ 0 → блок не участвует в смешивании.
+ *
+ * @param {Array<string>} activeBlocks - Блоки с выбранными цифрами
+ * @param {Object} blocks - Настройки блоков
+ * @returns {Object<string, number>} { brothers: 2, friends: 1, ... }
+ */
+function blendWeights(activeBlocks, blocks) {
+  const weights = {};
+
+  for (const name of activeBlocks) {
+    const weight = Number(blocks[name].weight ?? 1);
+    if (Number.isFinite(weight) && weight > 0) {
+      weights[name] = weight;
+    }
+  }
+
+  return weights;
+}
+
+/**
+ * Сколько шагов каждой техники в примере
+ *
+ * @param {Array<Object>} details - Описание шагов (toTrainerFormat)
+ * @returns {Object<string, number>} { simple: 3, brother: 2 }
+ */
+function countTechniques(details) {
+  const counts = {};
+
+  for (const detail of details) {
+    counts[detail.technique] = (counts[detail.technique] || 0) + 1;
+  }
+
+  return counts;
 }
@@ -1,5 +1,9 @@
 // core/rules/BaseRule.js - Базовое правило для генерации примеров
 
+import { SeededRandom } from "../SeededRandom.js";
+import { Soroban } from "../Soroban.js";
+import { PatternFilter } from "../PatternFilter.js";
+
 /**
  * BaseRule - абстрактный базовый класс для всех правил генерации примеров.
  * Он задаёт общий интерфейс и безопасные дефолты.
@@ -18,6 +22,11 @@ export class BaseRule {
     // 🔥 ИСПРАВЛЕНИЕ: убрали this.name - дочерние классы сами устанавливают имя
     this.description = "Базовая логика для всех правил";
 
+    // Источник случайности (общий для всего листа, если передан снаружи).
+    // Храним отдельно от config, чтобы config оставался сериализуемым.
+    const { random, ...restConfig } = config;
+    this.random = random ?? new SeededRandom();
+
     // Базовая конфигурация.
     // ВНИМАНИЕ: не навязываем maxState=9 жёстко.
     // Наследник (например UnifiedSimpleRule) может передать свой maxState
@@ -32,18 +41,46 @@ export class BaseRule {
       allowedActions: config.allowedActions ?? [],   // Разрешённые действия (если правило использует статический список)
       forbiddenActions: config.forbiddenActions ?? [],
 
+      // Запрещённые шаблоны цепочки (см. PatternFilter.PATTERNS):
+      // 'inverse' (+4 -4), 'repeat' (+3 +3), 'zeroReturn' (возврат в ноль посреди примера)
+      forbiddenPatterns: config.forbiddenPatterns ?? [],
+
       digitCount: config.digitCount ?? 1,            // Количество разрядов (1=однозначные, 2=двузначные и т.д.)
       combineLevels: config.combineLevels ?? false,  // Комбинировать уровни (все разряды движутся одновременно)
 
       onlyAddition: config.onlyAddition ?? false,     // Только сложение
       onlySubtraction: config.onlySubtraction ?? false, // Только вычитание
 
+      // Обязательна ли техника правила (брат, друг...) хотя бы в одном шаге
+      requireTechniqueStep: config.requireTechniqueStep ?? false,
+
+      // Квота технических шагов на пример (null = по умолчанию: min 1, без max).
+      // Действует только для правил с техникой (requireTechniqueStep)
+      minTechniqueSteps: config.minTechniqueSteps ?? null,
+      maxTechniqueSteps: config.maxTechniqueSteps ?? null,
+
+      // Стартовое число примера: фиксированное (startMin === startMax)
+      // или случайное из диапазона. По умолчанию - с пустого абакуса (0)
+      startMin: config.startMin ?? 0,
+      startMax: config.startMax ?? config.startMin ?? 0,
+
+      // Границы промежуточных итогов (после каждого шага) и ответа.
+      // null = без границы; ответ - тоже итог, поэтому должен уложиться в обе
+      totalMin: config.totalMin ?? null,
+      totalMax: config.totalMax ?? null,
+      answerMin: config.answerMin ?? null,
+      answerMax: config.answerMax ?? null,
+
       // Дополнительные параметры (могут использоваться специализированными правилами)
       selectedDigits: config.selectedDigits ?? [],    // Выбранные цифры для генерации
       includeFive: config.includeFive ?? true,        // Включать пятёрку (для UnifiedSimpleRule)
 
-      ...config  // Все остальные параметры из входного config
+      ...restConfig  // Все остальные параметры из входного config
     };
+
+    // Фильтр шаблонов и счётчик отказов по шаблонам ({ inverse: 3, ... })
+    this.patternFilter = new PatternFilter(this.config.forbiddenPatterns);
+    this.patternRejections = {};
   }
 
   /**
@@ -53,15 +90,93 @@ export class BaseRule {
    * @returns {number|Array} Стартовое состояние (число или массив для многоразрядных)
    */
   generateStartState() {
-    // По умолчанию начинаем с 0
+    // Одноразрядный пример - стартовое число из настроек (по умолчанию 0)
     if (this.config.digitCount === 1) {
-      return 0;
+      return this.pickStartValue(this.config.minState, this.config.maxState);
     }
     
     // Для многоразрядных - массив нулей
     return new Array(this.config.digitCount).fill(0);
   }
 
+  /**
+   * Диапазон стартового числа (startMin-startMax)
+   * 
+   * @param {number} min - Наименьшее допустимое число на абакусе
+   * @param {number} max - Наибольшее допустимое число на абакусе
+   * @returns {{min:number, max:number}}
+   * @throws {Error} Если диапазон не помещается в [min, max] или правило не может с него начать
+   */
+  getStartRange(min, max) {
+    const { startMin, startMax } = this.config;
+    const from = Math.min(startMin, startMax);
+    const to = Math.max(startMin, startMax);
+
+    if (from < min || to > max) {
+      throw new Error(`Стартовое число ${from}-${to} вне диапазона ${min}-${max}`);
+    }
+    for (const value of [from, to]) {
+      if (!this.isStartUsable(value)) {
+        throw new Error(
+          `Правило "${this.name}" не может начать с ${value}: на стержнях только цифры ${this.config.minState}-${this.startDigitLimit()}`
+        );
+      }
+    }
+
+    return { min: from, max: to };
+  }
+
+  /**
+   * Случайное стартовое число из диапазона настроек.
+   * Число, с которого правило начать не может (у "Просто 1-4" - 57),
+   * заменяется ближайшим меньшим допустимым (44)
+   * 
+   * @param {number} min - Наименьшее допустимое число на абакусе
+   * @param {number} max - Наибольшее допустимое число на абакусе
+   * @returns {number}
+   */
+  pickStartValue(min, max) {
+    const range = this.getStartRange(min, max);
+    if (range.min === range.max) {
+      return range.min;
+    }
+
+    const value = this.random.int(range.min, range.max);
+    if (this.isStartUsable(value)) {
+      return value;
+    }
+
+    // Первая недоступная цифра и все младшие - наибольшая доступная
+    const limit = this.startDigitLimit();
+    const digits = String(value).split('').map(Number);
+    const first = digits.findIndex(digit => digit > limit);
+    const snapped = Number(digits.map((digit, i) => (i < first ? digit : limit)).join(''));
+
+    return snapped >= range.min ? snapped : range.min;
+  }
+
+  /**
+   * Наибольшая цифра стержня, с которой правило может начать:
+   * maxState одного стержня ("Просто 1-4" - 4), с переносом (maxState ≥ 99) - 9
+   * 
+   * @returns {number}
+   */
+  startDigitLimit() {
+    return this.config.maxState >= 99 ? 9 : Math.min(9, this.config.maxState);
+  }
+
+  /**
+   * Может ли правило начать пример с числа value (в единицах младшего стержня):
+   * каждая цифра на стержне - состояние правила
+   * 
+   * @param {number} value - Неотрицательное целое
+   * @returns {boolean}
+   */
+  isStartUsable(value) {
+    const limit = this.startDigitLimit();
+    return String(value).split('').every(digit => Number(digit) >= this.config.minState && Number(digit) <= limit);
+  }
+
   /**
    * Генерация количества шагов в примере
    * Дочерние классы могут переопределить
@@ -75,7 +190,26 @@ export class BaseRule {
       return minSteps;
     }
     
-    return minSteps + Math.floor(Math.random() * (maxSteps - minSteps + 1));
+    return this.random.int(minSteps, maxSteps);
+  }
+
+  /**
+   * Случайное число заданной длины из разрешённых цифр (старшая - не 0).
+   * Для правил, которые строят операнды целиком (умножение, деление)
+   * 
+   * @param {number} length - Количество цифр
+   * @param {Array<number>} digits - Разрешённые цифры
+   * @returns {number}
+   */
+  randomNumber(length, digits) {
+    const leading = digits.filter(d => d !== 0);
+    let number = this.random.pick(leading.length > 0 ? leading : [1]);
+
+    for (let i = 1; i < length; i++) {
+      number = number * 10 + this.random.pick(digits);
+    }
+
+    return number;
   }
 
   /**
@@ -160,6 +294,10 @@ export class BaseRule {
       return false;
     }
 
+    if (!this.validatePatterns(example) || !this.validateTotals(example)) {
+      return false;
+    }
+
     // Проверка флагов onlyAddition / onlySubtraction
     if (this.config.onlyAddition) {
       const hasNegative = example.steps.some(step => {
@@ -250,6 +388,289 @@ export class BaseRule {
     return true;
   }
 
+  /**
+   * Является ли переход "техническим" шагом правила (брат, друг, микс).
+   * Генератор считает такие шаги при поиске цепочки, чтобы соблюдать
+   * квоту технических шагов (getTechniqueQuota).
+   * Дочерние классы с обязательной техникой переопределяют.
+   *
+   * @param {number} from - Состояние до шага
+   * @param {number} to - Состояние после шага
+   * @returns {boolean}
+   */
+  isTechniqueTransition(from, to) {
+    return false;
+  }
+
+  /**
+   * Сколько технических шагов допускается в одном примере.
+   * Для правил без техники ("Просто") квоты нет.
+   *
+   * @returns {{min:number, max:number}} max = Infinity, если не ограничен
+   */
+  getTechniqueQuota() {
+    const { requireTechniqueStep, minTechniqueSteps, maxTechniqueSteps } = this.config;
+
+    if (!requireTechniqueStep) {
+      return { min: 0, max: Infinity };
+    }
+
+    return {
+      min: minTechniqueSteps ?? 1,
+      max: maxTechniqueSteps ?? Infinity
+    };
+  }
+
+  /**
+   * Количество технических шагов примера (по isTechniqueTransition)
+   *
+   * @param {Object} example - Пример { start, steps }
+   * @returns {number}
+   */
+  countTechniqueSteps(example) {
+    let count = 0;
+    let currentState = example.start;
+
+    for (const step of example.steps) {
+      const nextState = this.applyAction(currentState, step.action);
+      if (this.isTechniqueTransition(currentState, nextState)) {
+        count++;
+      }
+      currentState = nextState;
+    }
+
+    return count;
+  }
+
+  /**
+   * Проверка квоты технических шагов (getTechniqueQuota)
+   *
+   * @param {Object} example - Пример
+   * @returns {boolean} Укладывается ли пример в квоту
+   */
+  validateTechniqueQuota(example) {
+    const { min, max } = this.getTechniqueQuota();
+    const count = this.countTechniqueSteps(example);
+
+    if (count < min || count > max) {
+      console.warn(
+        `⚠️ ${this.name || 'BaseRule'}: технических шагов ${count}, ` +
+        `нужно ${min}-${max === Infinity ? '∞' : max}`
+      );
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Какой запрещённый шаблон образует шаг (PatternFilter.checkStep).
+   * Генераторы вызывают при выборе шага; отказ учитывается в patternRejections
+   *
+   * @param {number|null} previous - Предыдущее действие (null - шаг первый)
+   * @param {number} action - Действие шага
+   * @param {number} nextState - Итог после шага
+   * @param {boolean} isLast - Последний ли шаг примера
+   * @returns {string|null} Имя шаблона или null, если шаг допустим
+   */
+  checkPatternStep(previous, action, nextState, isLast) {
+    const pattern = this.patternFilter.checkStep(previous, action, nextState, isLast);
+    if (pattern) {
+      this.patternRejections[pattern] = (this.patternRejections[pattern] || 0) + 1;
+    }
+    return pattern;
+  }
+
+  /**
+   * Проверка запрещённых шаблонов цепочки (forbiddenPatterns)
+   *
+   * @param {Object} example - Пример { start, steps }
+   * @returns {boolean} Нет ли в примере запрещённого шаблона
+   */
+  validatePatterns(example) {
+    const violation = this.patternFilter.findViolation(example);
+
+    if (violation) {
+      this.patternRejections[violation.pattern] = (this.patternRejections[violation.pattern] || 0) + 1;
+      console.warn(
+        `⚠️ ${this.name || 'BaseRule'}: шаблон "${violation.pattern}" на шаге ${violation.index + 1} (${violation.fragment})`
+      );
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Допустим ли итог после шага: в границах промежуточных итогов
+   * (totalMin-totalMax), а после последнего шага - и в границах ответа
+   * (answerMin-answerMax). Генераторы проверяют это при выборе шага,
+   * поэтому границы соблюдаются при построении цепочки
+   *
+   * @param {number} state - Итог после шага
+   * @param {boolean} isLast - Последний ли шаг примера
+   * @returns {boolean}
+   */
+  isTotalAllowed(state, isLast) {
+    const { min, max } = this.getTotalBounds(isLast);
+    return state >= min && state <= max;
+  }
+
+  /**
+   * Границы итога после шага: totalMin-totalMax, а после последнего шага -
+   * их пересечение с answerMin-answerMax. Многозначный генератор сужает
+   * по ним выбор цифр на стержнях
+   *
+   * @param {boolean} isLast - Последний ли шаг примера
+   * @returns {{min:number, max:number}} Без границы - -Infinity / Infinity
+   */
+  getTotalBounds(isLast) {
+    const { totalMin, totalMax, answerMin, answerMax } = this.config;
+    let min = totalMin ?? -Infinity;
+    let max = totalMax ?? Infinity;
+
+    if (isLast) {
+      min = Math.max(min, answerMin ?? -Infinity);
+      max = Math.min(max, answerMax ?? Infinity);
+    }
+
+    return { min, max };
+  }
+
+  /**
+   * Проверка границ итогов и ответа (isTotalAllowed) по всем шагам
+   *
+   * @param {Object} example - Пример { start, steps }
+   * @returns {boolean} Все итоги в границах
+   */
+  validateTotals(example) {
+    let state = example.start;
+
+    for (let index = 0; index < example.steps.length; index++) {
+      state += example.steps[index].action;
+
+      if (!this.isTotalAllowed(state, index === example.steps.length - 1)) {
+        console.warn(`⚠️ ${this.name || 'BaseRule'}: итог ${state} после шага ${index + 1} вне границ`);
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Отказы по шаблонам для сообщений об ошибке: "inverse 12, zeroReturn 3"
+   * @returns {string} Пустая строка, если отказов не было
+   */
+  describePatternRejections() {
+    return Object.entries(this.patternRejections)
+      .map(([pattern, count]) => `${pattern} ${count}`)
+      .join(', ');
+  }
+
+  /**
+   * Техника шага по проверкам правила: 'simple' | 'brother' | 'friend' | 'mix'.
+   * Дочерние классы переопределяют через свои _is*Transition.
+   *
+   * @param {number} from - Состояние до шага
+   * @param {number} to - Состояние после шага
+   * @returns {string}
+   */
+  getStepTechnique(from, to) {
+    return 'simple';
+  }
+
+  /**
+   * Описание шага для статистики, ключа ответов и тренажёра.
+   * Техника берётся из проверки правила (getStepTechnique),
+   * формула и ходы по стержням - из модели абакуса.
+   *
+   * @param {number} fromState - Состояние до шага
+   * @param {number} action - Действие
+   * @returns {{technique:string, formula:string, formulaKey:string, rods:Array}}
+   *          formulaKey - "техника:цифра" (например "brother:+3"),
+   *          rods - ходы по стержням { position, from, to, delta, technique, formula, isCarry }
+   */
+  describeStep(fromState, action) {
+    const toState = fromState + action;
+    const technique = this.getStepTechnique(fromState, toState);
+    const rodCount = String(Math.max(fromState, toState, 1)).length + 1;
+    const plan = Soroban.fromValue(fromState, rodCount).planDelta(action);
+
+    const rods = plan.steps.map(step => ({
+      position: step.position,
+      from: step.from,
+      to: step.to,
+      delta: step.delta,
+      technique: step.technique,
+      formula: step.formula,
+      formulaKey: `${step.technique}:${step.delta > 0 ? '+' : ''}${step.delta}`,
+      isCarry: step.isCarry
+    }));
+
+    const signed = action > 0 ? `+${action}` : `${action}`;
+    let formula = signed;
+    let formulaKey = `${technique}:${signed}`;
+
+    // Формула шага - формула стержня, на котором сработала техника правила
+    if (technique !== 'simple') {
+      const main = rods.find(rod => !rod.isCarry && rod.technique === technique)
+        ?? rods.find(rod => !rod.isCarry && rod.technique !== 'simple');
+      if (main) {
+        formula = main.formula;
+        formulaKey = `${technique}:${main.delta > 0 ? '+' : ''}${main.delta}`;
+      }
+    }
+
+    return {
+      technique,
+      formula,
+      formulaKey,
+      rods
+    };
+  }
+
+  /**
+   * Разложить действие на микро-шаги по бусинам (через модель абакуса).
+   * Для технических шагов сначала идёт перенос/заём, затем дополнение:
+   * +7 на 15 → [+10, -5, +2]
+   *
+   * @param {number} state - Текущее состояние
+   * @param {number} action - Действие
+   * @returns {Array<{action:number, type:string, description:string}>} Микро-шаги
+   */
+  decomposeAction(state, action) {
+    const rodCount = this.config.maxState >= 99 ? 2 : 1;
+    const plan = Soroban.fromValue(state, rodCount + 1).planDelta(action);
+    // Группы: ход цифры + следующие за ним переносы (каскад)
+    const groups = [];
+    for (const step of plan.steps) {
+      if (step.isCarry && groups.length > 0) {
+        groups[groups.length - 1].carries.push(step);
+      } else {
+        groups.push({ own: step, carries: [] });
+      }
+    }
+
+    const microSteps = [];
+    for (const group of groups) {
+      for (const step of [...group.carries, group.own]) {
+        const unit = Math.pow(10, step.position);
+
+        for (const move of step.moves) {
+          const value = (move.bead === 'upper' ? 5 : 1) * move.count * unit;
+          microSteps.push({
+            action: value,
+            type: move.bead,
+            description: `${value > 0 ? '+' : ''}${value} (${move.bead === 'upper' ? 'верхняя бусина' : 'нижние'})`
+          });
+        }
+      }
+    }
+
+    return microSteps;
+  }
+
   /**
    * Получить описание правила для логов
    * @returns {string} Описание
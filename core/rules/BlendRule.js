@@ -0,0 +1,201 @@
+// core/rules/BlendRule.js - Смешивание нескольких блоков в одном примере
+
+import { BaseRule } from "./BaseRule.js";
+import { Soroban } from "../Soroban.js";
+
+/**
+ * BlendRule - правило, в котором каждый активный блок даёт свои шаги.
+ *
+ * КОНЦЕПЦИЯ:
+ * Учитель выбрал, например, Братья 1-4 и Друзі 9. Вместо приоритета
+ * "берём только старший блок" каждый шаг примера берётся из набора
+ * действий всех блоков с весами учителя.
+ *
+ * ВЕСА:
+ * Шаг выбирается в два этапа (orderActions): сначала блок - по весу
+ * учителя (дробные веса тоже: 0.4 против 1), затем действие внутри блока.
+ * Поэтому доля блока зависит только от веса, а не от того, сколько
+ * действий он предлагает: блок с весом 3 даёт шаг втрое чаще блока с весом 1.
+ *
+ * СОСТОЯНИЕ:
+ * - Правила с переносом (Друзі, Мікс, maxState ≥ 99) видят состояние целиком
+ * - Правила одного стержня (Просто, Братья) видят только единицы
+ *   и не выходят за 0-9 на этом стержне
+ *
+ * ТЕХНИКА:
+ * Шаг технический, если он технический хотя бы для одного блока;
+ * техника шага - самая сложная из техник блоков.
+ * Если хотя бы один блок требует технику, действует квота технических
+ * шагов (см. BaseRule.getTechniqueQuota).
+ *
+ * ИСПОЛЬЗОВАНИЕ:
+ * const rule = new BlendRule({
+ *   entries: [
+ *     { block: 'brothers', weight: 2, RuleClass: BrothersRule, config: {...} },
+ *     { block: 'friends', weight: 1, RuleClass: FriendsRule, config: {...} }
+ *   ],
+ *   minSteps: 5, maxSteps: 5, digitCount: 2
+ * });
+ */
+export class BlendRule extends BaseRule {
+  constructor(config = {}) {
+    const { entries = [], ...restConfig } = config;
+    super(restConfig);
+
+    this.name = "Змішані блоки";
+
+    if (entries.length === 0) {
+      throw new Error("BlendRule: не передано ни одного блока");
+    }
+
+    // Под-правила строятся с общим источником случайности
+    this.entries = entries.map(entry => ({
+      block: entry.block,
+      weight: entry.weight ?? 1,
+      rule: new entry.RuleClass({ ...entry.config, random: this.random })
+    }));
+
+    const maxState = Math.max(...this.entries.map(entry => entry.rule.config.maxState));
+
+    this.config = {
+      ...this.config,
+      name: this.name,
+      minState: 0,
+      maxState: maxState,
+      requireTechniqueStep: this.entries.some(entry => entry.rule.config.requireTechniqueStep),
+      blocks: this.entries.map(entry => entry.block),
+      weights: Object.fromEntries(this.entries.map(entry => [entry.block, entry.weight]))
+    };
+
+    console.log(
+      `🧩 BlendRule: блоки=[${this.entries.map(e => `${e.block}×${e.weight}`).join(", ")}], ` +
+      `maxState=${maxState}, обязательная техника=${this.config.requireTechniqueStep}`
+    );
+  }
+
+  /**
+   * Состояние, которое видит под-правило
+   */
+  _localState(rule, state) {
+    return rule.config.maxState >= 99 ? state : state % 10;
+  }
+
+  /**
+   * Переход под-правила в его локальных координатах
+   * @returns {{from:number, to:number}|null} null, если переход не для этого правила
+   */
+  _localTransition(rule, from, to) {
+    const local = this._localState(rule, from);
+    const next = local + (to - from);
+
+    if (next < 0 || next > rule.config.maxState) {
+      return null;
+    }
+
+    return { from: local, to: next };
+  }
+
+  /**
+   * Действия блока из состояния state (в пределах его стержня)
+   */
+  _blockActions(rule, state, isFirst, position) {
+    const local = this._localState(rule, state);
+
+    return (rule.getAvailableActions(local, isFirst, position) || [])
+      .filter(action => {
+        const next = state + action;
+        return local + action >= 0 &&
+          local + action <= rule.config.maxState &&
+          next >= this.config.minState &&
+          next <= this.config.maxState;
+      });
+  }
+
+  /**
+   * Действия всех блоков (без учёта весов блоков - их учитывает orderActions)
+   *
+   * @param {number} state - Текущее состояние
+   * @param {boolean} isFirst - Первое ли это действие
+   * @param {number} position - Позиция разряда
+   * @returns {Array<number>}
+   */
+  getAvailableActions(state, isFirst, position = 0) {
+    return this.entries.flatMap(({ rule }) => this._blockActions(rule, state, isFirst, position));
+  }
+
+  /**
+   * Порядок перебора различных действий: блок - по весу (pickWeighted),
+   * действие - случайно внутри блока (с повторами под-правила, например
+   * приоритетом братьев). Выбранное действие убирается из всех блоков,
+   * выбор повторяется - перебор с возвратом получает все действия,
+   * а первое выбрано по весам блоков.
+   *
+   * @param {number} state - Текущее состояние
+   * @param {boolean} isFirst - Первое ли это действие
+   * @param {number} position - Позиция разряда
+   * @returns {Array<number>}
+   */
+  orderActions(state, isFirst, position = 0) {
+    const pools = new Map();
+    for (const { block, rule, weight } of this.entries) {
+      const actions = this._blockActions(rule, state, isFirst, position);
+      if (actions.length > 0) {
+        pools.set(block, { weight, actions });
+      }
+    }
+
+    const order = [];
+    while (pools.size > 0) {
+      const weights = Object.fromEntries([...pools].map(([block, pool]) => [block, pool.weight]));
+      const action = this.random.pick(pools.get(this.random.pickWeighted(weights)).actions);
+      order.push(action);
+
+      for (const [block, pool] of pools) {
+        pool.actions = pool.actions.filter(candidate => candidate !== action);
+        if (pool.actions.length === 0) {
+          pools.delete(block);
+        }
+      }
+    }
+
+    return order;
+  }
+
+  /**
+   * Технический шаг хотя бы одного блока
+   */
+  isTechniqueTransition(from, to) {
+    return this.entries.some(({ rule }) => {
+      const local = this._localTransition(rule, from, to);
+      return local !== null && rule.isTechniqueTransition(local.from, local.to);
+    });
+  }
+
+  /**
+   * Самая сложная техника шага среди блоков
+   */
+  getStepTechnique(from, to) {
+    const techniques = this.entries.map(({ rule }) => {
+      const local = this._localTransition(rule, from, to);
+      return local !== null ? rule.getStepTechnique(local.from, local.to) : 'simple';
+    });
+
+    return Soroban.maxTechnique(techniques);
+  }
+
+  /**
+   * Валидация: общие проверки BaseRule + квота технических шагов
+   */
+  validateExample(example) {
+    if (!super.validateExample(example)) {
+      return false;
+    }
+
+    // В многоразрядном режиме технику по стержням проверяет MultiDigitGenerator
+    if (this.config.digitCount === 1 && !this.validateTechniqueQuota(example)) {
+      return false;
+    }
+
+    return true;
+  }
+}
@@ -1,6 +1,7 @@
 // core/rules/BrothersRule.js - Правило "Братья" с поддержкой простых шагов
 
 import { BaseRule } from "./BaseRule.js";
+import { Soroban } from "../Soroban.js";
 
 /**
  * BrothersRule - правило "Братья" (формулы компенсации до 5)
@@ -58,7 +59,8 @@ export class BrothersRule extends BaseRule {
       onlySubtraction: config.onlySubtraction ?? false,
       digitCount: config.digitCount ?? 1,
       combineLevels: config.combineLevels ?? false,
-      brotherPriority: 0.5,  // 50% приоритет братским шагам
+      requireTechniqueStep: true, // Пример обязан содержать технический шаг
+      brotherPriority: Math.min(1, Math.max(0.1, config.brotherPriority ?? 0.5)),  // Приоритет братских шагов (0.5 = вес 5 против 1 у простого)
       blocks: config.blocks ?? {}
     };
 
@@ -83,42 +85,21 @@ export class BrothersRule extends BaseRule {
 
   /**
    * Создание таблицы обменных пар
-   * Для каждого выбранного "брата N" создаем возможные переходы через 5
+   * Для каждого выбранного "брата N" собираем переходы v → v±N,
+   * которые модель абакуса выполняет через 5 (+N = +5 - брат, -N = -5 + брат)
    */
   _buildBrotherPairs(digits) {
     const pairs = new Set();
     
     for (const n of digits) {
-      const brother = this.getBrother(n); // брат для n
-      
-      // Переходы "вверх": v → v+n через +5-brother
       for (let v = 0; v <= 9; v++) {
-        const vNext = v + n;
-        if (vNext >= 0 && vNext <= 9) {
-          // Проверяем физическую возможность через 5
-          const U = v >= 5 ? 1 : 0;
-          const L = v >= 5 ? v - 5 : v;
-          
-          // +n через +5-brother возможно если:
-          // - верхняя бусина неактивна (U=0)
-          // - после +5 можем убрать brother нижних
-          if (U === 0 && L + 5 >= brother) {
-            pairs.add(`${v}-${vNext}-brother${n}`);
+        for (const delta of [n, -n]) {
+          const vNext = v + delta;
+          if (vNext < 0 || vNext > 9) {
+            continue;
           }
-        }
-      }
-      
-      // Переходы "вниз": v → v-n через -5+brother
-      for (let v = 0; v <= 9; v++) {
-        const vNext = v - n;
-        if (vNext >= 0 && vNext <= 9) {
-          const U = v >= 5 ? 1 : 0;
-          const L = v >= 5 ? v - 5 : v;
-          
-          // -n через -5+brother возможно если:
-          // - верхняя бусина активна (U=1)
-          // - после -5 можем добавить brother нижних
-          if (U === 1 && L - 5 + brother >= 0 && L - 5 + brother <= 4) {
+
+          if (Soroban.planRodStep(v, delta).technique === 'brother') {
             pairs.add(`${v}-${vNext}-brother${n}`);
           }
         }
@@ -145,6 +126,20 @@ export class BrothersRule extends BaseRule {
     return false;
   }
 
+  /**
+   * Технический шаг правила (см. BaseRule.isTechniqueTransition)
+   */
+  isTechniqueTransition(from, to) {
+    return this._isBrotherTransition(from, to);
+  }
+
+  /**
+   * Техника шага (см. BaseRule.getStepTechnique): братский переход или простой шаг
+   */
+  getStepTechnique(from, to) {
+    return this._isBrotherTransition(from, to) ? 'brother' : 'simple';
+  }
+
   /**
    * Получить список доступных действий для текущего состояния
    * 
@@ -262,38 +257,6 @@ export class BrothersRule extends BaseRule {
     return state + action;
   }
 
-  /**
-   * Разложить действие на микро-шаги (формула брата)
-   * @param {number} state - Текущее состояние
-   * @param {number} action - Действие
-   * @returns {Array} Массив микро-шагов
-   */
-  decomposeAction(state, action) {
-    const absAction = Math.abs(action);
-    
-    // Проверяем, это братский шаг?
-    if (this._isBrotherTransition(state, state + action)) {
-      const brother = this.getBrother(absAction);
-      
-      if (action > 0) {
-        // +N = +5 - брат(N)
-        return [
-          { action: 5, type: 'upper', description: '+5 (верхняя бусина)' },
-          { action: -brother, type: 'lower', description: `-${brother} (нижние)` }
-        ];
-      } else {
-        // -N = -5 + брат(N)
-        return [
-          { action: -5, type: 'upper', description: '-5 (верхняя бусина)' },
-          { action: brother, type: 'lower', description: `+${brother} (нижние)` }
-        ];
-      }
-    }
-    
-    // Обычный шаг
-    return [{ action, type: 'simple', description: `${action > 0 ? '+' : ''}${action}` }];
-  }
-
   /**
    * Валидация примера
    * @param {Object} example - Пример для проверки
@@ -304,35 +267,19 @@ export class BrothersRule extends BaseRule {
       return false;
     }
 
-    // Проверка 1: Есть ли хотя бы один братский шаг
-    // Для многоразрядного режима (MultiDigitGenerator) эта проверка опциональна
+    // Проверка 1: Количество братских шагов в пределах квоты
+    // (по умолчанию - хотя бы один, см. BaseRule.getTechniqueQuota).
+    // Для многоразрядного режима технику по стержням проверяет MultiDigitGenerator
     const isMultiDigitMode = this.config.digitCount > 1;
 
-    let hasBrotherStep = false;
-    let currentState = example.start;
-
-    for (const step of example.steps) {
-      const action = step.action;
-      const nextState = currentState + action;
-
-      if (this._isBrotherTransition(currentState, nextState)) {
-        hasBrotherStep = true;
-        break;
-      }
-
-      currentState = nextState;
-    }
-
-    // Для одноразрядного режима требуем обязательное наличие братского шага
-    if (!isMultiDigitMode && !hasBrotherStep) {
-      console.warn("⚠️ BrothersRule: пример не содержит братских шагов");
+    if (!isMultiDigitMode && !this.validateTechniqueQuota(example)) {
       return false;
     }
 
     // Проверка 2: Все промежуточные состояния в допустимом диапазоне
     // Для многоразрядного режима диапазон расширяется
     if (!isMultiDigitMode) {
-      currentState = example.start;
+      let currentState = example.start;
       for (const step of example.steps) {
         currentState = currentState + step.action;
 
@@ -360,15 +307,17 @@ export class BrothersRule extends BaseRule {
       }
     }
 
-    return true;
-  }
+    // Проверка 4: Нет запрещённых шаблонов цепочки (+4 -4, +3 +3, возврат в ноль)
+    if (!this.validatePatterns(example)) {
+      return false;
+    }
 
-  /**
-   * Генерация стартового состояния
-   * @returns {number} Стартовое состояние (обычно 0)
-   */
-  generateStartState() {
-    return 0;
+    // Проверка 5: Итоги и ответ в границах настроек (totalMin-totalMax, answerMin-answerMax)
+    if (!this.validateTotals(example)) {
+      return false;
+    }
+
+    return true;
   }
 
   /**
@@ -377,6 +326,6 @@ export class BrothersRule extends BaseRule {
    */
   generateStepsCount() {
     const { minSteps, maxSteps } = this.config;
-    return minSteps + Math.floor(Math.random() * (maxSteps - minSteps + 1));
+    return this.random.int(minSteps, maxSteps);
   }
 }
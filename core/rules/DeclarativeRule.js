@@ -0,0 +1,546 @@
+// core/rules/DeclarativeRule.js - Правило из JSON-описания техники (без своего класса)
+
+import { BaseRule } from "./BaseRule.js";
+import { Soroban } from "../Soroban.js";
+import { RuleRegistry } from "../RuleRegistry.js";
+
+/**
+ * DeclarativeRule - техника, заданная данными: допустимые переходы,
+ * формулы и условие обязательной техники. Новая методика школы
+ * ("друзья только на десятках", свой набор формул) подключается
+ * JSON-файлом, а не наследником BaseRule.
+ *
+ * ОПИСАНИЕ ТЕХНИКИ (JSON):
+ * {
+ *   "id": "tensFriends",              // ключ блока в settings.blocks
+ *   "name": "Друзі на десятках",      // имя для логов
+ *   "technique": "friend",            // техника формул: brother | friend | mix
+ *   "maxState": 99,                   // 9 - один стержень, 99 - с переносом в старший
+ *   "formulas": [
+ *     { "action": 9, "moves": [10, -1], "positions": [1] },
+ *     { "action": -9, "moves": [-10, 1], "from": [{ "min": 10, "max": 19 }] }
+ *   ],
+ *   "transitions": [{ "from": { "min": 0, "max": 4 }, "actions": [1, 2, 3, 4] }],
+ *   "simpleDigits": [1, 2, 3, 4],
+ *   "requireTechnique": { "min": 1, "max": 2 },
+ *   "priority": 35,
+ *   "labels": { "uk": "ДРУЗІ НА ДЕСЯТКАХ", "en": "TENS FRIENDS" }
+ * }
+ *
+ * - formulas    - технические шаги: действие и его ходы ("+9 = +10 - 1").
+ *                 from - состояния, где формула применяется (числа и { min, max });
+ *                 не задано - там, где прямой ход невозможен, а ходы формулы
+ *                 выполнимы на абакусе по очереди. positions - стержни
+ *                 многозначного примера (0 - единицы), не задано - любые
+ * - transitions - простые (не технические) шаги: из каких состояний какие действия;
+ *                 не заданы - прямые ходы абакуса цифрами simpleDigits
+ *                 (по умолчанию - цифры блока "Просто" или 1-5)
+ * - requireTechnique - сколько технических шагов нужно в примере:
+ *                 true (хотя бы один, по умолчанию), false или { min, max }
+ *
+ * ИСПОЛЬЗОВАНИЕ:
+ * const json = await (await fetch('techniques/tensFriends.json')).text();
+ * DeclarativeRule.register(json); // блок появляется в генераторе и на экране
+ */
+export class DeclarativeRule extends BaseRule {
+  /**
+   * Техники, которые может задавать описание (простые ходы - не техника)
+   */
+  static TECHNIQUES = Soroban.TECHNIQUES.filter(technique => technique !== 'simple');
+
+  /**
+   * @param {Object} config
+   * @param {Object|string} config.technique - Описание техники (JSON или объект)
+   * @param {Array<number>} [config.selectedDigits] - Цифры формул, выбранные в блоке
+   * @param {number} [config.techniquePriority] - Приоритет формул (0.1-1, по умолчанию 0.5)
+   */
+  constructor(config = {}) {
+    super(config);
+
+    const technique = DeclarativeRule.parse(config.technique);
+    this.name = technique.name;
+    this.technique = technique;
+
+    // Формулы выбранных в блоке цифр (ни одной - все формулы техники)
+    const selected = (config.selectedDigits || []).map(n => parseInt(n, 10));
+    const formulas = technique.formulas.filter(formula => selected.includes(Math.abs(formula.action)));
+    this.formulas = formulas.length > 0 ? formulas : technique.formulas;
+
+    const simpleBlockDigits = technique.simpleDigits ?? (config.blocks?.simple?.digits
+      ? config.blocks.simple.digits.map(n => parseInt(n, 10)).filter(n => n >= 1 && n <= 9)
+      : [1, 2, 3, 4, 5]);
+
+    const quota = technique.requireTechnique;
+
+    this.config = {
+      ...this.config,
+      name: technique.name,
+      minState: 0,
+      maxState: technique.maxState,
+      minSteps: config.minSteps ?? 3,
+      maxSteps: config.maxSteps ?? 7,
+      simpleBlockDigits,
+      onlyAddition: config.onlyAddition ?? false,
+      onlySubtraction: config.onlySubtraction ?? false,
+      digitCount: config.digitCount ?? 1,
+      combineLevels: config.combineLevels ?? false,
+      requireTechniqueStep: quota !== null,
+      // Квота из настроек листа важнее квоты описания
+      minTechniqueSteps: config.minTechniqueSteps ?? quota?.min ?? null,
+      maxTechniqueSteps: config.maxTechniqueSteps ?? quota?.max ?? null,
+      techniquePriority: Math.min(1, Math.max(0.1, config.techniquePriority ?? 0.5)),
+      blocks: config.blocks ?? {}
+    };
+
+    // Действия по состоянию и стержню (перебор цепочки спрашивает одно и то же много раз)
+    this._stepCache = new Map();
+
+    console.log(
+      `📐 DeclarativeRule "${this.name}": формулы=[${this.formulas.map(f => f.text).join('; ')}], ` +
+      `простые=[${simpleBlockDigits.join(", ")}], maxState=${technique.maxState}`
+    );
+  }
+
+  /**
+   * Разобрать и проверить описание техники
+   *
+   * @param {Object|string} source - JSON-строка или объект
+   * @returns {Object} Нормализованное описание: formulas[] с множеством from и text
+   * @throws {Error} Если описание некорректно
+   */
+  static parse(source) {
+    let raw = source;
+    if (typeof source === 'string') {
+      try {
+        raw = JSON.parse(source);
+      } catch (error) {
+        throw new Error(`Описание техники: некорректный JSON (${error.message})`);
+      }
+    }
+
+    if (!raw || typeof raw !== 'object') {
+      throw new Error("Описание техники должно быть объектом");
+    }
+
+    // Уже разобранное описание (например, из buildConfig) - как есть
+    if (raw._parsed) {
+      return raw;
+    }
+
+    const { id, technique } = raw;
+    const fail = message => {
+      throw new Error(`Описание техники "${id ?? '?'}": ${message}`);
+    };
+
+    if (typeof id !== 'string' || id === '') {
+      fail("нужен id");
+    }
+    if (!DeclarativeRule.TECHNIQUES.includes(technique)) {
+      fail(`неизвестная техника ${technique} (допустимы ${DeclarativeRule.TECHNIQUES.join(', ')})`);
+    }
+
+    const maxState = raw.maxState ?? 9;
+    if (maxState !== 9 && maxState !== 99) {
+      fail("maxState должен быть 9 (один стержень) или 99 (с переносом в старший)");
+    }
+
+    if (!Array.isArray(raw.formulas) || raw.formulas.length === 0) {
+      fail("нужна хотя бы одна формула");
+    }
+
+    const rodCount = maxState >= 99 ? 2 : 1;
+    const formulas = raw.formulas.map(formula => {
+      const { action, moves } = formula;
+      if (!Number.isInteger(action) || action === 0 || Math.abs(action) > 9) {
+        fail(`действие формулы ${action} должно быть целым от -9 до 9, не 0`);
+      }
+      if (!Array.isArray(moves) || moves.length < 2 || !moves.every(move => Number.isInteger(move) && move !== 0)) {
+        fail(`у формулы ${signed(action)} должно быть не меньше двух ходов`);
+      }
+      if (moves.reduce((sum, move) => sum + move, 0) !== action) {
+        fail(`ходы ${moves.map(signed).join(' ')} не дают ${signed(action)}`);
+      }
+
+      const text = `${signed(action)} = ${signed(moves[0])} ${moves.slice(1).map(spaced).join(' ')}`;
+      const from = formula.from === undefined
+        ? DeclarativeRule._formulaStates(action, moves, maxState, rodCount)
+        : DeclarativeRule._parseStates(formula.from, maxState, fail);
+
+      // Формула не выводит итог за абакус
+      for (const state of from) {
+        if (state + action < 0 || state + action > maxState) {
+          fail(`формула ${text} из состояния ${state} выходит за 0-${maxState}`);
+        }
+      }
+      if (from.size === 0) {
+        fail(`формула ${text} не выполнима ни из одного состояния`);
+      }
+
+      const positions = formula.positions ?? null;
+      if (positions !== null && (!Array.isArray(positions) || !positions.every(p => Number.isInteger(p) && p >= 0))) {
+        fail(`positions формулы ${text} - список номеров стержней (0 - единицы)`);
+      }
+
+      return { action, moves, from, positions, text };
+    });
+
+    const transitions = raw.transitions === undefined ? null : raw.transitions.map(transition => {
+      if (!Array.isArray(transition.actions) || !transition.actions.every(a => Number.isInteger(a) && a !== 0)) {
+        fail("actions перехода - список ненулевых целых");
+      }
+      return {
+        from: DeclarativeRule._parseStates(transition.from, maxState, fail),
+        actions: transition.actions
+      };
+    });
+
+    const simpleDigits = raw.simpleDigits ?? null;
+    if (simpleDigits !== null && (!Array.isArray(simpleDigits) || !simpleDigits.every(d => Number.isInteger(d) && d >= 1 && d <= 9))) {
+      fail("simpleDigits - цифры от 1 до 9");
+    }
+
+    // Обязательная техника: true → хотя бы один шаг, false → не обязательна
+    let requireTechnique = raw.requireTechnique ?? true;
+    if (requireTechnique === true) {
+      requireTechnique = { min: 1, max: null };
+    } else if (requireTechnique === false) {
+      requireTechnique = null;
+    } else {
+      const { min = 1, max = null } = requireTechnique;
+      if (!Number.isInteger(min) || min < 0 || (max !== null && (!Number.isInteger(max) || max < min))) {
+        fail("requireTechnique - true, false или { min, max } (целые, min ≤ max)");
+      }
+      requireTechnique = { min, max };
+    }
+
+    return {
+      _parsed: true,
+      id,
+      name: raw.name ?? id,
+      technique,
+      maxState,
+      formulas,
+      transitions,
+      simpleDigits,
+      requireTechnique,
+      priority: raw.priority ?? 25,
+      labels: raw.labels ?? null
+    };
+  }
+
+  /**
+   * Зарегистрировать технику как блок генератора (RuleRegistry):
+   * цифры блока - цифры формул, 2 разряда - если есть перенос (maxState 99)
+   *
+   * @param {Object|string} source - Описание техники (JSON или объект)
+   * @returns {Object} Описание правила в реестре
+   * @throws {Error} Если описание некорректно или id занят
+   */
+  static register(source) {
+    const technique = DeclarativeRule.parse(source);
+    const digits = [...new Set(technique.formulas.map(formula => Math.abs(formula.action)))]
+      .sort((a, b) => a - b);
+
+    return RuleRegistry.register({
+      id: technique.id,
+      name: technique.name,
+      RuleClass: DeclarativeRule,
+      digits,
+      minRods: technique.maxState >= 99 ? 2 : 1,
+      priority: technique.priority,
+      carries: technique.maxState >= 99,
+      technique: technique.technique,
+      labels: technique.labels,
+      buildConfig({ block, blocks, common, digits: selectedDigits }) {
+        console.log(`📐 [generator] Базовое правило: ${technique.name} (описание)`);
+        console.log("   📌 Выбранные цифры:", block.digits);
+
+        return {
+          technique,
+          selectedDigits,
+          onlyAddition: block.onlyAddition ?? false,
+          onlySubtraction: block.onlySubtraction ?? false,
+          techniquePriority: block.priority,
+          ...common,
+          blocks: blocks
+        };
+      }
+    });
+  }
+
+  /**
+   * Состояния, из которых формула нужна и выполнима: прямой ход
+   * невозможен, а ходы формулы по очереди - прямые ходы абакуса
+   */
+  static _formulaStates(action, moves, maxState, rodCount) {
+    const states = new Set();
+
+    for (let state = 0; state <= maxState; state++) {
+      if (state + action < 0 || state + action > maxState) {
+        continue;
+      }
+      if (DeclarativeRule._isDirect(state, action, rodCount)) {
+        continue;
+      }
+
+      let value = state;
+      const doable = moves.every(move => {
+        if (!DeclarativeRule._isDirect(value, move, rodCount)) {
+          return false;
+        }
+        value += move;
+        return true;
+      });
+
+      if (doable) {
+        states.add(state);
+      }
+    }
+
+    return states;
+  }
+
+  /**
+   * Прямой ход (без братьев, друзей и переносов) на rodCount стержнях
+   */
+  static _isDirect(state, delta, rodCount) {
+    const plan = Soroban.fromValue(state, rodCount).planDelta(delta);
+    return plan.ok && plan.technique === 'simple' && plan.carries === 0 && plan.borrows === 0;
+  }
+
+  /**
+   * Состояния из описания: число, { min, max } или список из них
+   */
+  static _parseStates(spec, maxState, fail) {
+    const states = new Set();
+    const items = Array.isArray(spec) ? spec : [spec];
+
+    for (const item of items) {
+      const { min, max } = typeof item === 'number' ? { min: item, max: item } : (item ?? {});
+      if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max > maxState || min > max) {
+        fail(`состояния from - числа или { min, max } в пределах 0-${maxState}`);
+      }
+      for (let state = min; state <= max; state++) {
+        states.add(state);
+      }
+    }
+
+    return states;
+  }
+
+  /**
+   * Формула для шага из состояния (на стержне position; null - стержень не важен)
+   */
+  _findFormula(state, action, position = null) {
+    return this.formulas.find(formula =>
+      formula.action === action &&
+      formula.from.has(state) &&
+      (position === null || formula.positions === null || formula.positions.includes(position))
+    ) ?? null;
+  }
+
+  /**
+   * Шаги из состояния без учёта направления и первого шага:
+   * простые (переходы описания или прямые ходы) и формулы
+   *
+   * @returns {{simple:Array<number>, formulas:Array<number>}}
+   */
+  _stepsFrom(state, position) {
+    const key = `${state}|${position}`;
+    if (this._stepCache.has(key)) {
+      return this._stepCache.get(key);
+    }
+
+    const { maxState, simpleBlockDigits } = this.config;
+    const inRange = action => state + action >= 0 && state + action <= maxState;
+    const simple = [];
+
+    if (this.technique.transitions) {
+      for (const transition of this.technique.transitions) {
+        if (transition.from.has(state)) {
+          simple.push(...transition.actions.filter(inRange));
+        }
+      }
+    } else {
+      const rodCount = maxState >= 99 ? 2 : 1;
+      for (const digit of simpleBlockDigits) {
+        for (const action of [digit, -digit]) {
+          if (inRange(action) && DeclarativeRule._isDirect(state, action, rodCount)) {
+            simple.push(action);
+          }
+        }
+      }
+    }
+
+    const formulas = this.formulas
+      .filter(formula => inRange(formula.action) && this._findFormula(state, formula.action, position))
+      .map(formula => formula.action);
+
+    const steps = { simple: [...new Set(simple)], formulas: [...new Set(formulas)] };
+    this._stepCache.set(key, steps);
+    return steps;
+  }
+
+  /**
+   * Технический шаг правила (см. BaseRule.isTechniqueTransition): есть формула
+   */
+  isTechniqueTransition(from, to) {
+    return this._findFormula(from, to - from) !== null;
+  }
+
+  /**
+   * Техника шага (см. BaseRule.getStepTechnique): техника описания или простой шаг
+   */
+  getStepTechnique(from, to) {
+    return this.isTechniqueTransition(from, to) ? this.technique.technique : 'simple';
+  }
+
+  /**
+   * Получить список доступных действий для текущего состояния
+   *
+   * @param {number} state - Текущее состояние (0-9 или 0-99)
+   * @param {boolean} isFirst - Первое ли это действие (только сложение)
+   * @param {number} position - Стержень многозначного примера (для positions формул)
+   * @returns {Array<number>} Действия; формулы повторяются по techniquePriority
+   */
+  getAvailableActions(state, isFirst, position = 0) {
+    const { onlyAddition, onlySubtraction, techniquePriority } = this.config;
+    const steps = this._stepsFrom(state, position);
+
+    // Первое действие - положительное (если не "только вычитание")
+    const allowed = action =>
+      !(onlyAddition && action < 0) &&
+      !(onlySubtraction && action > 0) &&
+      !(isFirst && !onlySubtraction && action < 0);
+
+    const actions = steps.simple.filter(allowed);
+    const times = Math.floor(techniquePriority * 10);
+    for (const action of steps.formulas.filter(allowed)) {
+      for (let i = 0; i < times; i++) {
+        actions.push(action);
+      }
+    }
+
+    return actions;
+  }
+
+  /**
+   * Применить действие к состоянию
+   * @param {number} state - Текущее состояние
+   * @param {number} action - Действие (+N или -N)
+   * @returns {number} Новое состояние
+   */
+  applyAction(state, action) {
+    return state + action;
+  }
+
+  /**
+   * Описание шага (см. BaseRule.describeStep); у технического шага
+   * формула - из описания техники, а не из модели абакуса
+   */
+  describeStep(fromState, action) {
+    const step = super.describeStep(fromState, action);
+    const formula = this._findFormula(fromState, action);
+
+    if (formula) {
+      step.formula = formula.text;
+      step.formulaKey = `${this.technique.technique}:${signed(action)}`;
+    }
+
+    return step;
+  }
+
+  /**
+   * Разложить действие на микро-шаги: технический шаг - ходы формулы
+   * (+9 → [+10, -1]), простой - по бусинам (см. BaseRule.decomposeAction)
+   *
+   * @param {number} state - Текущее состояние
+   * @param {number} action - Действие
+   * @returns {Array<{action:number, type:string, description:string}>}
+   */
+  decomposeAction(state, action) {
+    const formula = this._findFormula(state, action);
+    if (!formula) {
+      return super.decomposeAction(state, action);
+    }
+
+    return formula.moves.map(move => {
+      const type = Math.abs(move) >= 10 ? 'carry' : (Math.abs(move) === 5 ? 'upper' : 'lower');
+      const names = { carry: 'перенос', upper: 'верхняя бусина', lower: 'нижние' };
+      return {
+        action: move,
+        type,
+        description: `${signed(move)} (${names[type]})`
+      };
+    });
+  }
+
+  /**
+   * Валидация примера
+   * @param {Object} example - Пример для проверки
+   * @returns {boolean} Валиден ли пример
+   */
+  validateExample(example) {
+    if (!example || !example.steps || example.steps.length === 0) {
+      return false;
+    }
+
+    // Для многоразрядного режима стержни и технику проверяет MultiDigitGenerator
+    const isMultiDigitMode = this.config.digitCount > 1;
+
+    // Проверка 1: Количество технических шагов в пределах квоты (requireTechnique)
+    if (!isMultiDigitMode && !this.validateTechniqueQuota(example)) {
+      return false;
+    }
+
+    // Проверка 2: Каждый шаг - переход или формула описания, итог в 0-maxState
+    if (!isMultiDigitMode) {
+      let currentState = example.start;
+      for (const step of example.steps) {
+        const steps = this._stepsFrom(currentState, 0);
+        if (!steps.simple.includes(step.action) && !steps.formulas.includes(step.action)) {
+          console.warn(`⚠️ ${this.name}: шаг ${signed(step.action)} из ${currentState} не разрешён описанием`);
+          return false;
+        }
+        currentState += step.action;
+      }
+    }
+
+    // Проверка 3: Соблюдены ли флаги only_addition/only_subtraction
+    if (this.config.onlyAddition && example.steps.some(step => step.action < 0)) {
+      console.warn(`⚠️ ${this.name}: найдены отрицательные действия при onlyAddition=true`);
+      return false;
+    }
+
+    if (this.config.onlySubtraction && example.steps.some(step => step.action > 0)) {
+      console.warn(`⚠️ ${this.name}: найдены положительные действия при onlySubtraction=true`);
+      return false;
+    }
+
+    // Проверка 4: Нет запрещённых шаблонов цепочки (+4 -4, +3 +3, возврат в ноль)
+    if (!this.validatePatterns(example)) {
+      return false;
+    }
+
+    // Проверка 5: Итоги и ответ в границах настроек (totalMin-totalMax, answerMin-answerMax)
+    if (!this.validateTotals(example)) {
+      return false;
+    }
+
+    return true;
+  }
+}
+
+/**
+ * Число со знаком: 4 → "+4", -1 → "-1"
+ */
+function signed(n) {
+  return n > 0 ? `+${n}` : `${n}`;
+}
+
+/**
+ * Ход внутри формулы: -1 → "- 1" (как в формулах Soroban: "+4 = +5 - 1")
+ */
+function spaced(n) {
+  return n < 0 ? `- ${-n}` : `+ ${n}`;
+}
@@ -0,0 +1,218 @@
+// core/rules/DivisionRule.js - Правило "Ділення" (деление на соробане)
+
+import { BaseRule } from "./BaseRule.js";
+
+/**
+ * DivisionRule - деление a ÷ b на абакусе
+ *
+ * МЕТОД СОРОБАНА:
+ * Делимое ставится на абакус (start). Цифры частного находятся от старшей
+ * к младшей: для разряда k берём наибольшую цифру q (0-9), при которой
+ * q × b × 10^k ещё можно вычесть, и вычитаем это произведение.
+ * На абакусе в конце остаётся остаток.
+ *
+ * ПРИМЕР: 138 ÷ 6
+ *   старт 138
+ *   2 × 6 = 12 → -120 (разряд десятков частного)
+ *   3 × 6 = 18 → -18  (разряд единиц частного)
+ *   Частное: 23, остаток 0
+ *
+ * Пример - цепочка вычитаний от делимого: шаг = вычитание произведения
+ * (action), техника шага "divide", формула "2 × 6 = 12".
+ * answer - частное, remainder - то, что осталось на абакусе.
+ *
+ * НАСТРОЙКИ:
+ * - dividendDigits - разрядность делимого (1-6)
+ * - divisorDigits  - разрядность делителя (1-3, не больше делимого)
+ * - selectedDigits - цифры делителя (например [6, 7])
+ * - remainderMode  - "exact" (деление нацело) | "remainder" (всегда с остатком)
+ */
+export class DivisionRule extends BaseRule {
+  // Попыток подобрать делимое под делитель и режим остатка
+  static MAX_ATTEMPTS = 200;
+
+  constructor(config = {}) {
+    super(config);
+
+    this.name = "Ділення";
+
+    // Цифры делителя, выбранные пользователем
+    const selectedDigits = Array.isArray(config.selectedDigits)
+      ? config.selectedDigits.map(n => parseInt(n, 10)).filter(n => n >= 1 && n <= 9)
+      : [];
+
+    const dividendDigits = Math.max(1, Math.min(6, parseInt(config.dividendDigits, 10) || 2));
+    const divisorDigits = Math.max(1, Math.min(3, dividendDigits, parseInt(config.divisorDigits, 10) || 1));
+    const remainderMode = config.remainderMode === "remainder" ? "remainder" : "exact";
+
+    this.config = {
+      ...this.config,
+      name: this.name,
+      operation: "divide",
+      selectedDigits: selectedDigits.length > 0 ? selectedDigits : [2, 3, 4, 5, 6, 7, 8, 9],
+      dividendDigits,
+      divisorDigits,
+      remainderMode,
+      minState: 0,
+      maxState: Math.pow(10, dividendDigits) - 1,
+      // Каждый шаг - вычитание произведения, квота техники не нужна
+      requireTechniqueStep: false,
+      onlyAddition: false,
+      onlySubtraction: false
+    };
+
+    console.log(
+      `➗ DivisionRule: ${dividendDigits}-разр. ÷ ${divisorDigits}-разр., ` +
+      `цифры делителя=[${this.config.selectedDigits.join(", ")}], остаток=${remainderMode}`
+    );
+  }
+
+  /**
+   * Пример строится целиком (generateExample), а не перебором действий
+   * @returns {Array<number>} Пустой список
+   */
+  getAvailableActions(state, isFirst, position = 0) {
+    return [];
+  }
+
+  /**
+   * Сгенерировать пример на деление
+   * Вызывается из ExampleGenerator
+   *
+   * @returns {Object} Пример { start, operation, operands, steps, answer, remainder }
+   * @throws {Error} Если под настройки не подобрать делимое
+   */
+  generateExample() {
+    const { dividendDigits, divisorDigits, selectedDigits, remainderMode } = this.config;
+    const minDividend = Math.pow(10, dividendDigits - 1);
+    const maxDividend = Math.pow(10, dividendDigits) - 1;
+
+    for (let attempt = 1; attempt <= DivisionRule.MAX_ATTEMPTS; attempt++) {
+      const divisor = this.randomNumber(divisorDigits, selectedDigits);
+
+      // С остатком на 1 не разделить
+      if (remainderMode === "remainder" && divisor === 1) {
+        continue;
+      }
+
+      // Частное, при котором делимое нужной длины
+      const minQuotient = Math.max(1, Math.ceil(minDividend / divisor));
+      const maxQuotient = Math.floor(maxDividend / divisor);
+      if (minQuotient > maxQuotient) {
+        continue;
+      }
+
+      const quotient = this.random.int(minQuotient, maxQuotient);
+      const remainder = remainderMode === "remainder" ? this.random.int(1, divisor - 1) : 0;
+      const dividend = quotient * divisor + remainder;
+
+      if (dividend < minDividend || dividend > maxDividend) {
+        continue;
+      }
+
+      const example = this.buildExample(dividend, divisor);
+      if (this.validateExample(example)) {
+        return example;
+      }
+    }
+
+    throw new Error(
+      `Правило "${this.name}": не удалось подобрать ${dividendDigits}-разрядное делимое ` +
+      `для ${divisorDigits}-разрядного делителя из цифр [${selectedDigits.join(", ")}]`
+    );
+  }
+
+  /**
+   * Разложить деление на шаги соробана (вычитания произведений)
+   *
+   * @param {number} dividend - Делимое
+   * @param {number} divisor - Делитель
+   * @returns {Object} Пример { start: dividend, operation: "divide", operands: [a, b],
+   *          steps, answer: частное, remainder }
+   *          steps[i] = { action, fromState, toState, technique, formula, formulaKey, rods, partial }
+   */
+  buildExample(dividend, divisor) {
+    const steps = [];
+    let state = dividend;
+    let quotient = 0;
+
+    for (let place = String(dividend).length - 1; place >= 0; place--) {
+      const unit = Math.pow(10, place);
+      const digit = Math.min(9, Math.floor(state / (divisor * unit)));
+
+      quotient = quotient * 10 + digit;
+
+      // Нулевая цифра частного ничего не двигает на абакусе
+      if (digit === 0) {
+        continue;
+      }
+
+      const product = digit * divisor;
+      const action = -product * unit;
+      const { rods } = this.describeStep(state, action);
+
+      steps.push({
+        action,
+        fromState: state,
+        toState: state + action,
+        technique: "divide",
+        formula: `${digit} × ${divisor} = ${product}`,
+        formulaKey: `divide:${digit}×${divisor}`,
+        rods,
+        partial: {
+          quotientDigit: digit,
+          divisor,
+          product,
+          place
+        }
+      });
+
+      state += action;
+    }
+
+    return {
+      start: dividend,
+      operation: "divide",
+      operands: [dividend, divisor],
+      steps,
+      answer: quotient,
+      remainder: state
+    };
+  }
+
+  /**
+   * Валидация: шаги от делимого приводят к остатку,
+   * частное × делитель + остаток = делимое, режим остатка соблюдён
+   */
+  validateExample(example) {
+    if (!example.steps || example.steps.length === 0) {
+      console.warn("⚠️ DivisionRule: нет шагов");
+      return false;
+    }
+
+    const [dividend, divisor] = example.operands || [];
+    const left = example.steps.reduce((state, step) => state + step.action, example.start);
+
+    if (example.start !== dividend || left !== example.remainder) {
+      console.warn(`⚠️ DivisionRule: шаги от ${example.start} дают ${left}, а не остаток ${example.remainder}`);
+      return false;
+    }
+
+    if (example.answer * divisor + example.remainder !== dividend || example.remainder >= divisor) {
+      console.warn(`⚠️ DivisionRule: ${dividend} ÷ ${divisor} ≠ ${example.answer} (ост. ${example.remainder})`);
+      return false;
+    }
+
+    const hasRemainder = example.remainder > 0;
+    if (hasRemainder !== (this.config.remainderMode === "remainder")) {
+      console.warn(`⚠️ DivisionRule: остаток ${example.remainder} не подходит под режим ${this.config.remainderMode}`);
+      return false;
+    }
+
+    if (!this.validatePatterns(example)) {
+      return false;
+    }
+
+    return true;
+  }
+}
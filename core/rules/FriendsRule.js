@@ -2,6 +2,7 @@
 // Правило "Друзі" (формулы 10) - компенсация до 10 с переносами между разрядами
 
 import { BaseRule } from "./BaseRule.js";
+import { Soroban } from "../Soroban.js";
 
 /**
  * FriendsRule - правило "Друзі" для генерации примеров с формулами компенсации до 10
@@ -58,7 +59,8 @@ export class FriendsRule extends BaseRule {
       onlySubtraction: config.onlySubtraction ?? false,
       digitCount: config.digitCount ?? 2, // ВАЖНО: минимум 2 разряда!
       combineLevels: config.combineLevels ?? false,
-      friendPriority: 0.5, // 50% приоритет дружеским шагам
+      requireTechniqueStep: true, // Пример обязан содержать технический шаг
+      friendPriority: Math.min(1, Math.max(0.1, config.friendPriority ?? 0.5)), // Приоритет дружеских шагов (0.5 = вес 5 против 1 у простого)
       blocks: config.blocks ?? {}
     };
 
@@ -83,42 +85,24 @@ export class FriendsRule extends BaseRule {
 
   /**
    * Создание таблицы обменных пар
-   * Для каждого выбранного "друга N" создаем возможные переходы через 10
+   * Для каждого выбранного "друга N" собираем переходы v → v±N (0-99),
+   * которые модель абакуса (2 стержня) выполняет через 10:
+   * +N = +10 - друг(N), -N = -10 + друг(N), причём дополнение в единицах
+   * делается прямо (если для него нужен брат - это уже "Мікс")
    */
   _buildFriendPairs(digits) {
     const pairs = new Set();
     
     for (const n of digits) {
-      const friend = this.getFriend(n); // друг для n
-      
-      // Переходы "вверх": v → v+n через +10-friend
       for (let v = 0; v <= 99; v++) {
-        const vNext = v + n;
-        if (vNext >= 0 && vNext <= 99) {
-          // Проверяем возможность перехода через десяток
-          const units = v % 10;
-          const tens = Math.floor(v / 10);
-          
-          // +n через +10-friend возможно если:
-          // - в единицах недостаточно места (units + n >= 10)
-          // - есть место в десятках (tens < 9)
-          if (units + n >= 10 && tens < 9) {
-            pairs.add(`${v}-${vNext}-friend${n}`);
+        for (const delta of [n, -n]) {
+          const vNext = v + delta;
+          if (vNext < 0 || vNext > 99) {
+            continue;
           }
-        }
-      }
-      
-      // Переходы "вниз": v → v-n через -10+friend
-      for (let v = 0; v <= 99; v++) {
-        const vNext = v - n;
-        if (vNext >= 0 && vNext <= 99) {
-          const units = v % 10;
-          const tens = Math.floor(v / 10);
-          
-          // -n через -10+friend возможно если:
-          // - в единицах недостаточно (units < n)
-          // - есть откуда занять (tens > 0)
-          if (units < n && tens > 0) {
+
+          const plan = Soroban.fromValue(v, 2).planDelta(delta);
+          if (plan.ok && plan.steps[0].technique === 'friend') {
             pairs.add(`${v}-${vNext}-friend${n}`);
           }
         }
@@ -145,6 +129,20 @@ export class FriendsRule extends BaseRule {
     return false;
   }
 
+  /**
+   * Технический шаг правила (см. BaseRule.isTechniqueTransition)
+   */
+  isTechniqueTransition(from, to) {
+    return this._isFriendTransition(from, to);
+  }
+
+  /**
+   * Техника шага (см. BaseRule.getStepTechnique): дружеский переход или простой шаг
+   */
+  getStepTechnique(from, to) {
+    return this._isFriendTransition(from, to) ? 'friend' : 'simple';
+  }
+
   /**
    * Получить список доступных действий для текущего состояния
    * @param {number} state - Текущее состояние (0-99)
@@ -271,35 +269,19 @@ export class FriendsRule extends BaseRule {
       return false;
     }
 
-    // Проверка 1: Есть ли хотя бы один дружеский шаг
-    // Для многоразрядного режима (MultiDigitGenerator) эта проверка опциональна
+    // Проверка 1: Количество дружеских шагов в пределах квоты
+    // (по умолчанию - хотя бы один, см. BaseRule.getTechniqueQuota).
+    // Для многоразрядного режима технику по стержням проверяет MultiDigitGenerator
     const isMultiDigitMode = this.config.digitCount > 1;
 
-    let hasFriendStep = false;
-    let currentState = example.start;
-
-    for (const step of example.steps) {
-      const action = step.action;
-      const nextState = currentState + action;
-
-      if (this._isFriendTransition(currentState, nextState)) {
-        hasFriendStep = true;
-        break;
-      }
-
-      currentState = nextState;
-    }
-
-    // Для одноразрядного режима требуем обязательное наличие дружеского шага
-    if (!isMultiDigitMode && !hasFriendStep) {
-      console.warn("⚠️ FriendsRule: пример не содержит дружеских шагов");
+    if (!isMultiDigitMode && !this.validateTechniqueQuota(example)) {
       return false;
     }
 
     // Проверка 2: Все промежуточные состояния в допустимом диапазоне
     // Для многоразрядного режима диапазон расширяется
     if (!isMultiDigitMode) {
-      currentState = example.start;
+      let currentState = example.start;
       for (const step of example.steps) {
         currentState = currentState + step.action;
 
@@ -327,16 +309,17 @@ export class FriendsRule extends BaseRule {
       }
     }
 
-    return true;
-  }
+    // Проверка 4: Нет запрещённых шаблонов цепочки (+4 -4, +3 +3, возврат в ноль)
+    if (!this.validatePatterns(example)) {
+      return false;
+    }
 
-  /**
-   * Генерация стартового состояния
-   * @returns {number} Стартовое состояние (обычно 0 для друзей)
-   */
-  generateStartState() {
-    // Для "Друзей" всегда начинаем с 0
-    return 0;
+    // Проверка 5: Итоги и ответ в границах настроек (totalMin-totalMax, answerMin-answerMax)
+    if (!this.validateTotals(example)) {
+      return false;
+    }
+
+    return true;
   }
 
   /**
@@ -345,6 +328,6 @@ export class FriendsRule extends BaseRule {
    */
   generateStepsCount() {
     const { minSteps, maxSteps } = this.config;
-    return minSteps + Math.floor(Math.random() * (maxSteps - minSteps + 1));
+    return this.random.int(minSteps, maxSteps);
   }
 }
@@ -2,6 +2,7 @@
 // Правило "Брати і Друзі Мікс" - комбинированные формулы (Друг + Брат)
 
 import { BaseRule } from "./BaseRule.js";
+import { Soroban } from "../Soroban.js";
 
 /**
  * MixRule - правило "Мікс" для генерации примеров с комбинированными формулами
@@ -56,7 +57,8 @@ export class MixRule extends BaseRule {
       onlySubtraction: config.onlySubtraction ?? false,
       digitCount: config.digitCount ?? 2, // ВАЖНО: минимум 2 разряда!
       combineLevels: config.combineLevels ?? false,
-      mixPriority: 0.6, // 60% приоритет миксованным шагам
+      requireTechniqueStep: true, // Пример обязан содержать технический шаг
+      mixPriority: Math.min(1, Math.max(0.1, config.mixPriority ?? 0.6)), // Приоритет миксованных шагов (0.6 = вес 6 против 1 у простого)
       blocks: config.blocks ?? {}
     };
 
@@ -66,8 +68,8 @@ export class MixRule extends BaseRule {
       `onlyAdd=${this.config.onlyAddition}, onlySub=${this.config.onlySubtraction}`
     );
 
-    // Таблица миксованных комбинаций
-    this.mixCombinations = this._buildMixCombinations(mixDigits);
+    // Таблица миксованных переходов
+    this.mixPairs = this._buildMixPairs(mixDigits);
   }
 
   /**
@@ -85,78 +87,64 @@ export class MixRule extends BaseRule {
   }
 
   /**
-   * Создание таблицы миксованных комбинаций
-   * Для каждой цифры из [6,7,8,9] определяем возможные комбинации Друг+Брат
+   * Создание таблицы миксованных переходов
+   * Для каждой цифры из [6,7,8,9] собираем переходы v → v±N (0-99),
+   * которые модель абакуса выполняет через 10, а дополнение в единицах -
+   * через 5: +7 = +10 - 3 = +10 - 5 + 2
    */
-  _buildMixCombinations(digits) {
-    const combinations = new Map();
+  _buildMixPairs(digits) {
+    const pairs = new Set();
     
     for (const n of digits) {
-      const friend = this.getFriend(n); // дополнение до 10
-      const brother = this.getBrother(friend); // дополнение до 5 для компенсации
-      
-      combinations.set(n, {
-        digit: n,
-        friend: friend,           // Сколько нужно вычесть после +10
-        brother: brother,         // Как разложить friend через брата
-        formula: `+${n} = +10 - ${friend} = +10 - (5 + ${friend - 5})`,
-        microSteps: [
-          { action: 10, type: 'friend', description: `+10 (десяток)` },
-          { action: -5, type: 'brother', description: `-5 (верхняя бусина)` },
-          { action: -(friend - 5), type: 'simple', description: `-${friend - 5} (нижние)` }
-        ]
-      });
-      
-      // Для вычитания аналогично
-      combinations.set(-n, {
-        digit: -n,
-        friend: friend,
-        brother: brother,
-        formula: `-${n} = -10 + ${friend} = -10 + (5 + ${friend - 5})`,
-        microSteps: [
-          { action: -10, type: 'friend', description: `-10 (десяток)` },
-          { action: 5, type: 'brother', description: `+5 (верхняя бусина)` },
-          { action: (friend - 5), type: 'simple', description: `+${friend - 5} (нижние)` }
-        ]
-      });
+      for (let v = 0; v <= 99; v++) {
+        for (const delta of [n, -n]) {
+          const vNext = v + delta;
+          if (vNext < 0 || vNext > 99) {
+            continue;
+          }
+
+          const plan = Soroban.fromValue(v, 2).planDelta(delta);
+          if (plan.ok && plan.steps[0].technique === 'mix') {
+            pairs.add(`${v}-${vNext}-mix${n}`);
+          }
+        }
+      }
     }
     
-    console.log(`🔄 MixRule: создано ${combinations.size} комбинаций`);
-    return combinations;
+    console.log(`🔄 MixRule: создано ${pairs.size} возможных переходов`);
+    return pairs;
   }
 
   /**
    * Проверка: является ли переход "миксованным"
    */
   _isMixTransition(from, to) {
-    const delta = to - from;
+    const delta = Math.abs(to - from);
     
-    // Проверяем, есть ли эта цифра в наших миксованных комбинациях
-    if (this.mixCombinations.has(delta)) {
-      const fromUnits = from % 10;
-      const toUnits = to % 10;
-      const fromTens = Math.floor(from / 10);
-      const toTens = Math.floor(to / 10);
-      
-      // Для сложения: должен быть переход через десяток
-      if (delta > 0) {
-        // Проверяем что единицы "перепрыгнули" через 10
-        // и что в единицах friend может быть разложен через брата
-        const friend = this.getFriend(delta);
-        return fromUnits + delta >= 10 && fromTens < 9 && friend > 5;
-      }
-      
-      // Для вычитания: должен быть заем из десятка
-      if (delta < 0) {
-        const absDelta = Math.abs(delta);
-        const friend = this.getFriend(absDelta);
-        return fromUnits < absDelta && fromTens > 0 && friend > 5;
+    for (const n of this.config.mixDigits) {
+      if (delta === n) {
+        const key = `${from}-${to}-mix${n}`;
+        return this.mixPairs.has(key);
       }
     }
     
     return false;
   }
 
+  /**
+   * Технический шаг правила (см. BaseRule.isTechniqueTransition)
+   */
+  isTechniqueTransition(from, to) {
+    return this._isMixTransition(from, to);
+  }
+
+  /**
+   * Техника шага (см. BaseRule.getStepTechnique): микс переход или простой шаг
+   */
+  getStepTechnique(from, to) {
+    return this._isMixTransition(from, to) ? 'mix' : 'simple';
+  }
+
   /**
    * Получить список доступных действий для текущего состояния
    */
@@ -266,18 +254,6 @@ export class MixRule extends BaseRule {
     return state + action;
   }
 
-  /**
-   * Разложить действие на микро-шаги (Друг + Брат)
-   * @param {number} action - Действие
-   * @returns {Array} Массив микро-шагов
-   */
-  decomposeAction(action) {
-    if (this.mixCombinations.has(action)) {
-      return this.mixCombinations.get(action).microSteps;
-    }
-    return [{ action, type: 'simple', description: `${action > 0 ? '+' : ''}${action}` }];
-  }
-
   /**
    * Валидация примера
    */
@@ -286,35 +262,19 @@ export class MixRule extends BaseRule {
       return false;
     }
 
-    // Проверка 1: Есть ли хотя бы один миксованный шаг
-    // Для многоразрядного режима (MultiDigitGenerator) эта проверка опциональна
+    // Проверка 1: Количество миксованных шагов в пределах квоты
+    // (по умолчанию - хотя бы один, см. BaseRule.getTechniqueQuota).
+    // Для многоразрядного режима технику по стержням проверяет MultiDigitGenerator
     const isMultiDigitMode = this.config.digitCount > 1;
 
-    let hasMixStep = false;
-    let currentState = example.start;
-
-    for (const step of example.steps) {
-      const action = step.action;
-      const nextState = currentState + action;
-
-      if (this._isMixTransition(currentState, nextState)) {
-        hasMixStep = true;
-        break;
-      }
-
-      currentState = nextState;
-    }
-
-    // Для одноразрядного режима требуем обязательное наличие миксованного шага
-    if (!isMultiDigitMode && !hasMixStep) {
-      console.warn("⚠️ MixRule: пример не содержит миксованных шагов");
+    if (!isMultiDigitMode && !this.validateTechniqueQuota(example)) {
       return false;
     }
 
     // Проверка 2: Все промежуточные состояния в допустимом диапазоне
     // Для многоразрядного режима диапазон расширяется
     if (!isMultiDigitMode) {
-      currentState = example.start;
+      let currentState = example.start;
       for (const step of example.steps) {
         currentState = currentState + step.action;
 
@@ -342,15 +302,17 @@ export class MixRule extends BaseRule {
       }
     }
 
-    return true;
-  }
+    // Проверка 4: Нет запрещённых шаблонов цепочки (+4 -4, +3 +3, возврат в ноль)
+    if (!this.validatePatterns(example)) {
+      return false;
+    }
 
-  /**
-   * Генерация стартового состояния
-   */
-  generateStartState() {
-    // Для "Микса" всегда начинаем с 0
-    return 0;
+    // Проверка 5: Итоги и ответ в границах настроек (totalMin-totalMax, answerMin-answerMax)
+    if (!this.validateTotals(example)) {
+      return false;
+    }
+
+    return true;
   }
 
   /**
@@ -358,6 +320,6 @@ export class MixRule extends BaseRule {
    */
   generateStepsCount() {
     const { minSteps, maxSteps } = this.config;
-    return minSteps + Math.floor(Math.random() * (maxSteps - minSteps + 1));
+    return this.random.int(minSteps, maxSteps);
   }
 }
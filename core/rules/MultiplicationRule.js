@@ -0,0 +1,180 @@
+// core/rules/MultiplicationRule.js - Правило "Множення" (умножение на соробане)
+
+import { BaseRule } from "./BaseRule.js";
+
+/**
+ * MultiplicationRule - умножение a × b на абакусе
+ *
+ * МЕТОД СОРОБАНА:
+ * Каждая цифра множимого (слева направо) умножается на каждую цифру
+ * множителя (слева направо), частичное произведение прибавляется на абакус
+ * в разряд i + j (i, j - разряды цифр, 0 = единицы).
+ *
+ * ПРИМЕР: 23 × 7
+ *   2 × 7 = 14 → +140 (разряд десятков)
+ *   3 × 7 = 21 → +21  (разряд единиц)
+ *   Ответ: 161
+ *
+ * Поэтому пример - обычная цепочка шагов: шаг = прибавление частичного
+ * произведения (action), техника шага "multiply", формула "2 × 7 = 14",
+ * ходы по стержням - как у любого прибавления (BaseRule.describeStep).
+ *
+ * НАСТРОЙКИ:
+ * - multiplicandDigits - разрядность множимого (1-4)
+ * - multiplierDigits   - разрядность множителя (1-3)
+ * - selectedDigits     - цифры множителя (какую "таблицу" тренируем, например [6, 7])
+ *   Цифры множимого - любые 1-9 (0 - только не в старшем разряде)
+ */
+export class MultiplicationRule extends BaseRule {
+  constructor(config = {}) {
+    super(config);
+
+    this.name = "Множення";
+
+    // Цифры множителя, выбранные пользователем
+    const selectedDigits = Array.isArray(config.selectedDigits)
+      ? config.selectedDigits.map(n => parseInt(n, 10)).filter(n => n >= 1 && n <= 9)
+      : [];
+
+    const multiplicandDigits = Math.max(1, Math.min(4, parseInt(config.multiplicandDigits, 10) || 2));
+    const multiplierDigits = Math.max(1, Math.min(3, parseInt(config.multiplierDigits, 10) || 1));
+
+    this.config = {
+      ...this.config,
+      name: this.name,
+      operation: "multiply",
+      selectedDigits: selectedDigits.length > 0 ? selectedDigits : [2, 3, 4, 5, 6, 7, 8, 9],
+      multiplicandDigits,
+      multiplierDigits,
+      minState: 0,
+      maxState: Math.pow(10, multiplicandDigits + multiplierDigits) - 1,
+      // Каждый шаг - частичное произведение, квота техники не нужна
+      requireTechniqueStep: false,
+      onlyAddition: false,
+      onlySubtraction: false
+    };
+
+    console.log(
+      `✖️ MultiplicationRule: ${multiplicandDigits}-разр. × ${multiplierDigits}-разр., ` +
+      `цифры множителя=[${this.config.selectedDigits.join(", ")}]`
+    );
+  }
+
+  /**
+   * Пример строится целиком (generateExample), а не перебором действий
+   * @returns {Array<number>} Пустой список
+   */
+  getAvailableActions(state, isFirst, position = 0) {
+    return [];
+  }
+
+  /**
+   * Сгенерировать пример на умножение
+   * Вызывается из ExampleGenerator
+   *
+   * @returns {Object} Пример { start, operation, operands, steps, answer }
+   */
+  generateExample() {
+    const { multiplicandDigits, multiplierDigits, selectedDigits } = this.config;
+
+    const multiplicand = this.randomNumber(multiplicandDigits, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    const multiplier = this.randomNumber(multiplierDigits, selectedDigits);
+
+    const example = this.buildExample(multiplicand, multiplier);
+
+    if (!this.validateExample(example)) {
+      throw new Error(`Правило "${this.name}": некорректный пример ${multiplicand} × ${multiplier}`);
+    }
+
+    return example;
+  }
+
+  /**
+   * Разложить умножение на шаги соробана (частичные произведения)
+   *
+   * @param {number} multiplicand - Множимое
+   * @param {number} multiplier - Множитель
+   * @returns {Object} Пример { start: 0, operation: "multiply", operands: [a, b], steps, answer }
+   *          steps[i] = { action, fromState, toState, technique, formula, formulaKey, rods, partial }
+   */
+  buildExample(multiplicand, multiplier) {
+    const multiplicandDigits = this._digits(multiplicand);
+    const multiplierDigits = this._digits(multiplier);
+    const steps = [];
+    let state = 0;
+
+    for (const a of multiplicandDigits) {
+      for (const b of multiplierDigits) {
+        const product = a.digit * b.digit;
+
+        // Нулевое произведение ничего не двигает на абакусе
+        if (product === 0) {
+          continue;
+        }
+
+        const place = a.place + b.place;
+        const action = product * Math.pow(10, place);
+        const { rods } = this.describeStep(state, action);
+
+        steps.push({
+          action,
+          fromState: state,
+          toState: state + action,
+          technique: "multiply",
+          formula: `${a.digit} × ${b.digit} = ${product}`,
+          formulaKey: `multiply:${a.digit}×${b.digit}`,
+          rods,
+          partial: {
+            multiplicandDigit: a.digit,
+            multiplierDigit: b.digit,
+            product,
+            place
+          }
+        });
+
+        state += action;
+      }
+    }
+
+    return {
+      start: 0,
+      operation: "multiply",
+      operands: [multiplicand, multiplier],
+      steps,
+      answer: state
+    };
+  }
+
+  /**
+   * Валидация: сумма частичных произведений = a × b
+   */
+  validateExample(example) {
+    if (!super.validateExample(example)) {
+      return false;
+    }
+
+    const [multiplicand, multiplier] = example.operands || [];
+    if (example.answer !== multiplicand * multiplier) {
+      console.warn(
+        `⚠️ MultiplicationRule: ${multiplicand} × ${multiplier} ≠ ${example.answer}`
+      );
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Цифры числа от старшей к младшей с их разрядом
+   *
+   * @param {number} number
+   * @returns {Array<{digit:number, place:number}>} 23 → [{digit:2, place:1}, {digit:3, place:0}]
+   */
+  _digits(number) {
+    const text = String(number);
+    return text.split('').map((char, index) => ({
+      digit: Number(char),
+      place: text.length - 1 - index
+    }));
+  }
+}
@@ -1,6 +1,7 @@
 // core/rules/UnifiedSimpleRule.js - Унифицированное правило "Просто"
 
 import { BaseRule } from "./BaseRule.js";
+import { Soroban } from "../Soroban.js";
 
 /**
  * UnifiedSimpleRule - правило для режима "Просто"
@@ -78,13 +79,12 @@ export class UnifiedSimpleRule extends BaseRule {
    */
   getAvailableActions(state, isFirst, position = 0) {
     const actions = [];
-    const { selectedDigits, maxState, onlyAddition, onlySubtraction } = this.config;
+    const { selectedDigits, onlyAddition, onlySubtraction } = this.config;
 
     // Первое действие всегда положительное
     if (isFirst && !onlySubtraction) {
       for (const digit of selectedDigits) {
-        const newState = state + digit;
-        if (newState >= 0 && newState <= maxState) {
+        if (this.isPhysicallyPossible(state, digit)) {
           actions.push(digit);
         }
       }
@@ -94,7 +94,7 @@ export class UnifiedSimpleRule extends BaseRule {
     // Если состояние = 0, только положительные действия
     if (state === 0 && !onlySubtraction) {
       for (const digit of selectedDigits) {
-        if (digit <= maxState) {
+        if (this.isPhysicallyPossible(state, digit)) {
           actions.push(digit);
         }
       }
@@ -102,12 +102,12 @@ export class UnifiedSimpleRule extends BaseRule {
     }
 
     // Обычные действия (не первое, state > 0)
+    // Только прямые ходы: в "Просто" нет братьев и друзей
     
     // Сложение
     if (!onlySubtraction) {
       for (const digit of selectedDigits) {
-        const newState = state + digit;
-        if (newState >= 0 && newState <= maxState) {
+        if (this.isPhysicallyPossible(state, digit)) {
           actions.push(digit);
         }
       }
@@ -116,8 +116,7 @@ export class UnifiedSimpleRule extends BaseRule {
     // Вычитание
     if (!onlyAddition) {
       for (const digit of selectedDigits) {
-        const newState = state - digit;
-        if (newState >= 0 && newState <= maxState) {
+        if (this.isPhysicallyPossible(state, -digit)) {
           actions.push(-digit);
         }
       }
@@ -151,53 +150,8 @@ export class UnifiedSimpleRule extends BaseRule {
       return false;
     }
 
-    // Разложение состояния на бусины
-    const upperActive = state >= 5 ? 1 : 0;  // Верхняя бусина (0 или 1)
-    const lowerActive = state >= 5 ? state - 5 : state; // Нижние бусины (0-4)
-
-    const newUpperActive = newState >= 5 ? 1 : 0;
-    const newLowerActive = newState >= 5 ? newState - 5 : newState;
-
-    // Проверяем доступность нужных бусин
-    if (action > 0) {
-      // Сложение
-      const needUpper = newUpperActive - upperActive; // 0 или 1
-      const needLower = newLowerActive - lowerActive; // может быть отрицательным!
-
-      // Проверяем верхнюю бусину
-      if (needUpper > 0 && upperActive === 1) {
-        return false; // Верхняя уже активна
-      }
-
-      // Проверяем нижние бусины
-      if (needLower > 0 && lowerActive + needLower > 4) {
-        return false; // Не хватает нижних
-      }
-
-      if (needLower < 0 && lowerActive + needLower < 0) {
-        return false; // Нельзя убрать столько нижних
-      }
-    } else {
-      // Вычитание
-      const needUpper = upperActive - newUpperActive; // 0 или 1
-      const needLower = lowerActive - newLowerActive; // может быть отрицательным!
-
-      // Проверяем верхнюю бусину
-      if (needUpper > 0 && upperActive === 0) {
-        return false; // Верхняя не активна
-      }
-
-      // Проверяем нижние бусины
-      if (needLower > 0 && lowerActive < needLower) {
-        return false; // Не хватает активных нижних
-      }
-
-      if (needLower < 0 && lowerActive - needLower > 4) {
-        return false; // Слишком много нижних станет активно
-      }
-    }
-
-    return true;
+    // Прямой ход без братьев и друзей - решает общая модель абакуса
+    return Soroban.planRodStep(state, action).technique === 'simple';
   }
 
   /**
@@ -237,21 +191,13 @@ export class UnifiedSimpleRule extends BaseRule {
     return true;
   }
 
-  /**
-   * Генерация стартового состояния
-   * @returns {number} Стартовое состояние (всегда 0 для "Просто")
-   */
-  generateStartState() {
-    return 0;
-  }
-
   /**
    * Генерация количества шагов
    * @returns {number} Количество шагов
    */
   generateStepsCount() {
     const { minSteps, maxSteps } = this.config;
-    return minSteps + Math.floor(Math.random() * (maxSteps - minSteps + 1));
+    return this.random.int(minSteps, maxSteps);
   }
 
   /**
@@ -266,8 +212,7 @@ export class UnifiedSimpleRule extends BaseRule {
       return `Невалидное состояние: ${state}`;
     }
 
-    const upper = state >= 5 ? 1 : 0;
-    const lower = state >= 5 ? state - 5 : state;
+    const { upper, lower } = Soroban.splitDigit(state);
 
     return `${state} = верхняя:${upper} + нижние:${lower}`;
   }
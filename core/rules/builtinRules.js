@@ -0,0 +1,234 @@
+// core/rules/builtinRules.js - Встроенные блоки генератора (описания для RuleRegistry)
+
+import { UnifiedSimpleRule } from "./UnifiedSimpleRule.js";
+import { BrothersRule } from "./BrothersRule.js";
+import { FriendsRule } from "./FriendsRule.js";
+import { MixRule } from "./MixRule.js";
+import { MultiplicationRule } from "./MultiplicationRule.js";
+import { DivisionRule } from "./DivisionRule.js";
+
+// Настройки цепочки шагов, которые к блокам-операциям не относятся:
+// шаги операций - частичные произведения (+10 +10 бывает), а не цепочка,
+// поэтому шаблоны и границы итогов не проверяются
+const CHAIN_ONLY_OFF = {
+  forbiddenPatterns: [],
+  totalMin: null,
+  totalMax: null,
+  answerMin: null,
+  answerMax: null
+};
+
+const ALL_DIGITS = [1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+/**
+ * Встроенные правила в порядке блоков на экране:
+ * Просто, Братья, Друзі, Мікс, Множення, Ділення.
+ * Старшинство в режиме "priority": Ділення > Множення > Мікс > Друзі > Братья > Просто
+ */
+export const BUILTIN_RULES = [
+  {
+    // БЛОК "ПРОСТО" (активен по умолчанию)
+    id: 'simple',
+    name: 'Просто',
+    RuleClass: UnifiedSimpleRule,
+    digits: ALL_DIGITS,
+    defaultDigits: [1, 2, 3, 4, 5],
+    fallbackDigits: [1, 2, 3, 4],
+    priority: 10,
+    directions: false,
+    buildConfig({ block, common, digits }) {
+      console.log("📘 [generator] Базовое правило: ПРОСТО");
+
+      return {
+        selectedDigits: digits,
+        // includeFive определяет максимальное состояние (4 или 9)
+        includeFive: digits.some(d => d >= 5),
+        onlyAddition: block.onlyAddition ?? false,
+        onlySubtraction: block.onlySubtraction ?? false,
+        ...common
+      };
+    }
+  },
+  {
+    // БЛОК "БРАТЬЯ"
+    id: 'brothers',
+    name: 'Братья',
+    RuleClass: BrothersRule,
+    digits: [1, 2, 3, 4],
+    fallbackDigits: [4],
+    priority: 20,
+    technique: 'brother',
+    buildConfig({ block, blocks, common, digits }) {
+      console.log("👬 [generator] Базовое правило: БРАТЬЯ");
+      logDirections(block);
+
+      return {
+        selectedDigits: digits,
+        onlyAddition: block.onlyAddition ?? false,
+        onlySubtraction: block.onlySubtraction ?? false,
+        brotherPriority: block.priority,
+        ...common,
+        blocks: blocks
+      };
+    }
+  },
+  {
+    // БЛОК "ДРУЗІ" (перенос в старший стержень - нужно 2+ стержня)
+    id: 'friends',
+    name: 'Друзі',
+    RuleClass: FriendsRule,
+    digits: ALL_DIGITS,
+    fallbackDigits: [9],
+    minRods: 2,
+    priority: 30,
+    carries: true,
+    technique: 'friend',
+    buildConfig({ block, blocks, common, digits }) {
+      console.log("🤝 [generator] Базовое правило: ДРУЗІ");
+      logDirections(block);
+
+      return {
+        selectedDigits: digits,
+        onlyAddition: block.onlyAddition ?? false,
+        onlySubtraction: block.onlySubtraction ?? false,
+        friendPriority: block.priority,
+        ...common,
+        blocks: blocks
+      };
+    }
+  },
+  {
+    // БЛОК "МІКС" (Братья + Друзі)
+    id: 'mix',
+    name: 'Мікс',
+    RuleClass: MixRule,
+    digits: [6, 7, 8, 9],
+    minRods: 2,
+    priority: 40,
+    carries: true,
+    technique: 'mix',
+    buildConfig({ block, blocks, common, digits }) {
+      console.log("🔄 [generator] Базовое правило: МІКС");
+      logDirections(block);
+
+      return {
+        selectedDigits: digits,
+        onlyAddition: block.onlyAddition ?? false,
+        onlySubtraction: block.onlySubtraction ?? false,
+        mixPriority: block.priority,
+        ...common,
+        blocks: blocks
+      };
+    }
+  },
+  {
+    // БЛОК "МНОЖЕННЯ": цифры блока - цифры множителя,
+    // разрядность множимого по умолчанию = разрядность листа
+    id: 'multiply',
+    name: 'Множення',
+    RuleClass: MultiplicationRule,
+    digits: ALL_DIGITS,
+    priority: 50,
+    operation: true,
+    directions: false,
+    options: [
+      { id: 'multiplicandDigits', type: 'number', value: 2, min: 1, max: 4 },
+      { id: 'multiplierDigits', type: 'number', value: 1, min: 1, max: 3 },
+      { id: 'showPartials', type: 'checkbox', value: true }
+    ],
+    buildConfig({ block, common, digits }) {
+      console.log("✖️ [generator] Базовое правило: МНОЖЕННЯ");
+      console.log("   📌 Цифры множителя:", digits);
+
+      return {
+        selectedDigits: digits,
+        multiplicandDigits: block.multiplicandDigits ?? common.digitCount,
+        multiplierDigits: block.multiplierDigits ?? 1,
+        ...common,
+        digitCount: 1,
+        ...CHAIN_ONLY_OFF
+      };
+    },
+    // Множимое 1-4 разряда, множитель 1-3
+    validate(block, { digitCount }) {
+      const { multiplicandDigits = digitCount, multiplierDigits = 1 } = block;
+      if (!Number.isInteger(multiplicandDigits) || multiplicandDigits < 1 || multiplicandDigits > 4) {
+        return { error: 'multiplyDigitsInvalid', message: "Разрядность множимого должна быть от 1 до 4" };
+      }
+      if (!Number.isInteger(multiplierDigits) || multiplierDigits < 1 || multiplierDigits > 3) {
+        return { error: 'multiplyDigitsInvalid', message: "Разрядность множителя должна быть от 1 до 3" };
+      }
+      return null;
+    }
+  },
+  {
+    // БЛОК "ДІЛЕННЯ": цифры блока - цифры делителя,
+    // разрядность делимого по умолчанию = разрядность листа
+    id: 'divide',
+    name: 'Ділення',
+    RuleClass: DivisionRule,
+    digits: ALL_DIGITS,
+    priority: 60,
+    operation: true,
+    directions: false,
+    options: [
+      { id: 'dividendDigits', type: 'number', value: 2, min: 1, max: 6 },
+      { id: 'divisorDigits', type: 'number', value: 1, min: 1, max: 3 },
+      {
+        id: 'remainderMode',
+        type: 'select',
+        value: 'exact',
+        choices: [
+          { value: 'exact', key: 'remainderExact' },
+          { value: 'remainder', key: 'remainderWith' }
+        ]
+      },
+      { id: 'showPartials', type: 'checkbox', value: true }
+    ],
+    buildConfig({ block, common, digits }) {
+      console.log("➗ [generator] Базовое правило: ДІЛЕННЯ");
+      console.log("   📌 Цифры делителя:", digits);
+      console.log("   📌 Остаток:", block.remainderMode);
+
+      return {
+        selectedDigits: digits,
+        dividendDigits: block.dividendDigits ?? common.digitCount,
+        divisorDigits: block.divisorDigits ?? 1,
+        remainderMode: block.remainderMode ?? "exact",
+        ...common,
+        digitCount: 1,
+        ...CHAIN_ONLY_OFF
+      };
+    },
+    // Делимое 1-6 разрядов, делитель 1-3 и не длиннее делимого
+    validate(block, { digitCount }) {
+      const { dividendDigits = digitCount, divisorDigits = 1, remainderMode = 'exact' } = block;
+      if (!Number.isInteger(dividendDigits) || dividendDigits < 1 || dividendDigits > 6) {
+        return { error: 'divideDigitsInvalid', message: "Разрядность делимого должна быть от 1 до 6" };
+      }
+      if (!Number.isInteger(divisorDigits) || divisorDigits < 1 || divisorDigits > 3 || divisorDigits > dividendDigits) {
+        return {
+          error: 'divideDigitsInvalid',
+          message: "Разрядность делителя должна быть от 1 до 3 и не больше разрядности делимого"
+        };
+      }
+      if (remainderMode !== 'exact' && remainderMode !== 'remainder') {
+        return { error: 'divideDigitsInvalid', message: "Режим остатка должен быть 'exact' или 'remainder'" };
+      }
+      // С остатком на однозначный делитель 1 не разделить
+      if (remainderMode === 'remainder' && divisorDigits === 1 && block.digits.every(d => parseInt(d, 10) === 1)) {
+        return { error: 'divideRemainderInvalid', message: "Деление с остатком невозможно: делитель может быть только 1" };
+      }
+      return null;
+    }
+  }
+];
+
+/**
+ * Лог опций направления блока-техники
+ */
+function logDirections(block) {
+  console.log("   📌 Выбранные цифры:", block.digits);
+  console.log("   📌 Только сложение:", block.onlyAddition);
+  console.log("   📌 Только вычитание:", block.onlySubtraction);
+}
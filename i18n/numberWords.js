@@ -0,0 +1,443 @@
+// i18n/numberWords.js
+// Числа словами для диктантов и листов "словами" (uk, ru, en, es)
+
+/**
+ * Самое большое по модулю число: MultiDigitGenerator считает на
+ * разрядность + 1 стержнях (разрядность ≤ 9), итог 9-разрядного листа
+ * "Друзі" доходит до 10 цифр - поэтому нужны миллиарды
+ */
+export const MAX_WORDS_VALUE = 9999999999;
+
+/**
+ * Больше знаков после запятой словами не читается (до тысячных)
+ */
+const MAX_WORDS_DECIMALS = 3;
+
+/**
+ * Словари языков
+ *
+ * УКРАИНСКИЙ И РУССКИЙ:
+ * - Три формы существительного после числа (1 / 2-4 / 5-20): тисяча, тисячі, тисяч
+ * - Род: "тысяча" и дроби - женского рода (одна тисяча, дві десятих),
+ *   "миллион" и "миллиард" - мужского (один мільйон, два мільярди)
+ * - Дроби: "дванадцять цілих тридцять п'ять сотих"
+ *
+ * АНГЛИЙСКИЙ: "thirty-seven", дроби по цифрам - "twelve point three five"
+ * ИСПАНСКИЙ: "treinta y siete", "veintiún mil", миллиард - "mil millones",
+ * дроби - "doce coma treinta y cinco"
+ */
+const SLAVIC = {
+  uk: {
+    zero: "нуль",
+    minus: "мінус",
+    ones: ["", "один", "два", "три", "чотири", "п'ять", "шість", "сім", "вісім", "дев'ять"],
+    onesFeminine: ["", "одна", "дві"],
+    teens: [
+      "десять", "одинадцять", "дванадцять", "тринадцять", "чотирнадцять",
+      "п'ятнадцять", "шістнадцять", "сімнадцять", "вісімнадцять", "дев'ятнадцять"
+    ],
+    tens: ["", "", "двадцять", "тридцять", "сорок", "п'ятдесят", "шістдесят", "сімдесят", "вісімдесят", "дев'яносто"],
+    hundreds: ["", "сто", "двісті", "триста", "чотириста", "п'ятсот", "шістсот", "сімсот", "вісімсот", "дев'ятсот"],
+    scales: [
+      null,
+      { forms: ["тисяча", "тисячі", "тисяч"], feminine: true },
+      { forms: ["мільйон", "мільйони", "мільйонів"], feminine: false },
+      { forms: ["мільярд", "мільярди", "мільярдів"], feminine: false }
+    ],
+    whole: ["ціла", "цілих", "цілих"],
+    fractions: [
+      null,
+      ["десята", "десятих", "десятих"],
+      ["сота", "сотих", "сотих"],
+      ["тисячна", "тисячних", "тисячних"]
+    ]
+  },
+
+  ru: {
+    zero: "ноль",
+    minus: "минус",
+    ones: ["", "один", "два", "три", "четыре", "пять", "шесть", "семь", "восемь", "девять"],
+    onesFeminine: ["", "одна", "две"],
+    teens: [
+      "десять", "одиннадцать", "двенадцать", "тринадцать", "четырнадцать",
+      "пятнадцать", "шестнадцать", "семнадцать", "восемнадцать", "девятнадцать"
+    ],
+    tens: ["", "", "двадцать", "тридцать", "сорок", "пятьдесят", "шестьдесят", "семьдесят", "восемьдесят", "девяносто"],
+    hundreds: ["", "сто", "двести", "триста", "четыреста", "пятьсот", "шестьсот", "семьсот", "восемьсот", "девятьсот"],
+    scales: [
+      null,
+      { forms: ["тысяча", "тысячи", "тысяч"], feminine: true },
+      { forms: ["миллион", "миллиона", "миллионов"], feminine: false },
+      { forms: ["миллиард", "миллиарда", "миллиардов"], feminine: false }
+    ],
+    whole: ["целая", "целых", "целых"],
+    fractions: [
+      null,
+      ["десятая", "десятых", "десятых"],
+      ["сотая", "сотых", "сотых"],
+      ["тысячная", "тысячных", "тысячных"]
+    ]
+  }
+};
+
+const ENGLISH = {
+  zero: "zero",
+  minus: "minus",
+  point: "point",
+  small: [
+    "zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine",
+    "ten", "eleven", "twelve", "thirteen", "fourteen", "fifteen", "sixteen",
+    "seventeen", "eighteen", "nineteen"
+  ],
+  tens: ["", "", "twenty", "thirty", "forty", "fifty", "sixty", "seventy", "eighty", "ninety"],
+  hundred: "hundred",
+  scales: ["", "thousand", "million", "billion"]
+};
+
+const SPANISH = {
+  zero: "cero",
+  minus: "menos",
+  point: "coma",
+  // 0-29 пишутся одним словом
+  small: [
+    "cero", "uno", "dos", "tres", "cuatro", "cinco", "seis", "siete", "ocho", "nueve",
+    "diez", "once", "doce", "trece", "catorce", "quince", "dieciséis", "diecisiete",
+    "dieciocho", "diecinueve", "veinte", "veintiuno", "veintidós", "veintitrés",
+    "veinticuatro", "veinticinco", "veintiséis", "veintisiete", "veintiocho", "veintinueve"
+  ],
+  tens: ["", "", "", "treinta", "cuarenta", "cincuenta", "sesenta", "setenta", "ochenta", "noventa"],
+  hundreds: [
+    "", "ciento", "doscientos", "trescientos", "cuatrocientos", "quinientos",
+    "seiscientos", "setecientos", "ochocientos", "novecientos"
+  ]
+};
+
+/**
+ * Число словами
+ *
+ * ИСПОЛЬЗОВАНИЕ:
+ * numberToWords(37, 'uk')        // "тридцять сім"
+ * numberToWords(21000, 'es')     // "veintiún mil"
+ * numberToWords(12.35, 'ru', 2)  // "двенадцать целых тридцать пять сотых"
+ * numberToWords(12.35, 'uk')     // "дванадцять цілих тридцять п'ять сотих"
+ * numberToWords(-4, 'en')        // "minus four"
+ *
+ * @param {number} value - Число (целое или дробь)
+ * @param {string} [lang] - Код языка (uk, ru, en, es); неизвестный - как uk
+ * @param {number} [decimalPlaces] - Знаков после запятой (0-3); не задано -
+ *        сколько их у самого числа. Незначащие нули
+ *        дробной части не читаются: 12.30 → "дванадцять цілих три десятих"
+ * @returns {string}
+ * @throws {Error} Если |value| > MAX_WORDS_VALUE или знаков после запятой больше 3
+ */
+export function numberToWords(value, lang = 'uk', decimalPlaces = null) {
+  if (decimalPlaces === null || decimalPlaces === undefined) {
+    decimalPlaces = ownDecimalPlaces(value);
+  }
+  if (!Number.isInteger(decimalPlaces) || decimalPlaces < 0 || decimalPlaces > MAX_WORDS_DECIMALS) {
+    throw new Error(`Число ${value}: словами читается от 0 до ${MAX_WORDS_DECIMALS} знаков после запятой`);
+  }
+
+  const scale = Math.pow(10, decimalPlaces);
+  const units = Math.round(Math.abs(value) * scale);
+  const whole = Math.floor(units / scale);
+
+  if (!Number.isFinite(units) || whole > MAX_WORDS_VALUE) {
+    throw new Error(`Число ${value} вне диапазона словесной записи (до ${MAX_WORDS_VALUE})`);
+  }
+
+  // Дробная часть без незначащих нулей: 30 сотых → 3 десятых
+  let fraction = units % scale;
+  let places = fraction === 0 ? 0 : decimalPlaces;
+  while (places > 0 && fraction % 10 === 0) {
+    fraction /= 10;
+    places--;
+  }
+
+  let words;
+  let minus;
+  if (lang === 'en') {
+    words = englishWords(whole, fraction, places);
+    minus = ENGLISH.minus;
+  } else if (lang === 'es') {
+    words = spanishWords(whole, fraction, places);
+    minus = SPANISH.minus;
+  } else {
+    const dict = SLAVIC[lang] || SLAVIC.uk;
+    words = slavicWords(dict, whole, fraction, places);
+    minus = dict.minus;
+  }
+
+  return units !== 0 && value < 0 ? `${minus} ${words}` : words;
+}
+
+/**
+ * Сколько знаков после запятой у самого числа (12.35 → 2).
+ * Больше MAX_WORDS_DECIMALS - ошибка: такое число словами не прочитать
+ */
+function ownDecimalPlaces(value) {
+  for (let places = 0; places <= MAX_WORDS_DECIMALS; places++) {
+    if (Number(value.toFixed(places)) === value) {
+      return places;
+    }
+  }
+
+  throw new Error(
+    `Число ${value}: больше ${MAX_WORDS_DECIMALS} знаков после запятой, укажите decimalPlaces`
+  );
+}
+
+/**
+ * Форма существительного после числа (украинский, русский):
+ * 1, 21, 101 → [0]; 2-4, 22-24 → [1]; 0, 5-20, 25-30 → [2]
+ *
+ * @param {number} n - Целое неотрицательное
+ * @param {Array<string>} forms - [одна, две-четыре, пять]
+ * @returns {string}
+ */
+export function pluralForm(n, forms) {
+  const lastTwo = n % 100;
+  const last = n % 10;
+
+  if (lastTwo >= 11 && lastTwo <= 14) {
+    return forms[2];
+  }
+  if (last === 1) {
+    return forms[0];
+  }
+  if (last >= 2 && last <= 4) {
+    return forms[1];
+  }
+  return forms[2];
+}
+
+/**
+ * Украинский, русский: целое (и дробь - в женском роде с "цілих/сотих")
+ */
+function slavicWords(dict, whole, fraction, places) {
+  if (places === 0) {
+    return slavicInteger(dict, whole, false);
+  }
+
+  return [
+    slavicInteger(dict, whole, true),
+    pluralForm(whole, dict.whole),
+    slavicInteger(dict, fraction, true),
+    pluralForm(fraction, dict.fractions[places])
+  ].join(' ');
+}
+
+/**
+ * Целое число по группам из трёх цифр (единицы, тысячи, миллионы, миллиарды).
+ * Одна тысяча / один миллион / один миллиард в начале числа читается без "один": "тисяча двісті"
+ */
+function slavicInteger(dict, n, feminine) {
+  if (n === 0) {
+    return dict.zero;
+  }
+
+  const words = [];
+  const groups = splitGroups(n);
+
+  for (let index = groups.length - 1; index >= 0; index--) {
+    const group = groups[index];
+    if (group === 0) {
+      continue;
+    }
+
+    const scale = dict.scales[index];
+    const isLeadingOne = group === 1 && index > 0 && words.length === 0;
+
+    if (!isLeadingOne) {
+      words.push(slavicGroup(dict, group, scale ? scale.feminine : feminine));
+    }
+    if (scale) {
+      words.push(pluralForm(group, scale.forms));
+    }
+  }
+
+  return words.join(' ');
+}
+
+/**
+ * Группа 1-999: "триста сорок дві"
+ */
+function slavicGroup(dict, n, feminine) {
+  const words = [];
+  const hundreds = Math.floor(n / 100);
+  const tens = Math.floor(n / 10) % 10;
+  const ones = n % 10;
+
+  if (hundreds > 0) {
+    words.push(dict.hundreds[hundreds]);
+  }
+
+  if (tens === 1) {
+    words.push(dict.teens[ones]);
+  } else {
+    if (tens > 1) {
+      words.push(dict.tens[tens]);
+    }
+    if (ones > 0) {
+      words.push(feminine && ones <= 2 ? dict.onesFeminine[ones] : dict.ones[ones]);
+    }
+  }
+
+  return words.join(' ');
+}
+
+/**
+ * Английский: "one hundred twenty-three thousand", дробь по цифрам после "point"
+ */
+function englishWords(whole, fraction, places) {
+  const words = [englishInteger(whole)];
+
+  if (places > 0) {
+    words.push(ENGLISH.point);
+    for (const digit of String(fraction).padStart(places, '0')) {
+      words.push(ENGLISH.small[Number(digit)]);
+    }
+  }
+
+  return words.join(' ');
+}
+
+function englishInteger(n) {
+  if (n === 0) {
+    return ENGLISH.zero;
+  }
+
+  const words = [];
+  const groups = splitGroups(n);
+
+  for (let index = groups.length - 1; index >= 0; index--) {
+    const group = groups[index];
+    if (group === 0) {
+      continue;
+    }
+
+    const hundreds = Math.floor(group / 100);
+    const rest = group % 100;
+
+    if (hundreds > 0) {
+      words.push(ENGLISH.small[hundreds], ENGLISH.hundred);
+    }
+    if (rest >= 20) {
+      words.push(rest % 10 > 0
+        ? `${ENGLISH.tens[Math.floor(rest / 10)]}-${ENGLISH.small[rest % 10]}`
+        : ENGLISH.tens[Math.floor(rest / 10)]);
+    } else if (rest > 0) {
+      words.push(ENGLISH.small[rest]);
+    }
+    if (index > 0) {
+      words.push(ENGLISH.scales[index]);
+    }
+  }
+
+  return words.join(' ');
+}
+
+/**
+ * Испанский: "uno" перед mil/millón сокращается до "un" (veintiún mil, un millón),
+ * миллиарды - тысячи миллионов ("dos mil quinientos millones"),
+ * дробь после "coma" читается числом (ведущие нули - "cero")
+ */
+function spanishWords(whole, fraction, places) {
+  const words = [spanishInteger(whole)];
+
+  if (places > 0) {
+    words.push(SPANISH.point);
+    const digits = String(fraction).padStart(places, '0');
+    for (let i = 0; i < digits.length - String(fraction).length; i++) {
+      words.push(SPANISH.zero);
+    }
+    words.push(spanishInteger(fraction));
+  }
+
+  return words.join(' ');
+}
+
+function spanishInteger(n) {
+  if (n === 0) {
+    return SPANISH.zero;
+  }
+
+  const words = [];
+  const millions = Math.floor(n / 1000000);
+  const rest = n % 1000000;
+
+  if (millions === 1) {
+    words.push("un millón");
+  } else if (millions > 1) {
+    words.push(`${spanishBelowMillion(millions, true)} millones`);
+  }
+
+  if (rest > 0) {
+    words.push(spanishBelowMillion(rest, false));
+  }
+
+  return words.join(' ');
+}
+
+/**
+ * 1-999999: "veintiún mil trescientos"; apocope - число перед millones
+ * ("mil un millones")
+ */
+function spanishBelowMillion(n, apocope) {
+  const words = [];
+  const [units, thousands = 0] = splitGroups(n);
+
+  if (thousands === 1) {
+    words.push("mil");
+  } else if (thousands > 1) {
+    words.push(`${spanishGroup(thousands, true)} mil`);
+  }
+
+  if (units > 0) {
+    words.push(spanishGroup(units, apocope));
+  }
+
+  return words.join(' ');
+}
+
+/**
+ * Группа 1-999; apocope - перед mil/millones ("veintiún", "treinta y un")
+ */
+function spanishGroup(n, apocope) {
+  const words = [];
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+
+  if (n === 100) {
+    return "cien";
+  }
+  if (hundreds > 0) {
+    words.push(SPANISH.hundreds[hundreds]);
+  }
+
+  if (rest > 0) {
+    let restWords = rest < 30
+      ? SPANISH.small[rest]
+      : SPANISH.tens[Math.floor(rest / 10)] + (rest % 10 > 0 ? ` y ${SPANISH.small[rest % 10]}` : '');
+
+    if (apocope) {
+      restWords = restWords.replace(/veintiuno$/, 'veintiún').replace(/uno$/, 'un');
+    }
+    words.push(restWords);
+  }
+
+  return words.join(' ');
+}
+
+/**
+ * Группы по три цифры от младшей: 1234567 → [567, 234, 1]
+ */
+function splitGroups(n) {
+  const groups = [];
+  let rest = n;
+  do {
+    groups.push(rest % 1000);
+    rest = Math.floor(rest / 1000);
+  } while (rest > 0);
+  return groups;
+}
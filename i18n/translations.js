@@ -25,10 +25,55 @@ export const translations = {
       examplesCount: "Кількість прикладів",
       actionsCount: "Кількість дій в прикладі",
       digitCount: "Розрядність",
+      firstNumberDigits: "Розрядність першого числа",
+      lastNumberDigits: "Розрядність останнього числа",
+      digitProfilePlaceholder: "як у інших",
+      otherNumbersDigits: "Розрядність інших чисел",
+      otherNumbersPlaceholder: "напр. 2 або 1:1, 2:3 (з вагами)",
+      decimalPlaces: "Знаків після коми",
+      negativeLimit: "Нижче нуля до (0 - ні)",
+      numberForm: "Запис чисел",
+      numberFormDigits: "Цифрами",
+      numberFormWords: "Словами",
+      uniqueExamples: "Без повторів прикладів",
+      maxSameAnswer: "Макс. прикладів з однаковою відповіддю",
+      maxSameFirstStep: "Макс. прикладів з однаковим першим кроком",
+      varietyPlaceholder: "без обмежень",
+      forbidInverse: "Без кроку, що скасовує попередній (+4 −4)",
+      forbidRepeat: "Без однакових кроків поспіль (+3 +3)",
+      forbidZeroReturn: "Без повернення в нуль посеред прикладу",
+      totalMin: "Проміжний підсумок від",
+      totalMax: "Проміжний підсумок до",
+      answerSpread: "Відповіді",
+      spreadEven: "Рівномірно по значеннях",
+      spreadNatural: "Як вийде",
+      answerMin: "Від відповіді",
+      answerMax: "До відповіді",
+      answerRangePlaceholder: "без межі",
+      answerParity: "Парність відповіді",
+      parityAny: "Будь-яка",
+      parityEven: "Парна",
+      parityOdd: "Непарна",
+      exampleOrder: "Порядок прикладів",
+      orderGenerated: "Як згенеровано",
+      orderDifficulty: "Від легких до складних",
       worksheetTitle: "Назва завдання (необов'язково)",
       worksheetTitlePlaceholder: "Наприклад: Завдання для тренування",
       worksheetComment: "Коментар (необов'язково)",
-      worksheetCommentPlaceholder: "Наприклад: Домашнє завдання на тиждень"
+      worksheetCommentPlaceholder: "Наприклад: Домашнє завдання на тиждень",
+      seed: "Код аркуша (необов'язково)",
+      seedPlaceholder: "Залиште порожнім для нових прикладів",
+      blendMode: "Поєднання блоків",
+      blendPriority: "Один блок (за пріоритетом)",
+      blendExample: "Один блок на приклад (за вагою)",
+      blendStep: "Усі блоки в кожному кроці (за вагою)",
+      minTechniqueSteps: "Мін. технічних кроків у прикладі",
+      maxTechniqueSteps: "Макс. технічних кроків у прикладі",
+      techniqueStepsPlaceholder: "Авто",
+      startMin: "Стартове число від",
+      startMax: "Стартове число до",
+      startPlaceholder: "0",
+      formulaCoverage: "Кожна формула на аркуші (разів)"
     },
     
     // Блоки
@@ -38,19 +83,29 @@ export const translations = {
       brothers: "БРАТИ (формули 5)",
       friends: "ДРУЗІ (формули 10)",
       mix: "БРАТИ І ДРУЗІ (мікс)",
+      multiply: "МНОЖЕННЯ (цифри множника)",
+      divide: "ДІЛЕННЯ (цифри дільника)",
       selectAll: "Вибрати все"
     },
     
     // Опции блоков
     blockOptions: {
       onlyAddition: "Тільки додавання",
-      onlySubtraction: "Тільки віднімання"
+      onlySubtraction: "Тільки віднімання",
+      weight: "Вага",
+      multiplicandDigits: "Розрядів у множеному",
+      multiplierDigits: "Розрядів у множнику",
+      showPartials: "Частинні добутки у відповідях",
+      dividendDigits: "Розрядів у діленому",
+      divisorDigits: "Розрядів у дільнику",
+      remainderMode: "Остача",
+      remainderExact: "Без остачі",
+      remainderWith: "З остачею"
     },
     
     // Предупреждения
     warnings: {
-      friendsRequires2Digits: "Для 'Друзі' потрібно мінімум 2 розряди",
-      mixRequires2Digits: "Для 'Мікс' потрібно мінімум 2 розряди"
+      requiresRods: "Потрібно мінімум {count} розряди"
     },
     
     // Кнопки
@@ -59,6 +114,7 @@ export const translations = {
       generating: "Генерація...",
       print: "Друкувати",
       newExamples: "Нові приклади",
+      flash: "⚡ Флеш-анзан",
       save: "Зберегти",
       cancel: "Скасувати"
     },
@@ -67,7 +123,30 @@ export const translations = {
     result: {
       title: "Результат",
       showAnswers: "Показати відповіді",
-      statistics: "Статистика"
+      statistics: "Статистика",
+      coverageTitle: "Покриття формул",
+      coverageComplete: "Кожна формула зустрічається щонайменше {k} раз(и)",
+      coverageIncomplete: "Не вдалося набрати {k} раз(и) для формул",
+      varietyTitle: "Різноманітність аркуша",
+      varietyIncomplete: "Налаштування не дають {requested} різних прикладів: розширте блоки, цифри чи розрядність або зменшіть кількість прикладів",
+      varietyDistinct: "Різних прикладів",
+      varietyDuplicates: "Повторів",
+      varietySameAnswer: "Понад ліміт з однаковою відповіддю",
+      varietySameFirstStep: "Понад ліміт з однаковим першим кроком",
+      answersReportTitle: "Відповіді аркуша",
+      answersIncomplete: "{misses} приклад(ів) з відповіддю поза діапазоном або парністю: розширте діапазон або додайте блоки, цифри чи дії",
+      answersRange: "Відповіді від {min} до {max}",
+      answersDistinct: "Різних відповідей",
+      difficultyTitle: "Складність аркуша",
+      difficultyAverage: "Середня складність",
+      difficultyRange: "від {min} (приклад {easiest}) до {max} (приклад {hardest})",
+      difficultyFactors: {
+        technique: "Техніка",
+        beadMoves: "Рухи кісточок",
+        carries: "Переноси",
+        digits: "Розрядність",
+        signChanges: "Зміни знака"
+      }
     },
     
     // Статистика
@@ -88,10 +167,25 @@ export const translations = {
       examplesCountInvalid: "Кількість прикладів повинна бути від 1 до 1000",
       actionsCountInvalid: "Кількість дій повинна бути від 1 до 20",
       digitCountInvalid: "Розрядність повинна бути від 1 до 9",
-      friendsNeed2Digits: "Блок 'Друзі' вимагає мінімум 2 розряди",
-      mixNeed2Digits: "Блок 'Мікс' вимагає мінімум 2 розряди",
+      blockNeedsRods: "Блок '{block}' вимагає мінімум {count} розряди",
+      multiplyDigitsInvalid: "Множення: множене 1-4 розряди, множник 1-3 розряди",
+      divideDigitsInvalid: "Ділення: ділене 1-6 розрядів, дільник 1-3 розряди і не довший за ділене",
+      divideRemainderInvalid: "Ділення з остачею неможливе, якщо дільник лише 1",
       generationFailed: "Не вдалося згенерувати приклади",
-      noExamplesGenerated: "Не вдалося згенерувати жодного прикладу"
+      noExamplesGenerated: "Не вдалося згенерувати жодного прикладу",
+      techniqueStepsInvalid: "Кількість технічних кроків: мінімум не більший за максимум і не більший за кількість дій",
+      startInvalid: "Стартове число: від 0 до {max}, «від» не більше за «до»",
+      startNotUsable: "Стартове число {start} недоступне блоку {block}: на стержнях лише цифри 0-{max}",
+      blendWeightsInvalid: "Вага блоку - від 0, і хоча б один активний блок має мати вагу більше нуля",
+      decimalPlacesInvalid: "Знаків після коми: від 0 до 3, разом із розрядністю не більше 9",
+      negativeLimitInvalid: "Межа нижче нуля: від 0 до {max}",
+      negativeNeedsCarry: "Підсумок нижче нуля можливий лише з блоками: {blocks}",
+      varietyLimitInvalid: "Ліміт повторів: від 1 до 1000 або порожньо (без обмежень)",
+      answerRangeInvalid: "Діапазон відповідей: числа, «від» не більше за «до»",
+      digitProfileInvalid: "Розрядність чисел: від 1 до {max}; інші числа - «2» або «1:1, 2:3» (вага більша за нуль)",
+      totalRangeInvalid: "Проміжні підсумки: числа від {min} до {max}, «від» не більше за «до»",
+      totalRangeConflict: "Відповідь і стартове число мають потрапляти в межі проміжних підсумків",
+      totalRangeTooNarrow: "Межі проміжних підсумків вужчі за один крок: кожне число після першого змінює підсумок щонайменше на {step}"
     },
     
     // Разрядность
@@ -110,7 +204,49 @@ export const translations = {
     // Лист с заданиями
     worksheet: {
       defaultTitle: "Завдання для тренування на абакусі",
-      answersTitle: "Відповіді"
+      answersTitle: "Відповіді",
+      seedLabel: "Код аркуша",
+      remainderLabel: "ост."
+    },
+    
+    // Флеш-анзан
+    flash: {
+      title: "Флеш-анзан",
+      interval: "Інтервал показу (с)",
+      count: "Кількість чисел",
+      digits: "Розрядність чисел",
+      fontSize: "Розмір шрифту (px)",
+      start: "Почати",
+      back: "← До генератора",
+      ready: "Готові?",
+      answerPrompt: "Ваша відповідь",
+      check: "Перевірити",
+      correct: "✅ Правильно!",
+      wrong: "❌ Неправильно",
+      again: "Ще раз",
+      toSettings: "До налаштувань",
+      intervalInvalid: "Інтервал показу: від 0,1 до 10 секунд",
+      countInvalid: "Кількість чисел: від 1 до 30",
+      fontSizeInvalid: "Розмір шрифту: від 40 до 400 px",
+      noChainBlocks: "Для флеш-анзан виберіть блок 'Просто', 'Брати', 'Друзі' або 'Мікс'"
+    },
+
+    // Диктант
+    dictation: {
+      title: "Диктант",
+      plus: "плюс",
+      minus: "мінус",
+      times: "помножити на",
+      dividedBy: "поділити на",
+      example: "Приклад",
+      question: "Скільки?",
+      answerLabel: "Відповідь",
+      pace: "Пауза диктанту (с)",
+      dictate: "🔊 Диктувати",
+      stop: "⏹ Зупинити",
+      script: "📜 Сценарій для вчителя",
+      unavailable: "Синтез мовлення недоступний у цьому браузері. Прочитайте приклади за сценарієм.",
+      paceInvalid: "Пауза диктанту: від 0,5 до 10 секунд"
     }
   },
 
@@ -126,10 +262,55 @@ export const translations = {
       examplesCount: "Количество примеров",
       actionsCount: "Количество действий в примере",
       digitCount: "Разрядность",
+      firstNumberDigits: "Разрядность первого числа",
+      lastNumberDigits: "Разрядность последнего числа",
+      digitProfilePlaceholder: "как у остальных",
+      otherNumbersDigits: "Разрядность остальных чисел",
+      otherNumbersPlaceholder: "напр. 2 или 1:1, 2:3 (с весами)",
+      decimalPlaces: "Знаков после запятой",
+      negativeLimit: "Ниже нуля до (0 - нет)",
+      numberForm: "Запись чисел",
+      numberFormDigits: "Цифрами",
+      numberFormWords: "Словами",
+      uniqueExamples: "Без повторов примеров",
+      maxSameAnswer: "Макс. примеров с одинаковым ответом",
+      maxSameFirstStep: "Макс. примеров с одинаковым первым шагом",
+      varietyPlaceholder: "без ограничений",
+      forbidInverse: "Без шага, отменяющего предыдущий (+4 −4)",
+      forbidRepeat: "Без одинаковых шагов подряд (+3 +3)",
+      forbidZeroReturn: "Без возврата в ноль посреди примера",
+      totalMin: "Промежуточный итог от",
+      totalMax: "Промежуточный итог до",
+      answerSpread: "Ответы",
+      spreadEven: "Равномерно по значениям",
+      spreadNatural: "Как получится",
+      answerMin: "Ответ от",
+      answerMax: "Ответ до",
+      answerRangePlaceholder: "без границы",
+      answerParity: "Чётность ответа",
+      parityAny: "Любая",
+      parityEven: "Чётная",
+      parityOdd: "Нечётная",
+      exampleOrder: "Порядок примеров",
+      orderGenerated: "Как сгенерированы",
+      orderDifficulty: "От лёгких к сложным",
       worksheetTitle: "Название задания (необязательно)",
       worksheetTitlePlaceholder: "Например: Задания для тренировки",
       worksheetComment: "Комментарий (необязательно)",
-      worksheetCommentPlaceholder: "Например: Домашнее задание на неделю"
+      worksheetCommentPlaceholder: "Например: Домашнее задание на неделю",
+      seed: "Код листа (необязательно)",
+      seedPlaceholder: "Оставьте пустым для новых примеров",
+      blendMode: "Сочетание блоков",
+      blendPriority: "Один блок (по приоритету)",
+      blendExample: "Один блок на пример (по весу)",
+      blendStep: "Все блоки в каждом шаге (по весу)",
+      minTechniqueSteps: "Мин. технических шагов в примере",
+      maxTechniqueSteps: "Макс. технических шагов в примере",
+      techniqueStepsPlaceholder: "Авто",
+      startMin: "Стартовое число от",
+      startMax: "Стартовое число до",
+      startPlaceholder: "0",
+      formulaCoverage: "Каждая формула на листе (раз)"
     },
     
     blocks: {
@@ -138,17 +319,27 @@ export const translations = {
       brothers: "БРАТЬЯ (формулы 5)",
       friends: "ДРУЗЬЯ (формулы 10)",
       mix: "БРАТЬЯ И ДРУЗЬЯ (микс)",
+      multiply: "УМНОЖЕНИЕ (цифры множителя)",
+      divide: "ДЕЛЕНИЕ (цифры делителя)",
       selectAll: "Выбрать все"
     },
     
     blockOptions: {
       onlyAddition: "Только сложение",
-      onlySubtraction: "Только вычитание"
+      onlySubtraction: "Только вычитание",
+      weight: "Вес",
+      multiplicandDigits: "Разрядов во множимом",
+      multiplierDigits: "Разрядов в множителе",
+      showPartials: "Частичные произведения в ответах",
+      dividendDigits: "Разрядов в делимом",
+      divisorDigits: "Разрядов в делителе",
+      remainderMode: "Остаток",
+      remainderExact: "Без остатка",
+      remainderWith: "С остатком"
     },
     
     warnings: {
-      friendsRequires2Digits: "Для 'Друзья' нужно минимум 2 разряда",
-      mixRequires2Digits: "Для 'Микс' нужно минимум 2 разряда"
+      requiresRods: "Нужно минимум {count} разряда"
     },
     
     buttons: {
@@ -156,6 +347,7 @@ export const translations = {
       generating: "Генерация...",
       print: "Печатать",
       newExamples: "Новые примеры",
+      flash: "⚡ Флеш-анзан",
       save: "Сохранить",
       cancel: "Отмена"
     },
@@ -163,7 +355,30 @@ export const translations = {
     result: {
       title: "Результат",
       showAnswers: "Показать ответы",
-      statistics: "Статистика"
+      statistics: "Статистика",
+      coverageTitle: "Покрытие формул",
+      coverageComplete: "Каждая формула встречается не меньше {k} раз(а)",
+      coverageIncomplete: "Не удалось набрать {k} раз(а) для формул",
+      varietyTitle: "Разнообразие листа",
+      varietyIncomplete: "Настройки не дают {requested} разных примеров: расширьте блоки, цифры или разрядность либо уменьшите количество примеров",
+      varietyDistinct: "Разных примеров",
+      varietyDuplicates: "Повторов",
+      varietySameAnswer: "Сверх лимита с одинаковым ответом",
+      varietySameFirstStep: "Сверх лимита с одинаковым первым шагом",
+      answersReportTitle: "Ответы листа",
+      answersIncomplete: "{misses} пример(ов) с ответом вне диапазона или чётности: расширьте диапазон или добавьте блоки, цифры или действия",
+      answersRange: "Ответы от {min} до {max}",
+      answersDistinct: "Разных ответов",
+      difficultyTitle: "Сложность листа",
+      difficultyAverage: "Средняя сложность",
+      difficultyRange: "от {min} (пример {easiest}) до {max} (пример {hardest})",
+      difficultyFactors: {
+        technique: "Техника",
+        beadMoves: "Движения косточек",
+        carries: "Переносы",
+        digits: "Разрядность",
+        signChanges: "Смены знака"
+      }
     },
     
     statistics: {
@@ -182,10 +397,25 @@ export const translations = {
       examplesCountInvalid: "Количество примеров должно быть от 1 до 1000",
       actionsCountInvalid: "Количество действий должно быть от 1 до 20",
       digitCountInvalid: "Разрядность должна быть от 1 до 9",
-      friendsNeed2Digits: "Блок 'Друзья' требует минимум 2 разряда",
-      mixNeed2Digits: "Блок 'Микс' требует минимум 2 разряда",
+      blockNeedsRods: "Блок '{block}' требует минимум {count} разряда",
+      multiplyDigitsInvalid: "Умножение: множимое 1-4 разряда, множитель 1-3 разряда",
+      divideDigitsInvalid: "Деление: делимое 1-6 разрядов, делитель 1-3 разряда и не длиннее делимого",
+      divideRemainderInvalid: "Деление с остатком невозможно, если делитель только 1",
       generationFailed: "Не удалось сгенерировать примеры",
-      noExamplesGenerated: "Не удалось сгенерировать ни одного примера"
+      noExamplesGenerated: "Не удалось сгенерировать ни одного примера",
+      techniqueStepsInvalid: "Количество технических шагов: минимум не больше максимума и не больше количества действий",
+      startInvalid: "Стартовое число: от 0 до {max}, «от» не больше «до»",
+      startNotUsable: "Стартовое число {start} недоступно блоку {block}: на стержнях только цифры 0-{max}",
+      blendWeightsInvalid: "Вес блока - от 0, и хотя бы у одного активного блока вес должен быть больше нуля",
+      decimalPlacesInvalid: "Знаков после запятой: от 0 до 3, вместе с разрядностью не больше 9",
+      negativeLimitInvalid: "Граница ниже нуля: от 0 до {max}",
+      negativeNeedsCarry: "Итог ниже нуля возможен только с блоками: {blocks}",
+      varietyLimitInvalid: "Лимит повторов: от 1 до 1000 или пусто (без ограничений)",
+      answerRangeInvalid: "Диапазон ответов: числа, «от» не больше «до»",
+      digitProfileInvalid: "Разрядность чисел: от 1 до {max}; остальные числа - «2» или «1:1, 2:3» (вес больше нуля)",
+      totalRangeInvalid: "Промежуточные итоги: числа от {min} до {max}, «от» не больше «до»",
+      totalRangeConflict: "Ответ и стартовое число должны попадать в границы промежуточных итогов",
+      totalRangeTooNarrow: "Границы промежуточных итогов уже одного шага: каждое число после первого меняет итог минимум на {step}"
     },
     
     digits: {
@@ -202,7 +432,48 @@ export const translations = {
     
     worksheet: {
       defaultTitle: "Задания для тренировки на абакусе",
-      answersTitle: "Ответы"
+      answersTitle: "Ответы",
+      seedLabel: "Код листа",
+      remainderLabel: "ост."
+    },
+    
+    // Флеш-анзан
+    flash: {
+      title: "Флеш-анзан",
+      interval: "Интервал показа (с)",
+      count: "Количество чисел",
+      digits: "Разрядность чисел",
+      fontSize: "Размер шрифта (px)",
+      start: "Начать",
+      back: "← К генератору",
+      ready: "Готовы?",
+      answerPrompt: "Ваш ответ",
+      check: "Проверить",
+      correct: "✅ Правильно!",
+      wrong: "❌ Неправильно",
+      again: "Ещё раз",
+      toSettings: "К настройкам",
+      intervalInvalid: "Интервал показа: от 0,1 до 10 секунд",
+      countInvalid: "Количество чисел: от 1 до 30",
+      fontSizeInvalid: "Размер шрифта: от 40 до 400 px",
+      noChainBlocks: "Для флеш-анзан выберите блок 'Просто', 'Братья', 'Друзья' или 'Микс'"
+    },
+
+    dictation: {
+      title: "Диктант",
+      plus: "плюс",
+      minus: "минус",
+      times: "умножить на",
+      dividedBy: "разделить на",
+      example: "Пример",
+      question: "Сколько?",
+      answerLabel: "Ответ",
+      pace: "Пауза диктанта (с)",
+      dictate: "🔊 Диктовать",
+      stop: "⏹ Остановить",
+      script: "📜 Сценарий для учителя",
+      unavailable: "Синтез речи недоступен в этом браузере. Прочитайте примеры по сценарию.",
+      paceInvalid: "Пауза диктанта: от 0,5 до 10 секунд"
     }
   },
 
@@ -218,10 +489,55 @@ export const translations = {
       examplesCount: "Number of examples",
       actionsCount: "Number of actions per example",
       digitCount: "Digit count",
+      firstNumberDigits: "First number digits",
+      lastNumberDigits: "Last number digits",
+      digitProfilePlaceholder: "same as others",
+      otherNumbersDigits: "Other numbers digits",
+      otherNumbersPlaceholder: "e.g. 2 or 1:1, 2:3 (weighted)",
+      decimalPlaces: "Decimal places",
+      negativeLimit: "Below zero down to (0 - off)",
+      numberForm: "Numbers",
+      numberFormDigits: "In digits",
+      numberFormWords: "In words",
+      uniqueExamples: "No repeated examples",
+      maxSameAnswer: "Max examples with the same answer",
+      maxSameFirstStep: "Max examples with the same first step",
+      varietyPlaceholder: "no limit",
+      forbidInverse: "No step that undoes the previous one (+4 −4)",
+      forbidRepeat: "No identical steps in a row (+3 +3)",
+      forbidZeroReturn: "No return to zero mid-example",
+      totalMin: "Running total from",
+      totalMax: "Running total to",
+      answerSpread: "Answers",
+      spreadEven: "Spread evenly",
+      spreadNatural: "As generated",
+      answerMin: "Answer from",
+      answerMax: "Answer to",
+      answerRangePlaceholder: "no bound",
+      answerParity: "Answer parity",
+      parityAny: "Any",
+      parityEven: "Even",
+      parityOdd: "Odd",
+      exampleOrder: "Example order",
+      orderGenerated: "As generated",
+      orderDifficulty: "Easy to hard",
       worksheetTitle: "Worksheet title (optional)",
       worksheetTitlePlaceholder: "e.g.: Training Exercises",
       worksheetComment: "Comment (optional)",
-      worksheetCommentPlaceholder: "e.g.: Homework for the week"
+      worksheetCommentPlaceholder: "e.g.: Homework for the week",
+      seed: "Worksheet code (optional)",
+      seedPlaceholder: "Leave empty for new examples",
+      blendMode: "Block blending",
+      blendPriority: "One block (by priority)",
+      blendExample: "One block per example (weighted)",
+      blendStep: "All blocks in every step (weighted)",
+      minTechniqueSteps: "Min. technique steps per example",
+      maxTechniqueSteps: "Max. technique steps per example",
+      techniqueStepsPlaceholder: "Auto",
+      startMin: "Start number from",
+      startMax: "Start number to",
+      startPlaceholder: "0",
+      formulaCoverage: "Each formula on the sheet (times)"
     },
     
     blocks: {
@@ -230,17 +546,27 @@ export const translations = {
       brothers: "BROTHERS (formulas 5)",
       friends: "FRIENDS (formulas 10)",
       mix: "BROTHERS & FRIENDS (mix)",
+      multiply: "MULTIPLICATION (multiplier digits)",
+      divide: "DIVISION (divisor digits)",
       selectAll: "Select all"
     },
     
     blockOptions: {
       onlyAddition: "Addition only",
-      onlySubtraction: "Subtraction only"
+      onlySubtraction: "Subtraction only",
+      weight: "Weight",
+      multiplicandDigits: "Multiplicand digits",
+      multiplierDigits: "Multiplier digits",
+      showPartials: "Partial products in answers",
+      dividendDigits: "Dividend digits",
+      divisorDigits: "Divisor digits",
+      remainderMode: "Remainder",
+      remainderExact: "Exact",
+      remainderWith: "With remainder"
     },
     
     warnings: {
-      friendsRequires2Digits: "'Friends' requires at least 2 digits",
-      mixRequires2Digits: "'Mix' requires at least 2 digits"
+      requiresRods: "Requires at least {count} digits"
     },
     
     buttons: {
@@ -248,6 +574,7 @@ export const translations = {
       generating: "Generating...",
       print: "Print",
       newExamples: "New examples",
+      flash: "⚡ Flash anzan",
       save: "Save",
       cancel: "Cancel"
     },
@@ -255,7 +582,30 @@ export const translations = {
     result: {
       title: "Result",
       showAnswers: "Show answers",
-      statistics: "Statistics"
+      statistics: "Statistics",
+      coverageTitle: "Formula coverage",
+      coverageComplete: "Every formula appears at least {k} time(s)",
+      coverageIncomplete: "Could not reach {k} time(s) for formulas",
+      varietyTitle: "Worksheet variety",
+      varietyIncomplete: "These settings cannot produce {requested} distinct examples: add blocks, digits or rods, or request fewer examples",
+      varietyDistinct: "Distinct examples",
+      varietyDuplicates: "Repeats",
+      varietySameAnswer: "Over the same-answer limit",
+      varietySameFirstStep: "Over the same-first-step limit",
+      answersReportTitle: "Worksheet answers",
+      answersIncomplete: "{misses} example(s) with an answer outside the range or parity: widen the range or add blocks, digits or actions",
+      answersRange: "Answers from {min} to {max}",
+      answersDistinct: "Distinct answers",
+      difficultyTitle: "Worksheet difficulty",
+      difficultyAverage: "Average difficulty",
+      difficultyRange: "from {min} (example {easiest}) to {max} (example {hardest})",
+      difficultyFactors: {
+        technique: "Technique",
+        beadMoves: "Bead moves",
+        carries: "Carries",
+        digits: "Digits",
+        signChanges: "Sign changes"
+      }
     },
     
     statistics: {
@@ -274,10 +624,25 @@ export const translations = {
       examplesCountInvalid: "Number of examples must be between 1 and 1000",
       actionsCountInvalid: "Number of actions must be between 1 and 20",
       digitCountInvalid: "Digit count must be between 1 and 9",
-      friendsNeed2Digits: "'Friends' block requires at least 2 digits",
-      mixNeed2Digits: "'Mix' block requires at least 2 digits",
+      blockNeedsRods: "'{block}' block requires at least {count} digits",
+      multiplyDigitsInvalid: "Multiplication: multiplicand 1-4 digits, multiplier 1-3 digits",
+      divideDigitsInvalid: "Division: dividend 1-6 digits, divisor 1-3 digits and not longer than the dividend",
+      divideRemainderInvalid: "Division with remainder is impossible when the divisor is only 1",
       generationFailed: "Failed to generate examples",
-      noExamplesGenerated: "Failed to generate any examples"
+      noExamplesGenerated: "Failed to generate any examples",
+      techniqueStepsInvalid: "Technique steps: minimum must not exceed maximum or the number of actions",
+      startInvalid: "Start number: 0 to {max}, \"from\" must not exceed \"to\"",
+      startNotUsable: "Start number {start} is not available to block {block}: rods can only hold digits 0-{max}",
+      blendWeightsInvalid: "Block weights must be 0 or more, and at least one active block needs a weight above zero",
+      decimalPlacesInvalid: "Decimal places: 0 to 3, at most 9 together with the digit count",
+      negativeLimitInvalid: "Below-zero limit: 0 to {max}",
+      negativeNeedsCarry: "Totals below zero need one of the blocks: {blocks}",
+      varietyLimitInvalid: "Repeat limit: 1 to 1000, or empty for no limit",
+      answerRangeInvalid: "Answer range: numbers, \"from\" must not exceed \"to\"",
+      digitProfileInvalid: "Number digits: 1 to {max}; other numbers as \"2\" or \"1:1, 2:3\" (weight above zero)",
+      totalRangeInvalid: "Running total: numbers from {min} to {max}, \"from\" must not exceed \"to\"",
+      totalRangeConflict: "The answer and the start number must fall within the running-total bounds",
+      totalRangeTooNarrow: "The running-total bounds are narrower than one step: every number after the first changes the total by at least {step}"
     },
     
     digits: {
@@ -294,7 +659,48 @@ export const translations = {
     
     worksheet: {
       defaultTitle: "Abacus Training Exercises",
-      answersTitle: "Answers"
+      answersTitle: "Answers",
+      seedLabel: "Worksheet code",
+      remainderLabel: "rem."
+    },
+    
+    // Флеш-анзан
+    flash: {
+      title: "Flash anzan",
+      interval: "Display interval (s)",
+      count: "Number count",
+      digits: "Digits per number",
+      fontSize: "Font size (px)",
+      start: "Start",
+      back: "← Back to generator",
+      ready: "Ready?",
+      answerPrompt: "Your answer",
+      check: "Check",
+      correct: "✅ Correct!",
+      wrong: "❌ Wrong",
+      again: "Again",
+      toSettings: "Back to settings",
+      intervalInvalid: "Display interval: 0.1 to 10 seconds",
+      countInvalid: "Number count: 1 to 30",
+      fontSizeInvalid: "Font size: 40 to 400 px",
+      noChainBlocks: "Flash anzan needs the 'Simple', 'Brothers', 'Friends' or 'Mix' block"
+    },
+
+    dictation: {
+      title: "Dictation",
+      plus: "plus",
+      minus: "minus",
+      times: "times",
+      dividedBy: "divided by",
+      example: "Example",
+      question: "How much?",
+      answerLabel: "Answer",
+      pace: "Dictation pause (s)",
+      dictate: "🔊 Dictate",
+      stop: "⏹ Stop",
+      script: "📜 Teacher script",
+      unavailable: "Speech synthesis is not available in this browser. Read the examples from the script.",
+      paceInvalid: "Dictation pause: 0.5 to 10 seconds"
     }
   },
 
@@ -310,10 +716,55 @@ export const translations = {
       examplesCount: "Número de ejemplos",
       actionsCount: "Número de acciones por ejemplo",
       digitCount: "Cantidad de dígitos",
+      firstNumberDigits: "Cifras del primer número",
+      lastNumberDigits: "Cifras del último número",
+      digitProfilePlaceholder: "como los demás",
+      otherNumbersDigits: "Cifras de los demás números",
+      otherNumbersPlaceholder: "p. ej. 2 o 1:1, 2:3 (con pesos)",
+      decimalPlaces: "Decimales",
+      negativeLimit: "Bajo cero hasta (0 - no)",
+      numberForm: "Números",
+      numberFormDigits: "En cifras",
+      numberFormWords: "En palabras",
+      uniqueExamples: "Sin ejemplos repetidos",
+      maxSameAnswer: "Máx. ejemplos con la misma respuesta",
+      maxSameFirstStep: "Máx. ejemplos con el mismo primer paso",
+      varietyPlaceholder: "sin límite",
+      forbidInverse: "Sin paso que deshaga el anterior (+4 −4)",
+      forbidRepeat: "Sin pasos iguales seguidos (+3 +3)",
+      forbidZeroReturn: "Sin volver a cero a mitad del ejemplo",
+      totalMin: "Total parcial desde",
+      totalMax: "Total parcial hasta",
+      answerSpread: "Respuestas",
+      spreadEven: "Repartidas por igual",
+      spreadNatural: "Como salgan",
+      answerMin: "Respuesta desde",
+      answerMax: "Respuesta hasta",
+      answerRangePlaceholder: "sin límite",
+      answerParity: "Paridad de la respuesta",
+      parityAny: "Cualquiera",
+      parityEven: "Par",
+      parityOdd: "Impar",
+      exampleOrder: "Orden de ejemplos",
+      orderGenerated: "Como se generaron",
+      orderDifficulty: "De fácil a difícil",
       worksheetTitle: "Título de la hoja (opcional)",
       worksheetTitlePlaceholder: "ej.: Ejercicios de entrenamiento",
       worksheetComment: "Comentario (opcional)",
-      worksheetCommentPlaceholder: "ej.: Tarea para la semana"
+      worksheetCommentPlaceholder: "ej.: Tarea para la semana",
+      seed: "Código de la hoja (opcional)",
+      seedPlaceholder: "Déjalo vacío para nuevos ejemplos",
+      blendMode: "Combinación de bloques",
+      blendPriority: "Un bloque (por prioridad)",
+      blendExample: "Un bloque por ejemplo (según peso)",
+      blendStep: "Todos los bloques en cada paso (según peso)",
+      minTechniqueSteps: "Mín. pasos de técnica por ejemplo",
+      maxTechniqueSteps: "Máx. pasos de técnica por ejemplo",
+      techniqueStepsPlaceholder: "Auto",
+      startMin: "Número inicial desde",
+      startMax: "Número inicial hasta",
+      startPlaceholder: "0",
+      formulaCoverage: "Cada fórmula en la hoja (veces)"
     },
     
     blocks: {
@@ -322,17 +773,27 @@ export const translations = {
       brothers: "HERMANOS (fórmulas 5)",
       friends: "AMIGOS (fórmulas 10)",
       mix: "HERMANOS Y AMIGOS (mezcla)",
+      multiply: "MULTIPLICACIÓN (cifras del multiplicador)",
+      divide: "DIVISIÓN (cifras del divisor)",
       selectAll: "Seleccionar todo"
     },
     
     blockOptions: {
       onlyAddition: "Solo suma",
-      onlySubtraction: "Solo resta"
+      onlySubtraction: "Solo resta",
+      weight: "Peso",
+      multiplicandDigits: "Cifras del multiplicando",
+      multiplierDigits: "Cifras del multiplicador",
+      showPartials: "Productos parciales en las respuestas",
+      dividendDigits: "Cifras del dividendo",
+      divisorDigits: "Cifras del divisor",
+      remainderMode: "Resto",
+      remainderExact: "Exacta",
+      remainderWith: "Con resto"
     },
     
     warnings: {
-      friendsRequires2Digits: "'Amigos' requiere al menos 2 dígitos",
-      mixRequires2Digits: "'Mezcla' requiere al menos 2 dígitos"
+      requiresRods: "Requiere al menos {count} dígitos"
     },
     
     buttons: {
@@ -340,6 +801,7 @@ export const translations = {
       generating: "Generando...",
       print: "Imprimir",
       newExamples: "Nuevos ejemplos",
+      flash: "⚡ Flash anzan",
       save: "Guardar",
       cancel: "Cancelar"
     },
@@ -347,7 +809,30 @@ export const translations = {
     result: {
       title: "Resultado",
       showAnswers: "Mostrar respuestas",
-      statistics: "Estadísticas"
+      statistics: "Estadísticas",
+      coverageTitle: "Cobertura de fórmulas",
+      coverageComplete: "Cada fórmula aparece al menos {k} vez/veces",
+      coverageIncomplete: "No se alcanzaron {k} vez/veces para las fórmulas",
+      varietyTitle: "Variedad de la hoja",
+      varietyIncomplete: "Esta configuración no da {requested} ejemplos distintos: añada bloques, dígitos o cifras, o pida menos ejemplos",
+      varietyDistinct: "Ejemplos distintos",
+      varietyDuplicates: "Repeticiones",
+      varietySameAnswer: "Por encima del límite de misma respuesta",
+      varietySameFirstStep: "Por encima del límite de mismo primer paso",
+      answersReportTitle: "Respuestas de la hoja",
+      answersIncomplete: "{misses} ejemplo(s) con respuesta fuera del rango o la paridad: amplíe el rango o añada bloques, dígitos o acciones",
+      answersRange: "Respuestas de {min} a {max}",
+      answersDistinct: "Respuestas distintas",
+      difficultyTitle: "Dificultad de la hoja",
+      difficultyAverage: "Dificultad media",
+      difficultyRange: "de {min} (ejemplo {easiest}) a {max} (ejemplo {hardest})",
+      difficultyFactors: {
+        technique: "Técnica",
+        beadMoves: "Movimientos de cuentas",
+        carries: "Acarreos",
+        digits: "Dígitos",
+        signChanges: "Cambios de signo"
+      }
     },
     
     statistics: {
@@ -366,10 +851,25 @@ export const translations = {
       examplesCountInvalid: "El número de ejemplos debe estar entre 1 y 1000",
       actionsCountInvalid: "El número de acciones debe estar entre 1 y 20",
       digitCountInvalid: "La cantidad de dígitos debe estar entre 1 y 9",
-      friendsNeed2Digits: "El bloque 'Amigos' requiere al menos 2 dígitos",
-      mixNeed2Digits: "El bloque 'Mezcla' requiere al menos 2 dígitos",
+      blockNeedsRods: "El bloque '{block}' requiere al menos {count} dígitos",
+      multiplyDigitsInvalid: "Multiplicación: multiplicando de 1 a 4 cifras, multiplicador de 1 a 3 cifras",
+      divideDigitsInvalid: "División: dividendo de 1 a 6 cifras, divisor de 1 a 3 cifras y no más largo que el dividendo",
+      divideRemainderInvalid: "La división con resto es imposible si el divisor es solo 1",
       generationFailed: "No se pudieron generar ejemplos",
-      noExamplesGenerated: "No se pudo generar ningún ejemplo"
+      noExamplesGenerated: "No se pudo generar ningún ejemplo",
+      techniqueStepsInvalid: "Pasos de técnica: el mínimo no puede superar el máximo ni el número de acciones",
+      startInvalid: "Número inicial: de 0 a {max}, «desde» no puede superar «hasta»",
+      startNotUsable: "El número inicial {start} no está disponible para el bloque {block}: en las varillas solo caben las cifras 0-{max}",
+      blendWeightsInvalid: "Los pesos de los bloques deben ser 0 o más, y al menos un bloque activo necesita un peso mayor que cero",
+      decimalPlacesInvalid: "Decimales: de 0 a 3, como máximo 9 junto con la cantidad de dígitos",
+      negativeLimitInvalid: "Límite bajo cero: de 0 a {max}",
+      negativeNeedsCarry: "Los totales bajo cero requieren uno de los bloques: {blocks}",
+      varietyLimitInvalid: "Límite de repeticiones: de 1 a 1000, o vacío para sin límite",
+      answerRangeInvalid: "Rango de respuestas: números, «desde» no mayor que «hasta»",
+      digitProfileInvalid: "Cifras de los números: de 1 a {max}; los demás como «2» o «1:1, 2:3» (peso mayor que cero)",
+      totalRangeInvalid: "Totales parciales: números de {min} a {max}, «desde» no puede superar «hasta»",
+      totalRangeConflict: "La respuesta y el número inicial deben quedar dentro de los límites de los totales parciales",
+      totalRangeTooNarrow: "Los límites de los totales parciales son más estrechos que un paso: cada número después del primero cambia el total al menos en {step}"
     },
     
     digits: {
@@ -386,7 +886,48 @@ export const translations = {
     
     worksheet: {
       defaultTitle: "Ejercicios de entrenamiento con ábaco",
-      answersTitle: "Respuestas"
+      answersTitle: "Respuestas",
+      seedLabel: "Código de la hoja",
+      remainderLabel: "resto"
+    },
+    
+    // Флеш-анзан
+    flash: {
+      title: "Flash anzan",
+      interval: "Intervalo de muestra (s)",
+      count: "Cantidad de números",
+      digits: "Dígitos por número",
+      fontSize: "Tamaño de fuente (px)",
+      start: "Empezar",
+      back: "← Volver al generador",
+      ready: "¿Listos?",
+      answerPrompt: "Tu respuesta",
+      check: "Comprobar",
+      correct: "✅ ¡Correcto!",
+      wrong: "❌ Incorrecto",
+      again: "Otra vez",
+      toSettings: "Volver a la configuración",
+      intervalInvalid: "Intervalo de muestra: de 0,1 a 10 segundos",
+      countInvalid: "Cantidad de números: de 1 a 30",
+      fontSizeInvalid: "Tamaño de fuente: de 40 a 400 px",
+      noChainBlocks: "Flash anzan requiere el bloque 'Simple', 'Hermanos', 'Amigos' o 'Mezcla'"
+    },
+
+    dictation: {
+      title: "Dictado",
+      plus: "más",
+      minus: "menos",
+      times: "por",
+      dividedBy: "entre",
+      example: "Ejemplo",
+      question: "¿Cuánto es?",
+      answerLabel: "Respuesta",
+      pace: "Pausa del dictado (s)",
+      dictate: "🔊 Dictar",
+      stop: "⏹ Detener",
+      script: "📜 Guion del profesor",
+      unavailable: "La síntesis de voz no está disponible en este navegador. Lea los ejemplos con el guion.",
+      paceInvalid: "Pausa del dictado: de 0,5 a 10 segundos"
     }
   }
 };
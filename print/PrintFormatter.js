@@ -1,6 +1,8 @@
 // print/PrintFormatter.js
 // Форматирование примеров в HTML таблицу для печати
 
+import { numberToWords } from "../i18n/numberWords.js";
+
 /**
  * PrintFormatter - класс для форматирования примеров в HTML
  * 
@@ -19,6 +21,58 @@
  * });
  */
 export class PrintFormatter {
+  /**
+   * Подписи техник шагов (details[].technique)
+   */
+  static TECHNIQUE_LABELS = {
+    simple: "Просто",
+    brother: "Брати",
+    friend: "Друзі",
+    mix: "Мікс",
+    multiply: "Множення",
+    divide: "Ділення"
+  };
+
+  /**
+   * Знаки операций для примеров-операций (example.operation)
+   */
+  static OPERATION_SIGNS = {
+    multiply: "×",
+    divide: "÷"
+  };
+
+  /**
+   * Подпись остатка в ответе деления по умолчанию: "23 (ост. 4)"
+   * (UI и CLI передают подпись языка листа - remainderLabel)
+   */
+  static REMAINDER_LABEL = "ост.";
+
+  /**
+   * Язык листа по умолчанию (определяет десятичный разделитель: 12,35 / 12.35)
+   */
+  static DEFAULT_LOCALE = "uk";
+
+  /**
+   * Замены символов при экранировании HTML
+   */
+  static HTML_ESCAPES = {
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;"
+  };
+
+  /**
+   * Слова диктанта по умолчанию (UI передаёт слова своего языка)
+   */
+  static DICTATION_WORDS = {
+    plus: "плюс",
+    minus: "мінус",
+    times: "помножити на",
+    dividedBy: "поділити на"
+  };
+
   /**
    * Создать HTML таблицу с примерами
    * 
@@ -29,6 +83,12 @@ export class PrintFormatter {
    * @param {number} options.rows - Количество строк
    * @param {string} options.title - Заголовок листа
    * @param {string} options.comment - Комментарий к заданиям
+   * @param {number} options.seed - Код листа (seed) для воспроизведения
+   * @param {string} options.seedLabel - Подпись к коду листа
+   * @param {string} options.locale - Язык листа (десятичный разделитель дробей)
+   * @param {boolean} options.inWords - Числа словами ("плюс тридцять сім")
+   * @param {Object} options.words - Слова знаков для записи словами { plus, minus, times, dividedBy }
+   * @param {string} options.remainderLabel - Подпись остатка в ответе деления ("ост.", "rem.")
    * @returns {string} HTML код
    */
   static formatToTable(examples, options = {}) {
@@ -37,7 +97,13 @@ export class PrintFormatter {
       columns = 10,
       rows = Math.ceil(examples.length / 10),
       title = "Завдання для тренування на абакусі",
-      comment = ""
+      comment = "",
+      seed = null,
+      seedLabel = "Код аркуша",
+      locale = this.DEFAULT_LOCALE,
+      inWords = false,
+      words = this.DICTATION_WORDS,
+      remainderLabel = this.REMAINDER_LABEL
     } = options;
 
     console.log(`📄 Форматирование ${examples.length} примеров в таблицу ${rows}x${columns}`);
@@ -45,7 +111,7 @@ export class PrintFormatter {
     let html = '<div class="worksheet">';
     
     // Заголовок
-    if (title || comment) {
+    if (title || comment || seed !== null) {
       html += '<div class="worksheet-header">';
       if (title) {
         html += `<h1 class="worksheet-title">${this._escapeHtml(title)}</h1>`;
@@ -53,6 +119,7 @@ export class PrintFormatter {
       if (comment) {
         html += `<p class="worksheet-comment">${this._escapeHtml(comment)}</p>`;
       }
+      html += this._formatSeed(seed, seedLabel);
       html += '</div>';
     }
 
@@ -70,7 +137,7 @@ export class PrintFormatter {
           html += '<td class="example-cell example-cell--empty"></td>';
         } else {
           const example = examples[index];
-          html += this._formatExampleCell(example, showAnswers);
+          html += this._formatExampleCell(example, showAnswers, locale, inWords ? words : null, remainderLabel);
         }
       }
       
@@ -88,17 +155,50 @@ export class PrintFormatter {
    * 
    * @param {Object} example - Пример
    * @param {boolean} showAnswers - Показывать ли ответ
+   * @param {string} locale - Язык листа
+   * @param {Object|null} wordForm - Слова знаков, если пример пишется словами
+   * @param {string} remainderLabel - Подпись остатка в ответе деления
    * @returns {string} HTML ячейки
    */
-  static _formatExampleCell(example, showAnswers) {
+  static _formatExampleCell(example, showAnswers, locale = this.DEFAULT_LOCALE, wordForm = null,
+                            remainderLabel = this.REMAINDER_LABEL) {
     let html = '<td class="example-cell">';
     
     // Номер примера
     html += `<div class="example-number">${example.id}</div>`;
     
-    // Действия (шаги)
-    html += '<div class="example-steps">';
-    for (const step of example.steps) {
+    // Пример словами: каждая фраза - строкой ("п'ять", "плюс три")
+    if (wordForm) {
+      html += '<div class="example-steps example-steps--words">';
+      for (const phrase of this.formatSpokenSteps(example, wordForm, locale, true)) {
+        html += `<div class="example-step">${this._escapeHtml(phrase)}</div>`;
+      }
+      html += '</div>';
+      html += '<div class="answer-line"></div>';
+      html += this._formatAnswerValue(example, showAnswers, locale, true, remainderLabel);
+      html += '</td>';
+      return html;
+    }
+    
+    // Пример-операция записывается в строку: "23 × 7 =", "138 ÷ 6 ="
+    if (this._isOperation(example)) {
+      html += `<div class="example-operation">${this._escapeHtml(this._formatOperation(example))} =</div>`;
+      html += this._formatAnswerValue(example, showAnswers, locale, false, remainderLabel);
+      html += '</td>';
+      return html;
+    }
+    
+    // Действия (шаги); стартовое число - первой строкой.
+    // Дроби выравниваются по правому краю, чтобы запятые (стержень единиц) стояли в столбик
+    const [startLine, ...stepLines] = this._hasStart(example)
+      ? this._exampleLines(example, locale)
+      : [null, ...this._exampleLines(example, locale)];
+    const stepsModifier = this._isDecimal(example) ? ' example-steps--decimal' : '';
+    html += `<div class="example-steps${stepsModifier}">`;
+    if (startLine !== null) {
+      html += `<div class="example-step example-start">${this._escapeHtml(startLine)}</div>`;
+    }
+    for (const step of stepLines) {
       html += `<div class="example-step">${this._escapeHtml(step)}</div>`;
     }
     html += '</div>';
@@ -107,30 +207,61 @@ export class PrintFormatter {
     html += '<div class="answer-line"></div>';
     
     // Ответ (если нужно показать)
-    if (showAnswers) {
-      html += `<div class="answer-value">${example.answer}</div>`;
-    } else {
-      // Скрытый ответ для печати с ответами позже
-      html += `<div class="answer-value answer-value--hidden" data-answer="${example.answer}"></div>`;
-    }
+    html += this._formatAnswerValue(example, showAnswers, locale, false, remainderLabel);
     
     html += '</td>';
     
     return html;
   }
 
+  /**
+   * Ответ в ячейке примера (видимый или скрытый для печати с ответами позже)
+   * 
+   * @param {Object} example - Пример
+   * @param {boolean} showAnswers - Показывать ли ответ
+   * @param {string} locale - Язык листа
+   * @param {boolean} inWords - Ответ словами
+   * @param {string} remainderLabel - Подпись остатка в ответе деления
+   * @returns {string} HTML
+   */
+  static _formatAnswerValue(example, showAnswers, locale = this.DEFAULT_LOCALE, inWords = false,
+                            remainderLabel = this.REMAINDER_LABEL) {
+    const answer = this._escapeHtml(this._formatAnswer(example, locale, inWords, remainderLabel));
+
+    if (showAnswers) {
+      return `<div class="answer-value">${answer}</div>`;
+    }
+
+    return `<div class="answer-value answer-value--hidden" data-answer="${answer}"></div>`;
+  }
+
   /**
    * Создать HTML с только ответами (отдельный лист)
    * 
    * @param {Array} examples - Массив примеров
    * @param {Object} options - Опции
+   * @param {boolean} options.showFormulas - Показывать формулы технических шагов
+   * @param {boolean|Object<string, boolean>} options.showPartials - Показывать частичные
+   *        произведения примеров-операций (для всех или по операциям: { multiply: true, divide: false })
+   * @param {string} options.locale - Язык листа (десятичный разделитель дробей)
+   * @param {boolean} options.inWords - Ответы словами
+   * @param {boolean} options.showDifficulty - Показывать оценку сложности примера (example.difficulty)
+   * @param {string} options.remainderLabel - Подпись остатка в ответе деления
    * @returns {string} HTML код
    */
   static formatAnswersSheet(examples, options = {}) {
     const {
       columns = 10,
       rows = Math.ceil(examples.length / 10),
-      title = "Відповіді"
+      title = "Відповіді",
+      seed = null,
+      seedLabel = "Код аркуша",
+      showFormulas = false,
+      showPartials = false,
+      locale = this.DEFAULT_LOCALE,
+      inWords = false,
+      showDifficulty = false,
+      remainderLabel = this.REMAINDER_LABEL
     } = options;
 
     let html = '<div class="worksheet worksheet--answers">';
@@ -138,6 +269,7 @@ export class PrintFormatter {
     // Заголовок
     html += '<div class="worksheet-header">';
     html += `<h1 class="worksheet-title">${this._escapeHtml(title)}</h1>`;
+    html += this._formatSeed(seed, seedLabel);
     html += '</div>';
 
     // Таблица ответов (компактная)
@@ -155,7 +287,20 @@ export class PrintFormatter {
           const example = examples[index];
           html += `<td class="answer-cell">`;
           html += `<span class="answer-cell-number">${example.id}:</span> `;
-          html += `<span class="answer-cell-value">${example.answer}</span>`;
+          html += `<span class="answer-cell-value">${this._escapeHtml(this._formatAnswer(example, locale, inWords, remainderLabel))}</span>`;
+          if (showDifficulty && example.difficulty) {
+            html += ` <span class="answer-cell-difficulty">★${this._escapeHtml(this._localizeNumber(example.difficulty.score, locale))}</span>`;
+          }
+          if (this._isOperation(example)) {
+            const partialsOn = typeof showPartials === 'object' && showPartials !== null
+              ? Boolean(showPartials[example.operation])
+              : showPartials;
+            if (partialsOn) {
+              html += this._formatPartials(example);
+            }
+          } else if (showFormulas) {
+            html += this._formatFormulas(example, locale);
+          }
           html += `</td>`;
         }
       }
@@ -173,7 +318,10 @@ export class PrintFormatter {
    * Создать полный HTML документ (с заданиями и ответами)
    * 
    * @param {Array} examples - Массив примеров
-   * @param {Object} options - Опции
+   * @param {Object} options - Опции (остальные передаются в formatToTable / formatAnswersSheet)
+   * @param {string} options.answersTitle - Заголовок листа ответов
+   * @param {string|null} options.styles - CSS для встраивания в <style>
+   *        (файл без папки print/ рядом); null - ссылка на print/print-styles.css
    * @returns {string} Полный HTML документ
    */
   static formatFullDocument(examples, options = {}) {
@@ -181,16 +329,21 @@ export class PrintFormatter {
       showAnswers = false,
       includeAnswersSheet = true,
       title = "Завдання для тренування на абакусі",
-      comment = ""
+      answersTitle = "Відповіді",
+      comment = "",
+      locale = this.DEFAULT_LOCALE,
+      styles = null
     } = options;
 
     let html = '<!DOCTYPE html>\n';
-    html += '<html lang="uk">\n';
+    html += `<html lang="${this._escapeHtml(locale)}">\n`;
     html += '<head>\n';
     html += '  <meta charset="UTF-8">\n';
     html += '  <meta name="viewport" content="width=device-width, initial-scale=1.0">\n';
     html += `  <title>${this._escapeHtml(title)}</title>\n`;
-    html += '  <link rel="stylesheet" href="print/print-styles.css">\n';
+    html += styles !== null
+      ? `  <style>\n${styles}\n  </style>\n`
+      : '  <link rel="stylesheet" href="print/print-styles.css">\n';
     html += '</head>\n';
     html += '<body>\n';
 
@@ -208,8 +361,8 @@ export class PrintFormatter {
       
       // Лист с ответами
       html += this.formatAnswersSheet(examples, {
-        title: "Відповіді",
-        ...options
+        ...options,
+        title: answersTitle
       });
     }
 
@@ -247,15 +400,15 @@ export class PrintFormatter {
    * @returns {string} Текстовый список
    */
   static formatToText(examples, options = {}) {
-    const { showAnswers = false } = options;
+    const { showAnswers = false, locale = this.DEFAULT_LOCALE, remainderLabel = this.REMAINDER_LABEL } = options;
     
     let text = '';
     
     for (const example of examples) {
       text += `${example.id}. `;
-      text += example.steps.join(' ');
+      text += this._exampleLines(example, locale).join(' ');
       text += ' = ';
-      text += showAnswers ? example.answer : '?';
+      text += showAnswers ? this._formatAnswer(example, locale, false, remainderLabel) : '?';
       text += '\n';
     }
     
@@ -266,19 +419,108 @@ export class PrintFormatter {
    * Экспорт в CSV формат
    * 
    * @param {Array} examples - Массив примеров
+   * @param {Object} options - Опции
+   * @param {string} options.locale - Язык (десятичный разделитель дробей)
+   * @param {string} options.remainderLabel - Подпись остатка в ответе деления
    * @returns {string} CSV данные
    */
-  static formatToCSV(examples) {
+  static formatToCSV(examples, options = {}) {
+    const { locale = this.DEFAULT_LOCALE, remainderLabel = this.REMAINDER_LABEL } = options;
     let csv = 'ID,Приклад,Відповідь\n';
     
     for (const example of examples) {
-      const exampleStr = example.steps.join(' ');
-      csv += `${example.id},"${exampleStr}",${example.answer}\n`;
+      const exampleStr = this._exampleLines(example, locale).join(' ');
+      csv += `${example.id},"${exampleStr}","${this._formatAnswer(example, locale, false, remainderLabel)}"\n`;
     }
     
     return csv;
   }
 
+  /**
+   * Сценарий диктанта для учителя (читать вслух, если синтез речи недоступен):
+   * "1. 5; плюс 3; мінус 2 - Відповідь: 6"
+   * 
+   * @param {Array} examples - Массив примеров
+   * @param {Object} options - Опции
+   * @param {string} options.title - Заголовок сценария
+   * @param {string} options.answerLabel - Подпись ответа
+   * @param {Object} options.words - Слова { plus, minus, times, dividedBy }
+   * @param {string} options.locale - Язык (десятичный разделитель дробей)
+   * @param {boolean} options.inWords - Числа словами ("плюс тридцять сім")
+   * @param {string} options.remainderLabel - Подпись остатка в ответе деления
+   * @returns {string} HTML код
+   */
+  static formatDictationScript(examples, options = {}) {
+    const {
+      title = "Диктант",
+      answerLabel = "Відповідь",
+      words = this.DICTATION_WORDS,
+      locale = this.DEFAULT_LOCALE,
+      inWords = false,
+      remainderLabel = this.REMAINDER_LABEL
+    } = options;
+
+    let html = '<div class="worksheet worksheet--script">';
+
+    html += '<div class="worksheet-header">';
+    html += `<h1 class="worksheet-title">${this._escapeHtml(title)}</h1>`;
+    html += '</div>';
+
+    html += '<ol class="script-list">';
+    for (const example of examples) {
+      const phrases = this.formatSpokenSteps(example, words, locale, inWords);
+      html += '<li class="script-item">';
+      html += `<span class="script-steps">${this._escapeHtml(phrases.join('; '))}</span>`;
+      html += ` <span class="script-answer">- ${this._escapeHtml(answerLabel)}: `;
+      html += `<strong>${this._escapeHtml(this._formatAnswer(example, locale, inWords, remainderLabel))}</strong></span>`;
+      html += '</li>';
+    }
+    html += '</ol>';
+    html += '</div>';
+
+    return html;
+  }
+
+  /**
+   * Фразы примера для чтения вслух: ["5", "плюс 3", "мінус 12"];
+   * первое число без "плюс", пример-операция - одна фраза "23 помножити на 7"
+   * 
+   * @param {Object} example - Пример
+   * @param {Object} words - Слова { plus, minus, times, dividedBy }
+   * @param {string} locale - Язык (десятичный разделитель дробей, язык чисел словами)
+   * @param {boolean} inWords - Числа словами: ["п'ять", "плюс три", "мінус дванадцять"]
+   * @returns {Array<string>}
+   */
+  static formatSpokenSteps(example, words = this.DICTATION_WORDS, locale = this.DEFAULT_LOCALE, inWords = false) {
+    if (this._isOperation(example)) {
+      const word = example.operation === 'divide' ? words.dividedBy : words.times;
+      const operands = inWords
+        ? example.operands.map(operand => this._numberWords(example, operand, locale))
+        : example.operands;
+      return [operands.join(` ${word} `)];
+    }
+
+    const phrases = this._hasStart(example)
+      ? [this._formatNumber(example, example.start, locale, inWords)]
+      : [];
+
+    for (const step of example.steps) {
+      const digits = step.replace(/^[+-]/, '');
+      const value = inWords
+        ? this._numberWords(example, Number(digits), locale)
+        : this._localizeDecimals(example, digits, locale);
+      const isMinus = step.startsWith('-');
+
+      if (phrases.length === 0 && !isMinus) {
+        phrases.push(value);
+      } else {
+        phrases.push(`${isMinus ? words.minus : words.plus} ${value}`);
+      }
+    }
+
+    return phrases;
+  }
+
   /**
    * Подсчет статистики по примерам
    * 
@@ -298,6 +540,11 @@ export class PrintFormatter {
     let subtractionCount = 0;
 
     for (const example of examples) {
+      // Шаги примера-операции - частичные произведения, не сложения
+      if (this._isOperation(example)) {
+        continue;
+      }
+
       for (const step of example.steps) {
         if (step.startsWith('+')) {
           additionCount++;
@@ -307,6 +554,15 @@ export class PrintFormatter {
       }
     }
 
+    // Подсчет техник (по описанию шагов)
+    const techniques = {};
+
+    for (const example of examples) {
+      for (const detail of example.details || []) {
+        techniques[detail.technique] = (techniques[detail.technique] || 0) + 1;
+      }
+    }
+
     return {
       totalExamples: examples.length,
       avgStepsPerExample: (stepCounts.reduce((a, b) => a + b, 0) / examples.length).toFixed(1),
@@ -317,7 +573,10 @@ export class PrintFormatter {
       avgAnswer: (answers.reduce((a, b) => a + b, 0) / examples.length).toFixed(1),
       totalAdditions: additionCount,
       totalSubtractions: subtractionCount,
-      additionPercentage: ((additionCount / (additionCount + subtractionCount)) * 100).toFixed(1)
+      additionPercentage: additionCount + subtractionCount > 0
+        ? ((additionCount / (additionCount + subtractionCount)) * 100).toFixed(1)
+        : '0.0',
+      techniques: techniques
     };
   }
 
@@ -340,9 +599,17 @@ export class PrintFormatter {
     html += `<li>Всього прикладів: <strong>${stats.totalExamples}</strong></li>`;
     html += `<li>Середня кількість дій: <strong>${stats.avgStepsPerExample}</strong></li>`;
     html += `<li>Діапазон дій: <strong>${stats.minSteps}-${stats.maxSteps}</strong></li>`;
-    html += `<li>Діапазон відповідей: <strong>${stats.minAnswer}-${stats.maxAnswer}</strong></li>`;
+    // С отрицательными ответами дефис читался бы как минус: "-12 … 45"
+    const answerRange = stats.minAnswer < 0
+      ? `${stats.minAnswer} … ${stats.maxAnswer}`
+      : `${stats.minAnswer}-${stats.maxAnswer}`;
+    html += `<li>Діапазон відповідей: <strong>${answerRange}</strong></li>`;
     html += `<li>Додавань: <strong>${stats.totalAdditions}</strong> (${stats.additionPercentage}%)</li>`;
     html += `<li>Віднімань: <strong>${stats.totalSubtractions}</strong></li>`;
+    for (const [technique, count] of Object.entries(stats.techniques)) {
+      const label = this.TECHNIQUE_LABELS[technique] || technique;
+      html += `<li>${this._escapeHtml(label)}: <strong>${count}</strong></li>`;
+    }
     html += '</ul>';
     html += '</div>';
     
@@ -350,7 +617,398 @@ export class PrintFormatter {
   }
 
   /**
-   * Экранирование HTML
+   * Информационный блок о покрытии формул (PrintGenerator.coverage)
+   * 
+   * @param {Object|null} coverage - Отчёт { required, formulas, missing, complete }
+   * @param {Object} labels - Подписи { title, complete, incomplete } ({k} = требуемое количество)
+   * @returns {string} HTML блока или пустая строка
+   */
+  static formatCoverageBlock(coverage, labels = {}) {
+    if (!coverage) {
+      return '';
+    }
+
+    const {
+      title = "Покриття формул",
+      complete = "Кожна формула зустрічається щонайменше {k} раз(и)",
+      incomplete = "Не вдалося набрати {k} раз(и) для формул"
+    } = labels;
+
+    const k = String(coverage.required);
+    const modifier = coverage.complete ? 'complete' : 'incomplete';
+
+    let html = `<div class="coverage-block coverage-block--${modifier} no-print">`;
+    html += `<h3>${this._escapeHtml(title)}</h3>`;
+    html += `<p>${this._escapeHtml((coverage.complete ? complete : incomplete).replace('{k}', k))}`;
+    if (!coverage.complete) {
+      html += `: <strong>${this._escapeHtml(coverage.missing.join(', '))}</strong>`;
+    }
+    html += '</p>';
+    html += '<ul class="coverage-list">';
+    for (const item of coverage.formulas) {
+      const itemModifier = item.count >= coverage.required ? '' : ' coverage-item--missing';
+      html += `<li class="coverage-item${itemModifier}">${this._escapeHtml(item.formula)}: <strong>${item.count}</strong></li>`;
+    }
+    html += '</ul>';
+    html += '</div>';
+
+    return html;
+  }
+
+  /**
+   * Предупреждение о разнообразии листа (PrintGenerator.variety):
+   * показывается, только если ограничения выполнить не удалось
+   * 
+   * @param {Object|null} variety - Отчёт { requested, distinct, duplicates,
+   *        sameAnswerExcess, sameFirstStepExcess, complete }
+   * @param {Object} labels - Подписи { title, incomplete, distinct, duplicates, sameAnswer, sameFirstStep }
+   *        ({requested} = запрошенное количество примеров)
+   * @returns {string} HTML блока или пустая строка
+   */
+  static formatVarietyBlock(variety, labels = {}) {
+    if (!variety || variety.complete) {
+      return '';
+    }
+
+    const {
+      title = "Різноманітність аркуша",
+      incomplete = "Налаштування не дають {requested} різних прикладів",
+      distinct = "Різних прикладів",
+      duplicates = "Повторів",
+      sameAnswer = "Понад ліміт з однаковою відповіддю",
+      sameFirstStep = "Понад ліміт з однаковим першим кроком"
+    } = labels;
+
+    const items = [
+      [distinct, variety.distinct],
+      [duplicates, variety.duplicates],
+      [sameAnswer, variety.sameAnswerExcess],
+      [sameFirstStep, variety.sameFirstStepExcess]
+    ];
+
+    let html = '<div class="variety-block no-print">';
+    html += `<h3>${this._escapeHtml(title)}</h3>`;
+    html += `<p>${this._escapeHtml(incomplete.replace('{requested}', String(variety.requested)))}</p>`;
+    html += '<ul class="variety-list">';
+    for (const [label, value] of items) {
+      html += `<li>${this._escapeHtml(label)}: <strong>${value}</strong></li>`;
+    }
+    html += '</ul>';
+    html += '</div>';
+
+    return html;
+  }
+
+  /**
+   * Предупреждение о распределении ответов (PrintGenerator.answers):
+   * показывается, только если часть ответов не попала в диапазон или чётность
+   * 
+   * @param {Object|null} answers - Отчёт { min, max, distinct, misses, complete }
+   * @param {Object} labels - Подписи { title, incomplete, range, distinct }
+   *        (incomplete: {misses}; range: {min}, {max} - фактические ответы)
+   * @returns {string} HTML блока или пустая строка
+   */
+  static formatAnswersBlock(answers, labels = {}) {
+    if (!answers || answers.complete) {
+      return '';
+    }
+
+    const {
+      title = "Відповіді аркуша",
+      incomplete = "{misses} приклад(ів) з відповіддю поза діапазоном або парністю",
+      range = "Відповіді від {min} до {max}",
+      distinct = "Різних відповідей"
+    } = labels;
+
+    let html = '<div class="variety-block no-print">';
+    html += `<h3>${this._escapeHtml(title)}</h3>`;
+    html += `<p>${this._escapeHtml(incomplete.replace('{misses}', String(answers.misses)))}</p>`;
+    html += '<ul class="variety-list">';
+    html += `<li>${this._escapeHtml(range.replace('{min}', String(answers.min)).replace('{max}', String(answers.max)))}</li>`;
+    html += `<li>${this._escapeHtml(distinct)}: <strong>${answers.distinct}</strong></li>`;
+    html += '</ul>';
+    html += '</div>';
+
+    return html;
+  }
+
+  /**
+   * Информационный блок о сложности листа (PrintGenerator.difficulty)
+   * 
+   * @param {Object|null} summary - Сводка { average, min, max, easiestId, hardestId, factors }
+   * @param {Object} labels - Подписи { title, average, range, factors }
+   *        (range: {min}, {max} - оценки, {easiest}, {hardest} - номера примеров)
+   * @param {string} locale - Язык (десятичный разделитель оценок)
+   * @returns {string} HTML блока или пустая строка
+   */
+  static formatDifficultyBlock(summary, labels = {}, locale = this.DEFAULT_LOCALE) {
+    if (!summary) {
+      return '';
+    }
+
+    const {
+      title = "Складність аркуша",
+      average = "Середня складність",
+      range = "від {min} (приклад {easiest}) до {max} (приклад {hardest})",
+      factors = {
+        technique: "Техніка",
+        beadMoves: "Рухи кісточок",
+        carries: "Переноси",
+        digits: "Розрядність",
+        signChanges: "Зміни знака"
+      }
+    } = labels;
+
+    const number = (value) => this._escapeHtml(this._localizeNumber(value, locale));
+    const rangeText = this._escapeHtml(range)
+      .replace('{min}', `<strong>${number(summary.min)}</strong>`)
+      .replace('{max}', `<strong>${number(summary.max)}</strong>`)
+      .replace('{easiest}', String(summary.easiestId))
+      .replace('{hardest}', String(summary.hardestId));
+
+    let html = '<div class="difficulty-block no-print">';
+    html += `<h3>${this._escapeHtml(title)}</h3>`;
+    html += `<p>${this._escapeHtml(average)}: <strong>${number(summary.average)}</strong>, ${rangeText}</p>`;
+    html += '<ul class="difficulty-factors">';
+    for (const [key, value] of Object.entries(summary.factors)) {
+      html += `<li>${this._escapeHtml(factors[key] ?? key)}: <strong>${number(value)}</strong></li>`;
+    }
+    html += '</ul>';
+    html += '</div>';
+
+    return html;
+  }
+
+  /**
+   * Формулы технических шагов примера для листа ответов
+   * (например "+3 = +5 - 2"); простые шаги не показываются
+   * 
+   * @param {Object} example - Пример с details
+   * @param {string} locale - Язык листа
+   * @returns {string} HTML или пустая строка
+   */
+  static _formatFormulas(example, locale = this.DEFAULT_LOCALE) {
+    const formulas = (example.details || [])
+      .filter(detail => detail.technique !== 'simple')
+      .map(detail => this._escapeHtml(this._localizeDecimals(example, detail.formula, locale)));
+
+    if (formulas.length === 0) {
+      return '';
+    }
+
+    return `<div class="answer-cell-formulas">${formulas.join('<br>')}</div>`;
+  }
+
+  /**
+   * Частичные произведения примера-операции для листа ответов
+   * (умножение "2 × 7 = 14, 3 × 7 = 21", деление "2 × 6 = 12, 3 × 6 = 18")
+   * 
+   * @param {Object} example - Пример с details
+   * @returns {string} HTML или пустая строка
+   */
+  static _formatPartials(example) {
+    const partials = (example.details || [])
+      .filter(detail => detail.partial)
+      .map(detail => this._escapeHtml(detail.formula));
+
+    if (partials.length === 0) {
+      return '';
+    }
+
+    return `<div class="answer-cell-formulas answer-cell-partials">${partials.join(', ')}</div>`;
+  }
+
+  /**
+   * Пример-операция (умножение, деление), а не цепочка шагов
+   * 
+   * @param {Object} example - Пример
+   * @returns {boolean}
+   */
+  static _isOperation(example) {
+    return Boolean(example.operation && example.operands);
+  }
+
+  /**
+   * Запись примера-операции в строку: "23 × 7", "138 ÷ 6"
+   * 
+   * @param {Object} example - Пример с operation и operands
+   * @returns {string}
+   */
+  static _formatOperation(example) {
+    const sign = this.OPERATION_SIGNS[example.operation] || example.operation;
+    return example.operands.join(` ${sign} `);
+  }
+
+  /**
+   * Ответ примера строкой; у деления с остатком - "23 (ост. 4)",
+   * у дробей - с нужным числом знаков и разделителем языка: "16,42"
+   * 
+   * @param {Object} example - Пример
+   * @param {string} locale - Язык листа
+   * @param {boolean} inWords - Словами (и частное, и остаток)
+   * @param {string} remainderLabel - Подпись остатка на языке листа
+   * @returns {string}
+   */
+  static _formatAnswer(example, locale = this.DEFAULT_LOCALE, inWords = false, remainderLabel = this.REMAINDER_LABEL) {
+    const answer = this._formatNumber(example, example.answer, locale, inWords);
+
+    if (example.remainder) {
+      return `${answer} (${remainderLabel} ${this._formatNumber(example, example.remainder, locale, inWords)})`;
+    }
+
+    return answer;
+  }
+
+  /**
+   * Число примера цифрами или словами
+   * 
+   * @param {Object} example - Пример
+   * @param {number} value - Число (start, answer, remainder)
+   * @param {string} locale - Язык листа
+   * @param {boolean} inWords - Словами
+   * @returns {string} "12,35" или "дванадцять цілих тридцять п'ять сотих"
+   */
+  static _formatNumber(example, value, locale = this.DEFAULT_LOCALE, inWords = false) {
+    return inWords
+      ? this._numberWords(example, value, locale)
+      : this._formatDecimal(example, value, locale);
+  }
+
+  /**
+   * Число словами на языке листа ("uk-UA" → "uk")
+   * 
+   * @param {Object} example - Пример (decimalPlaces)
+   * @param {number} value - Число
+   * @param {string} locale - Язык листа
+   * @returns {string}
+   */
+  static _numberWords(example, value, locale = this.DEFAULT_LOCALE) {
+    return numberToWords(value, locale.split('-')[0], example.decimalPlaces ?? 0);
+  }
+
+  /**
+   * Десятичный ли пример (example.decimalPlaces > 0)
+   * 
+   * @param {Object} example - Пример
+   * @returns {boolean}
+   */
+  static _isDecimal(example) {
+    return example.decimalPlaces > 0;
+  }
+
+  /**
+   * Число примера строкой: дроби - ровно decimalPlaces знаков
+   * (12.3 → "12,30" при 2 знаках), целые - как есть
+   * 
+   * @param {Object} example - Пример
+   * @param {number} value - Число (start, answer)
+   * @param {string} locale - Язык листа
+   * @returns {string}
+   */
+  static _formatDecimal(example, value, locale = this.DEFAULT_LOCALE) {
+    if (!this._isDecimal(example)) {
+      return String(value);
+    }
+
+    return this._localizeDecimals(example, value.toFixed(example.decimalPlaces), locale);
+  }
+
+  /**
+   * Заменить десятичную точку в строке (шаг "+0.35", формула "+0.3 = +0.5 - 0.2")
+   * на разделитель языка; у целых примеров строка не меняется
+   * 
+   * @param {Object} example - Пример
+   * @param {string} text - Строка с числами через точку
+   * @param {string} locale - Язык листа
+   * @returns {string}
+   */
+  static _localizeDecimals(example, text, locale = this.DEFAULT_LOCALE) {
+    if (!this._isDecimal(example)) {
+      return text;
+    }
+
+    const separator = this._decimalSeparator(locale);
+    return separator === '.' ? text : text.replace(/(\d)\.(\d)/g, `$1${separator}$2`);
+  }
+
+  /**
+   * Дробная оценка с разделителем языка: 12.5 → "12,5" (uk)
+   * 
+   * @param {number} value - Число
+   * @param {string} locale - Язык
+   * @returns {string}
+   */
+  static _localizeNumber(value, locale = this.DEFAULT_LOCALE) {
+    const separator = this._decimalSeparator(locale);
+    return String(value).replace('.', separator);
+  }
+
+  /**
+   * Десятичный разделитель языка: "uk", "ru", "es" → ",", "en" → "."
+   * 
+   * @param {string} locale - Язык
+   * @returns {string}
+   */
+  static _decimalSeparator(locale) {
+    try {
+      const part = new Intl.NumberFormat(locale)
+        .formatToParts(1.5)
+        .find(item => item.type === 'decimal');
+      return part ? part.value : '.';
+    } catch (error) {
+      console.warn(`⚠️ Неизвестный язык "${locale}", разделитель дробей - точка`);
+      return '.';
+    }
+  }
+
+  /**
+   * Начинается ли пример со стартового числа (а не с пустого абакуса)
+   * 
+   * @param {Object} example - Пример
+   * @returns {boolean}
+   */
+  static _hasStart(example) {
+    return Number.isFinite(example.start) && example.start !== 0;
+  }
+
+  /**
+   * Строки примера: стартовое число (если есть) и шаги;
+   * пример-операция - одной строкой
+   * 
+   * @param {Object} example - Пример
+   * @param {string} locale - Язык листа (разделитель дробей)
+   * @returns {Array<string>} Например ["50", "+3", "-12"] или ["23 × 7"]
+   *          (у деления стартовое число - делимое, оно уже в записи операции)
+   */
+  static _exampleLines(example, locale = this.DEFAULT_LOCALE) {
+    if (this._isOperation(example)) {
+      return [this._formatOperation(example)];
+    }
+
+    const steps = example.steps.map(step => this._localizeDecimals(example, step, locale));
+
+    return this._hasStart(example)
+      ? [this._formatDecimal(example, example.start, locale), ...steps]
+      : steps;
+  }
+
+  /**
+   * Строка с кодом листа (seed) в заголовке
+   * 
+   * @param {number|null} seed - Код листа
+   * @param {string} label - Подпись
+   * @returns {string} HTML строки или пустая строка
+   */
+  static _formatSeed(seed, label) {
+    if (seed === null || seed === undefined) {
+      return '';
+    }
+
+    return `<p class="worksheet-seed">${this._escapeHtml(label)}: <strong>${this._escapeHtml(String(seed))}</strong></p>`;
+  }
+
+  /**
+   * Экранирование HTML (без DOM - форматтер работает и в Node)
    * 
    * @param {string} str - Строка для экранирования
    * @returns {string} Экранированная строка
@@ -358,9 +1016,7 @@ export class PrintFormatter {
   static _escapeHtml(str) {
     if (!str) return '';
     
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
+    return String(str).replace(/[&<>"']/g, ch => this.HTML_ESCAPES[ch]);
   }
 
   /**
@@ -1,29 +1,62 @@
 // print/PrintGenerator.js
 // Генератор пакета примеров для печати
 
-import { generateExample } from "../core/generator.js";
+import { generateExample, findUnusableStart, minStepSize } from "../core/generator.js";
+import { SeededRandom } from "../core/SeededRandom.js";
+import { DifficultyScorer } from "../core/DifficultyScorer.js";
+import { PatternFilter } from "../core/PatternFilter.js";
+import { RuleRegistry } from "../core/RuleRegistry.js";
 
 /**
  * PrintGenerator - генератор пакета примеров для печатных листов
  * 
  * ФУНКЦИОНАЛ:
  * - Генерация N примеров по заданным настройкам
- * - Интеграция всех правил (Просто, Братья, Друзі, Мікс)
+ * - Интеграция всех правил реестра (Просто, Братья, Друзі, Мікс, Множення, Ділення
+ *   и зарегистрированные свои - см. RuleRegistry)
+ * - Смешивание блоков с весами (blendMode: priority / example / step)
+ * - Покрытие формул: каждая выбранная формула (в обе стороны)
+ *   встречается на листе не меньше formulaCoverage раз
  * - Валидация параметров
  * - Обработка ошибок генерации
+ * - Воспроизводимость: один seed на весь лист
+ * - Оценка сложности каждого примера и сводка по листу (DifficultyScorer),
+ *   порядок от лёгких к сложным (sortByDifficulty)
+ * - Разнообразие листа: без повторов цепочек, не больше N примеров
+ *   с одним ответом и с одним первым шагом
+ * - Распределение ответов: равномерно по достижимым значениям (answerSpread),
+ *   в заданном диапазоне (answerRange) и с заданной чётностью (answerParity)
+ * - Границы промежуточных итогов (totalRange) и ответа (answerRange) -
+ *   соблюдаются генератором при построении цепочки
+ * - Запрет бесполезных шаблонов цепочки (forbiddenPatterns): +4 -4, +3 +3,
+ *   возврат в ноль посреди примера
+ * - Профиль разрядности многозначных чисел по позициям (digitProfile)
  * 
  * ИСПОЛЬЗОВАНИЕ:
  * const generator = new PrintGenerator({
  *   examplesCount: 20,
  *   actionsCount: 5,
  *   digitCount: 1,
- *   blocks: { simple: { digits: [1,2,3,4,5] } }
+ *   blocks: { simple: { digits: [1,2,3,4,5] } },
+ *   seed: 12345 // необязательно; без него создаётся новый
  * });
  * 
  * const examples = generator.generate();
- * // => [{ id: 1, steps: ['+3', '+1', '-2'], answer: 2 }, ...]
+ * // => [{ id: 1, steps: ['+3', '+1', '-2'], details: [...], answer: 2 }, ...]
+ * // generator.seed => 12345 (печатается на листе)
+ * // generator.coverage => { required, formulas, missing, complete }
+ * // generator.difficulty => { count, average, min, max, easiestId, hardestId, factors }
+ * // generator.variety => { requested, distinct, duplicates, sameAnswerExcess, sameFirstStepExcess, complete }
+ * // generator.answers => { spread, range, parity, min, max, distinct, misses, complete }
  */
 export class PrintGenerator {
+  // Сколько мест подряд ограничение листа не выполнилось, чтобы считать его невыполнимым
+  static MAX_FAILED_SLOTS = 5;
+
+  // Ограничения листа: диапазон и чётность ответа, без повторов цепочек,
+  // лимиты одинаковых ответов и первых шагов
+  static SHEET_LIMITS = ['answer', 'unique', 'sameAnswer', 'sameFirstStep'];
+
   constructor(config) {
     this.config = {
       // Количество примеров для генерации
@@ -35,14 +68,76 @@ export class PrintGenerator {
       // Разрядность (1-9)
       digitCount: config.digitCount || 1,
 
+      // Знаков после запятой (0-3, 0 = целые числа)
+      decimalPlaces: config.decimalPlaces ?? 0,
+
+      // Насколько итог может уйти ниже нуля (метод дополнения, 0 = не может)
+      negativeLimit: config.negativeLimit ?? 0,
+
       // Активные блоки
       blocks: config.blocks || {},
 
       // Комбинирование разрядов (для многоразрядных)
       combineLevels: config.combineLevels || false,
 
-      // Максимум попыток на один пример
-      maxAttemptsPerExample: config.maxAttemptsPerExample || 100,
+      // Смешивание блоков: "priority" (один блок по приоритету),
+      // "example" (блок на пример по весам), "step" (блок на шаг по весам)
+      blendMode: config.blendMode || "priority",
+
+      // Квота технических шагов на пример: { min, max } (null = по умолчанию правила)
+      techniqueSteps: config.techniqueSteps || { min: null, max: null },
+
+      // Стартовое число примера: { min, max } (min === max - фиксированное,
+      // null = с пустого абакуса)
+      start: config.start || { min: null, max: null },
+
+      // Границы промежуточных итогов (после каждого шага): { min, max }, null = без границы
+      totalRange: config.totalRange || { min: null, max: null },
+
+      // Профиль разрядности чисел: { first, last, weights } - длина первого
+      // и последнего числа (null = как у остальных) и веса длин остальных
+      // ({ 2: 1 } - все 2-значные, { 1: 1, 2: 3 }); null = полная разрядность
+      digitProfile: config.digitProfile ?? null,
+
+      // Запрещённые шаблоны цепочки (PatternFilter.PATTERNS):
+      // 'inverse' (+4 -4), 'repeat' (+3 +3), 'zeroReturn' (возврат в ноль посреди примера)
+      forbiddenPatterns: config.forbiddenPatterns || [],
+
+      // Сколько раз каждая выбранная формула должна встретиться на листе
+      // (0 = без гарантии покрытия)
+      formulaCoverage: config.formulaCoverage ?? 0,
+
+      // Сколько кандидатов пробовать на место примера, пока покрытие не набрано
+      coverageCandidates: config.coverageCandidates ?? 8,
+
+      // Упорядочить примеры от лёгких к сложным (номера переназначаются)
+      sortByDifficulty: config.sortByDifficulty ?? false,
+
+      // Разнообразие листа: без одинаковых цепочек шагов,
+      // не больше N примеров с одним ответом / одним первым шагом (0 = без ограничения)
+      uniqueExamples: config.uniqueExamples ?? false,
+      maxSameAnswer: config.maxSameAnswer ?? 0,
+      maxSameFirstStep: config.maxSameFirstStep ?? 0,
+
+      // Сколько примеров пробовать на место, пока не найдётся подходящий по разнообразию
+      varietyAttempts: config.varietyAttempts ?? 30,
+
+      // Распределение ответов: "natural" (как получится) | "even" (равномерно:
+      // из нескольких кандидатов берётся ответ, которого на листе меньше всего)
+      answerSpread: config.answerSpread || "natural",
+
+      // Диапазон ответов { min, max } (null = без границы) и чётность
+      // ("even" | "odd" | null; у дробей - по единицам младшего разряда).
+      // Диапазон цепочки соблюдают при построении, у операций - отбором примеров
+      answerRange: config.answerRange || { min: null, max: null },
+      answerParity: config.answerParity ?? null,
+
+      // Сколько подходящих кандидатов сравнивать при answerSpread = "even"
+      spreadCandidates: config.spreadCandidates ?? 6,
+
+      // Сколько примеров пробовать на место, если задан диапазон или чётность ответа
+      // (узкий диапазон попадается редко)
+      answerAttempts: config.answerAttempts ?? 100,
 
       // Логировать процесс
       verbose: config.verbose ?? false,
@@ -51,10 +146,29 @@ export class PrintGenerator {
       onProgress: config.onProgress || null
     };
 
+    // Зерно листа: заданное учителем или новое.
+    // Тот же seed + те же настройки = тот же лист.
+    const hasSeed = config.seed !== undefined && config.seed !== null && config.seed !== '';
+    this.seed = SeededRandom.normalizeSeed(hasSeed ? config.seed : SeededRandom.createSeed());
+
+    // Отчёт о покрытии формул последнего generate()
+    this.coverage = null;
+
+    // Сводка сложности последнего generate()
+    this.difficulty = null;
+
+    // Отчёт о разнообразии последнего generate()
+    this.variety = null;
+
+    // Отчёт о распределении ответов последнего generate()
+    this.answers = null;
+
     console.log("🖨️ PrintGenerator создан:", {
       примеров: this.config.examplesCount,
       действий: this.config.actionsCount,
       разрядность: this.config.digitCount,
+      смешивание: this.config.blendMode,
+      seed: this.seed,
       блоки: Object.keys(this.config.blocks).filter(k => 
         this.config.blocks[k]?.digits?.length > 0
       )
@@ -77,128 +191,645 @@ export class PrintGenerator {
     }
 
     const examples = [];
-    const errors = [];
+
+    // Новый источник на каждый вызов generate(): повторный вызов с тем же seed
+    // даёт тот же лист. Источник общий для всех примеров листа.
+    const random = new SeededRandom(this.seed);
+
+    // Планировщик покрытия: сколько раз ещё нужна каждая формула
+    const targets = this._coverageTargets();
+    const counts = new Map([...targets.keys()].map(key => [key, 0]));
+
+    // Что уже есть на листе: цепочки, ответы, первые шаги
+    const variety = this._createVarietyState();
+
+    // Сколько мест подряд не выполнилось каждое ограничение листа
+    // и какие признаны невыполнимыми (остальные соблюдаются дальше)
+    this._failedSlots = new Map();
+    this._droppedLimits = new Set();
     
     for (let i = 0; i < this.config.examplesCount; i++) {
       try {
-        const example = this._generateSingleExample(i + 1);
+        const example = this._generateCoveringExample(i + 1, random, targets, counts, variety);
+        this._trackFailedLimits(variety, example);
+        this._addFormulaCounts(counts, example, 1);
+        this._addVariety(variety, example, 1);
+        examples.push(example);
+      } catch (error) {
+        // Генератор ищет цепочку исчерпывающе: ошибка означает, что
+        // настройки не допускают ни одного примера. Подменять пример
+        // заглушкой нельзя - сообщаем учителю.
+        console.error(`❌ Ошибка генерации примера ${i + 1}:`, error.message);
+        throw new Error(`Пример ${i + 1}: ${error.message}`);
+      }
 
-        if (example) {
-          examples.push(example);
+      if (this.config.verbose && (i + 1) % 10 === 0) {
+        console.log(`✅ Сгенерировано ${i + 1}/${this.config.examplesCount} примеров`);
+      }
 
-          if (this.config.verbose && (i + 1) % 10 === 0) {
-            console.log(`✅ Сгенерировано ${i + 1}/${this.config.examplesCount} примеров`);
-          }
+      // Вызываем callback прогресса
+      if (this.config.onProgress && (i + 1) % 10 === 0) {
+        this.config.onProgress({
+          current: i + 1,
+          total: this.config.examplesCount,
+          percent: Math.round(((i + 1) / this.config.examplesCount) * 100)
+        });
+      }
+    }
 
-          // Вызываем callback прогресса
-          if (this.config.onProgress && (i + 1) % 10 === 0) {
-            this.config.onProgress({
-              current: i + 1,
-              total: this.config.examplesCount,
-              percent: Math.round(((i + 1) / this.config.examplesCount) * 100)
-            });
-          }
-        } else {
-          errors.push({ id: i + 1, error: "Не удалось сгенерировать пример" });
+    // Если после жадного прохода формул не хватает - заменяем примеры
+    this._repairCoverage(examples, random, targets, counts, variety);
+
+    this.coverage = this._coverageReport(examples, targets, counts);
+
+    if (this.coverage && !this.coverage.complete) {
+      console.warn(`⚠️ Покрытие формул неполное: не хватает ${this.coverage.missing.join(', ')}`);
+    }
+
+    this.variety = this._varietyReport(variety);
+    this.answers = this._answersReport(examples);
+
+    if (this.answers && !this.answers.complete) {
+      console.warn(`⚠️ ${this.answers.misses} примеров с ответом вне диапазона или чётности`);
+    }
+
+    if (this.variety && !this.variety.complete) {
+      console.warn(
+        `⚠️ Настройки не дают ${this.variety.requested} разных примеров: ` +
+        `различных цепочек ${this.variety.distinct}, ` +
+        `лишних с одним ответом ${this.variety.sameAnswerExcess}, ` +
+        `с одним первым шагом ${this.variety.sameFirstStepExcess}`
+      );
+    }
+
+    // Оценка сложности - после покрытия, когда состав листа окончательный
+    for (const example of examples) {
+      example.difficulty = DifficultyScorer.scoreExample(example);
+    }
+
+    const result = this.config.sortByDifficulty
+      ? DifficultyScorer.sortByDifficulty(examples)
+      : examples;
+
+    this.difficulty = DifficultyScorer.summarize(result);
+
+    console.log(
+      `✅ Генерация завершена: ${result.length} примеров, ` +
+      `сложность ${this.difficulty.min}-${this.difficulty.max} (средняя ${this.difficulty.average})`
+    );
+
+    return result;
+  }
+
+  /**
+   * Формулы, которые должны встретиться на листе, и сколько раз.
+   * Ключ - formulaKey шага ("brother:+3", "friend:-9", "mix:+7").
+   * Учитываются блоки, которые реально дают примеры: в режиме "priority"
+   * только старший активный блок, в режимах смешивания - все с весом > 0.
+   *
+   * @returns {Map<string, number>} formulaKey → требуемое количество
+   */
+  _coverageTargets() {
+    const targets = new Map();
+    const { formulaCoverage, blocks, blendMode } = this.config;
+
+    if (!formulaCoverage || formulaCoverage < 1) {
+      return targets;
+    }
+
+    // Формулы считаются у блоков-техник (technique в описании правила),
+    // цифры формул - допустимые цифры правила
+    const activeBlocks = RuleRegistry.active(blocks, { byPriority: true }).filter(rule =>
+      blendMode === 'priority' || Number(blocks[rule.id].weight ?? 1) > 0
+    );
+    const usedBlocks = blendMode === 'priority' ? activeBlocks.slice(0, 1) : activeBlocks;
+
+    for (const rule of usedBlocks) {
+      if (!rule.technique) {
+        continue;
+      }
+
+      const block = blocks[rule.id];
+      const digits = block.digits
+        .map(d => parseInt(d, 10))
+        .filter(n => rule.digits.includes(n));
+
+      for (const digit of digits) {
+        if (!block.onlySubtraction) {
+          targets.set(`${rule.technique}:+${digit}`, formulaCoverage);
+        }
+        if (!block.onlyAddition) {
+          targets.set(`${rule.technique}:-${digit}`, formulaCoverage);
         }
-      } catch (error) {
-        console.error(`❌ Ошибка генерации примера ${i + 1}:`, error.message);
-        errors.push({ id: i + 1, error: error.message });
       }
     }
 
-    console.log(`✅ Генерация завершена: ${examples.length} примеров, ${errors.length} ошибок`);
-    
-    if (errors.length > 0 && this.config.verbose) {
-      console.warn("⚠️ Ошибки генерации:", errors);
+    return targets;
+  }
+
+  /**
+   * Ключи формул примера (с повторами).
+   * Многоразрядный шаг даёт ключ каждого стержня с техникой.
+   *
+   * @param {Object} example - Пример с details
+   * @returns {Array<string>}
+   */
+  _formulaKeys(example) {
+    const keys = [];
+
+    for (const detail of example.details || []) {
+      const techniqueRods = (detail.rods || []).filter(rod => rod.technique !== 'simple');
+
+      if (techniqueRods.length > 0) {
+        keys.push(...techniqueRods.map(rod => rod.formulaKey));
+      } else if (detail.technique !== 'simple' && detail.formulaKey) {
+        keys.push(detail.formulaKey);
+      }
     }
 
-    return examples;
+    return keys;
   }
 
   /**
-   * Сгенерировать один пример
-   * @param {number} id - ID примера
-   * @returns {Object|null} Пример или null при ошибке
+   * Прибавить (sign = 1) или вычесть (sign = -1) формулы примера из счётчиков
    */
-  _generateSingleExample(id) {
-    let attempts = 0;
-    const maxAttempts = this.config.maxAttemptsPerExample;
+  _addFormulaCounts(counts, example, sign) {
+    for (const key of this._formulaKeys(example)) {
+      if (counts.has(key)) {
+        counts.set(key, counts.get(key) + sign);
+      }
+    }
+  }
 
-    while (attempts < maxAttempts) {
-      try {
-        // Формируем настройки для генератора
-        const settings = {
-          digits: this.config.digitCount,
-          combineLevels: this.config.combineLevels,
-          actions: {
-            count: this.config.actionsCount
-          },
-          blocks: this.config.blocks
-        };
-
-        // Вызываем генератор из core/generator.js
-        const rawExample = generateExample(settings);
-
-        // Проверка что пример валиден
-        if (!rawExample || !rawExample.steps || rawExample.steps.length === 0) {
-          attempts++;
-          continue;
-        }
+  /**
+   * Сколько недостающих вхождений формул закрывает пример
+   */
+  _coverageGain(example, targets, counts) {
+    const own = new Map();
+    for (const key of this._formulaKeys(example)) {
+      own.set(key, (own.get(key) || 0) + 1);
+    }
 
-        // Формируем результат
-        return {
-          id: id,
-          steps: rawExample.steps,
-          answer: rawExample.answer,
-          start: rawExample.start || 0
-        };
+    let gain = 0;
+    for (const [key, need] of targets) {
+      const missing = need - counts.get(key);
+      if (missing > 0 && own.has(key)) {
+        gain += Math.min(missing, own.get(key));
+      }
+    }
 
-      } catch (error) {
-        attempts++;
+    return gain;
+  }
+
+  /**
+   * Сколько вхождений формул ещё не хватает на листе
+   */
+  _missingTotal(targets, counts) {
+    let total = 0;
+    for (const [key, need] of targets) {
+      total += Math.max(0, need - counts.get(key));
+    }
+    return total;
+  }
+
+  /**
+   * Пример для места id: пока покрытие не набрано, из нескольких
+   * кандидатов берётся тот, что закрывает больше недостающих формул
+   * (среди подходящих по разнообразию).
+   *
+   * @returns {Object} Пример
+   */
+  _generateCoveringExample(id, random, targets, counts, variety) {
+    const first = this._generateVariedExample(id, random, variety);
+
+    if (this._missingTotal(targets, counts) === 0) {
+      return first;
+    }
+
+    let best = first;
+    let bestViolations = this._varietyViolations(variety, first);
+    let bestGain = this._coverageGain(first, targets, counts);
+
+    for (let i = 1; i < this.config.coverageCandidates; i++) {
+      const candidate = this._generateVariedExample(id, random, variety);
+      const violations = this._varietyViolations(variety, candidate);
+      const gain = this._coverageGain(candidate, targets, counts);
 
-        if (attempts >= maxAttempts) {
-          console.error(`❌ Превышен лимит попыток для примера ${id}:`, error.message);
+      if (violations < bestViolations || (violations === bestViolations && gain > bestGain)) {
+        best = candidate;
+        bestViolations = violations;
+        bestGain = gain;
+      }
+    }
 
-          // Возвращаем простой fallback пример вместо null
-          return this._generateFallbackExample(id);
+    return best;
+  }
+
+  /**
+   * Пример, не нарушающий разнообразия листа и ограничений ответа.
+   * Если за varietyAttempts попыток такого нет (настройки дают мало
+   * разных примеров) - берётся нарушающий меньше всего; это попадёт
+   * в отчёты variety и answers.
+   * При answerSpread = "even" из spreadCandidates подходящих
+   * берётся тот, чей ответ на листе встречается реже всего.
+   *
+   * @returns {Object} Пример
+   */
+  _generateVariedExample(id, random, variety) {
+    const spread = this.config.answerSpread === 'even';
+    const fitting = [];
+    let best = null;
+    let bestViolations = Infinity;
+
+    for (let attempt = 0; attempt < this._attemptsPerSlot(); attempt++) {
+      const candidate = this._generateSingleExample(id, random);
+      const violations = this._varietyViolations(variety, candidate);
+
+      if (violations === 0) {
+        if (!spread) {
+          return candidate;
+        }
+        fitting.push(candidate);
+        if (fitting.length >= this.config.spreadCandidates) {
+          break;
         }
+      } else if (violations < bestViolations) {
+        best = candidate;
+        bestViolations = violations;
       }
     }
 
-    // Возвращаем fallback пример
-    return this._generateFallbackExample(id);
+    if (fitting.length > 0) {
+      return this._leastCrowded(fitting, variety);
+    }
+
+    return best;
   }
 
   /**
-   * Генерация простого fallback примера
-   * Используется когда не удалось сгенерировать пример по правилам
-   * @param {number} id - ID примера
-   * @returns {Object} Простой пример
+   * Учесть, какие ограничения нарушил пример, выбранный на место.
+   * Ограничение, нарушенное MAX_FAILED_SLOTS мест подряд, невыполнимо:
+   * дальше оно не учитывается при отборе (лист получит предупреждение
+   * в отчёте), а выполнимые соблюдаются с полным числом попыток
+   */
+  _trackFailedLimits(variety, example) {
+    const violated = this._violatedLimits(variety, example);
+
+    for (const limit of PrintGenerator.SHEET_LIMITS) {
+      if (this._droppedLimits.has(limit)) {
+        continue;
+      }
+
+      const failed = violated.includes(limit) ? (this._failedSlots.get(limit) || 0) + 1 : 0;
+      this._failedSlots.set(limit, failed);
+
+      if (failed >= PrintGenerator.MAX_FAILED_SLOTS) {
+        this._droppedLimits.add(limit);
+        console.warn(`⚠️ Ограничение листа "${limit}" невыполнимо - дальше не учитывается при отборе`);
+      }
+    }
+  }
+
+  /**
+   * Попыток на место: больше, если задан диапазон или чётность ответа
+   */
+  _attemptsPerSlot() {
+    const { varietyAttempts, answerAttempts } = this.config;
+    return this._hasAnswerLimits() ? Math.max(varietyAttempts, answerAttempts) : varietyAttempts;
+  }
+
+  /**
+   * Кандидат с самым редким на листе ответом; при равенстве - с ответом,
+   * дальше всех отстоящим от уже выбранных (заполняет пробелы в диапазоне)
+   *
+   * @param {Array} candidates - Подходящие примеры
+   * @param {Object} variety - Счётчики листа (answerValues: ответ → количество)
+   * @returns {Object} Пример
    */
-  _generateFallbackExample(id) {
-    console.warn(`⚠️ Используем fallback пример для ${id}`);
+  _leastCrowded(candidates, variety) {
+    const used = [...variety.answerValues.keys()];
+    const gap = (answer) => used.reduce((min, value) => Math.min(min, Math.abs(value - answer)), Infinity);
+
+    let best = candidates[0];
+    let bestCount = variety.answerValues.get(best.answer) || 0;
+    let bestGap = gap(best.answer);
+
+    for (const candidate of candidates.slice(1)) {
+      const count = variety.answerValues.get(candidate.answer) || 0;
+      const candidateGap = gap(candidate.answer);
+
+      if (count < bestCount || (count === bestCount && candidateGap > bestGap)) {
+        best = candidate;
+        bestCount = count;
+        bestGap = candidateGap;
+      }
+    }
 
-    // Генерируем простой пример с базовыми операциями
-    const steps = [];
-    const actionsCount = this.config.actionsCount;
+    return best;
+  }
 
-    for (let i = 0; i < actionsCount; i++) {
-      const action = i === 0 ? '+1' : (i % 2 === 0 ? '+2' : '-1');
-      steps.push(action);
+  /**
+   * Ответ в заданном диапазоне и с заданной чётностью.
+   * Чётность дроби - по единицам младшего разряда (12.34 → 1234 - чётное),
+   * у деления - по частному
+   *
+   * @param {Object} example - Пример
+   * @returns {boolean}
+   */
+  _answerFits(example) {
+    const { answerRange, answerParity } = this.config;
+    const min = answerRange?.min ?? null;
+    const max = answerRange?.max ?? null;
+
+    if ((min !== null && example.answer < min) || (max !== null && example.answer > max)) {
+      return false;
     }
 
-    // Вычисляем ответ
-    let answer = 0;
-    for (const step of steps) {
-      answer += parseInt(step, 10);
+    if (answerParity) {
+      const units = Math.round(Math.abs(example.answer) * Math.pow(10, example.decimalPlaces ?? 0));
+      return (units % 2 === 0) === (answerParity === 'even');
     }
 
+    return true;
+  }
+
+  /**
+   * Задан ли диапазон или чётность ответа
+   */
+  _hasAnswerLimits() {
+    const { answerRange, answerParity } = this.config;
+    return answerParity !== null ||
+      (answerRange?.min ?? null) !== null || (answerRange?.max ?? null) !== null;
+  }
+
+  /**
+   * Заданы ли ограничения или распределение ответов
+   */
+  _hasAnswerOptions() {
+    return this.config.answerSpread === 'even' || this._hasAnswerLimits();
+  }
+
+  /**
+   * Отчёт о распределении ответов
+   *
+   * @returns {Object|null} { spread, range, parity, min, max, distinct, misses, complete }
+   *          или null, если распределение не настраивалось
+   */
+  _answersReport(examples) {
+    if (!this._hasAnswerOptions()) {
+      return null;
+    }
+
+    const answers = examples.map(example => example.answer);
+    const misses = examples.filter(example => !this._answerFits(example)).length;
+
+    return {
+      spread: this.config.answerSpread,
+      range: this.config.answerRange,
+      parity: this.config.answerParity,
+      min: Math.min(...answers),
+      max: Math.max(...answers),
+      distinct: new Set(answers).size,
+      misses,
+      complete: misses === 0
+    };
+  }
+
+  /**
+   * Разнообразие включено, если задано хотя бы одно ограничение
+   */
+  _hasVarietyLimits() {
+    const { uniqueExamples, maxSameAnswer, maxSameFirstStep } = this.config;
+    return uniqueExamples || maxSameAnswer > 0 || maxSameFirstStep > 0;
+  }
+
+  /**
+   * Счётчики листа: цепочка → количество, ответ → количество, первый шаг → количество
+   */
+  _createVarietyState() {
+    return {
+      sequences: new Map(),
+      answers: new Map(),
+      firstSteps: new Map(),
+      answerValues: new Map()
+    };
+  }
+
+  /**
+   * Ключи примера для разнообразия. Цепочка включает стартовое число,
+   * у примера-операции - операнды ("23 × 7" и "32 × 7" - разные примеры)
+   */
+  _varietyKeys(example) {
+    const chain = example.operation
+      ? [example.operation, ...example.operands]
+      : [example.start, ...example.steps];
+
+    return {
+      sequence: chain.join(' '),
+      answer: example.remainder ? `${example.answer} r${example.remainder}` : String(example.answer),
+      firstStep: example.operation ? String(example.operands[0]) : example.steps[0]
+    };
+  }
+
+  /**
+   * Прибавить (sign = 1) или убрать (sign = -1) пример из счётчиков разнообразия
+   */
+  _addVariety(variety, example, sign) {
+    const keys = this._varietyKeys(example);
+    const bump = (map, key) => {
+      const count = (map.get(key) || 0) + sign;
+      if (count > 0) {
+        map.set(key, count);
+      } else {
+        map.delete(key);
+      }
+    };
+
+    bump(variety.sequences, keys.sequence);
+    bump(variety.answers, keys.answer);
+    bump(variety.firstSteps, keys.firstStep);
+    bump(variety.answerValues, example.answer);
+  }
+
+  /**
+   * Сколько выполнимых ограничений листа (разнообразие, диапазон и чётность
+   * ответа) нарушит пример, если добавить его на лист
+   * @returns {number} 0 - подходит
+   */
+  _varietyViolations(variety, example) {
+    return this._violatedLimits(variety, example)
+      .filter(limit => !this._droppedLimits?.has(limit))
+      .length;
+  }
+
+  /**
+   * Ограничения листа (SHEET_LIMITS), которые нарушит пример
+   * @returns {Array<string>}
+   */
+  _violatedLimits(variety, example) {
+    const violated = this._answerFits(example) ? [] : ['answer'];
+
+    if (!this._hasVarietyLimits()) {
+      return violated;
+    }
+
+    const { uniqueExamples, maxSameAnswer, maxSameFirstStep } = this.config;
+    const keys = this._varietyKeys(example);
+
+    if (uniqueExamples && variety.sequences.has(keys.sequence)) {
+      violated.push('unique');
+    }
+    if (maxSameAnswer > 0 && (variety.answers.get(keys.answer) || 0) >= maxSameAnswer) {
+      violated.push('sameAnswer');
+    }
+    if (maxSameFirstStep > 0 && (variety.firstSteps.get(keys.firstStep) || 0) >= maxSameFirstStep) {
+      violated.push('sameFirstStep');
+    }
+
+    return violated;
+  }
+
+  /**
+   * Отчёт о разнообразии листа
+   *
+   * @returns {Object|null} { requested, distinct, duplicates, sameAnswerExcess,
+   *          sameFirstStepExcess, complete } или null, если ограничений нет
+   */
+  _varietyReport(variety) {
+    if (!this._hasVarietyLimits()) {
+      return null;
+    }
+
+    const { examplesCount, uniqueExamples, maxSameAnswer, maxSameFirstStep } = this.config;
+    const excess = (map, limit) => limit > 0
+      ? [...map.values()].reduce((sum, count) => sum + Math.max(0, count - limit), 0)
+      : 0;
+
+    const duplicates = uniqueExamples ? examplesCount - variety.sequences.size : 0;
+    const sameAnswerExcess = excess(variety.answers, maxSameAnswer);
+    const sameFirstStepExcess = excess(variety.firstSteps, maxSameFirstStep);
+
+    return {
+      requested: examplesCount,
+      distinct: variety.sequences.size,
+      duplicates,
+      sameAnswerExcess,
+      sameFirstStepExcess,
+      complete: duplicates === 0 && sameAnswerExcess === 0 && sameFirstStepExcess === 0
+    };
+  }
+
+  /**
+   * Замена примеров, если жадного прохода не хватило.
+   * Пример на месте i заменяется кандидатом, только если недостающих
+   * формул становится меньше (уже набранные формулы не теряются)
+   * и кандидат не нарушает разнообразия листа.
+   */
+  _repairCoverage(examples, random, targets, counts, variety) {
+    for (let i = 0; i < examples.length && this._missingTotal(targets, counts) > 0; i++) {
+      for (let attempt = 0; attempt < this.config.coverageCandidates; attempt++) {
+        const before = this._missingTotal(targets, counts);
+        const candidate = this._generateSingleExample(examples[i].id, random);
+
+        this._addFormulaCounts(counts, examples[i], -1);
+        this._addFormulaCounts(counts, candidate, 1);
+        this._addVariety(variety, examples[i], -1);
+
+        if (this._missingTotal(targets, counts) < before && this._varietyViolations(variety, candidate) === 0) {
+          this._addVariety(variety, candidate, 1);
+          examples[i] = candidate;
+          break;
+        }
+
+        // Откат
+        this._addFormulaCounts(counts, candidate, -1);
+        this._addFormulaCounts(counts, examples[i], 1);
+        this._addVariety(variety, examples[i], 1);
+      }
+    }
+  }
+
+  /**
+   * Отчёт о покрытии формул
+   *
+   * @returns {Object|null} { required, formulas: [{ key, formula, count }], missing, complete }
+   *          или null, если покрытие не запрашивалось
+   */
+  _coverageReport(examples, targets, counts) {
+    if (targets.size === 0) {
+      return null;
+    }
+
+    // Текст формулы - из первого шага с этим ключом
+    const formulas = new Map();
+    for (const example of examples) {
+      for (const detail of example.details || []) {
+        const rods = (detail.rods || []).filter(rod => rod.technique !== 'simple');
+        const items = rods.length > 0 ? rods : [detail];
+        for (const item of items) {
+          if (item.formulaKey && item.technique !== 'simple' && !formulas.has(item.formulaKey)) {
+            formulas.set(item.formulaKey, item.formula);
+          }
+        }
+      }
+    }
+
+    const missing = [...targets].filter(([key, need]) => counts.get(key) < need).map(([key]) => key);
+
+    return {
+      required: this.config.formulaCoverage,
+      formulas: [...targets.keys()].map(key => ({
+        key: key,
+        formula: formulas.get(key) ?? key,
+        count: counts.get(key)
+      })),
+      missing: missing,
+      complete: missing.length === 0
+    };
+  }
+
+  /**
+   * Сгенерировать один пример
+   * @param {number} id - ID примера
+   * @param {SeededRandom} random - Источник случайности листа
+   * @returns {Object} Пример
+   * @throws {Error} Если допустимого примера не существует
+   */
+  _generateSingleExample(id, random) {
+    // Формируем настройки для генератора
+    const settings = {
+      digits: this.config.digitCount,
+      decimalPlaces: this.config.decimalPlaces,
+      negativeLimit: this.config.negativeLimit,
+      combineLevels: this.config.combineLevels,
+      actions: {
+        count: this.config.actionsCount
+      },
+      blocks: this.config.blocks,
+      blendMode: this.config.blendMode,
+      techniqueSteps: this.config.techniqueSteps,
+      start: this.config.start,
+      digitProfile: this.config.digitProfile,
+      forbiddenPatterns: this.config.forbiddenPatterns,
+      totalRange: this.config.totalRange,
+      answerRange: this.config.answerRange,
+      random: random
+    };
+
+    // Вызываем генератор из core/generator.js
+    const rawExample = generateExample(settings);
+
+    // Формируем результат
     return {
       id: id,
-      steps: steps,
-      answer: answer,
-      start: 0
+      ...(rawExample.operation ? { operation: rawExample.operation, operands: rawExample.operands } : {}),
+      steps: rawExample.steps,
+      details: rawExample.details || [],
+      blend: rawExample.blend || null,
+      answer: rawExample.answer,
+      ...(rawExample.remainder !== undefined ? { remainder: rawExample.remainder } : {}),
+      ...(rawExample.decimalPlaces ? { decimalPlaces: rawExample.decimalPlaces, unitRod: rawExample.unitRod } : {}),
+      start: rawExample.start || 0
     };
   }
 
@@ -207,7 +838,7 @@ export class PrintGenerator {
    * @throws {Error} Если настройки невалидны
    */
   validate() {
-    const { examplesCount, actionsCount, digitCount, blocks } = this.config;
+    const { examplesCount, actionsCount, digitCount, decimalPlaces, negativeLimit, blocks, techniqueSteps, start } = this.config;
 
     // Проверка количества примеров
     if (!Number.isInteger(examplesCount) || examplesCount < 1 || examplesCount > 1000) {
@@ -224,6 +855,149 @@ export class PrintGenerator {
       throw new Error("Разрядность должна быть от 1 до 9");
     }
 
+    // Проверка дробной части: дробные разряды - тоже стержни абакуса
+    if (!Number.isInteger(decimalPlaces) || decimalPlaces < 0 || decimalPlaces > 3) {
+      throw new Error("Знаков после запятой должно быть от 0 до 3");
+    }
+
+    if (digitCount + decimalPlaces > 9) {
+      throw new Error("Разрядность вместе со знаками после запятой не должна превышать 9");
+    }
+
+    // Проверка границы ниже нуля: помещается в разрядность примера
+    const maxNegative = Math.pow(10, digitCount) - 1;
+    if (!Number.isInteger(negativeLimit) || negativeLimit < 0 || negativeLimit > maxNegative) {
+      throw new Error(`Граница ниже нуля должна быть от 0 до ${maxNegative}`);
+    }
+
+    // Проверка квоты технических шагов
+    const minTechnique = techniqueSteps?.min ?? null;
+    const maxTechnique = techniqueSteps?.max ?? null;
+
+    for (const value of [minTechnique, maxTechnique]) {
+      if (value !== null && (!Number.isInteger(value) || value < 0 || value > actionsCount)) {
+        throw new Error(`Количество технических шагов должно быть от 0 до ${actionsCount}`);
+      }
+    }
+
+    if (minTechnique !== null && maxTechnique !== null && minTechnique > maxTechnique) {
+      throw new Error("Минимум технических шагов больше максимума");
+    }
+
+    // Проверка стартового числа: помещается в разрядность примера
+    const maxStart = Math.pow(10, digitCount) - 1;
+    const startMin = start?.min ?? null;
+    const startMax = start?.max ?? null;
+
+    for (const value of [startMin, startMax]) {
+      if (value !== null && (!Number.isInteger(value) || value < 0 || value > maxStart)) {
+        throw new Error(`Стартовое число должно быть от 0 до ${maxStart}`);
+      }
+    }
+
+    if (startMin !== null && startMax !== null && startMin > startMax) {
+      throw new Error("Минимум стартового числа больше максимума");
+    }
+
+    // Проверка профиля разрядности: длины от 1 до разрядности листа, веса положительные
+    const { digitProfile } = this.config;
+    if (digitProfile) {
+      const isLength = value => Number.isInteger(value) && value >= 1 && value <= digitCount;
+      const weights = Object.entries(digitProfile.weights || {});
+
+      if (
+        [digitProfile.first, digitProfile.last].some(value => value != null && !isLength(value)) ||
+        weights.some(([length, weight]) => !isLength(Number(length)) || !(weight > 0))
+      ) {
+        throw new Error(`Длины чисел в профиле разрядности должны быть от 1 до ${digitCount}, веса - больше нуля`);
+      }
+    }
+
+    // Проверка запрещённых шаблонов цепочки
+    const unknownPattern = this.config.forbiddenPatterns.find(pattern => !PatternFilter.PATTERNS.includes(pattern));
+    if (unknownPattern !== undefined) {
+      throw new Error(`Неизвестный шаблон цепочки: ${unknownPattern}`);
+    }
+
+    // Проверка покрытия формул
+    if (!Number.isInteger(this.config.formulaCoverage) || this.config.formulaCoverage < 0 || this.config.formulaCoverage > 20) {
+      throw new Error("Покрытие формул должно быть от 0 до 20");
+    }
+
+    // Проверка ограничений разнообразия (0 = без ограничения)
+    for (const value of [this.config.maxSameAnswer, this.config.maxSameFirstStep]) {
+      if (!Number.isInteger(value) || value < 0 || value > 1000) {
+        throw new Error("Ограничение повторов должно быть от 0 до 1000");
+      }
+    }
+
+    // Проверка распределения ответов
+    if (!['natural', 'even'].includes(this.config.answerSpread)) {
+      throw new Error("Распределение ответов должно быть natural или even");
+    }
+
+    if (![null, 'even', 'odd'].includes(this.config.answerParity)) {
+      throw new Error("Чётность ответа должна быть even, odd или не задана");
+    }
+
+    const answerMin = this.config.answerRange?.min ?? null;
+    const answerMax = this.config.answerRange?.max ?? null;
+
+    for (const value of [answerMin, answerMax]) {
+      if (value !== null && !Number.isFinite(value)) {
+        throw new Error("Границы диапазона ответов должны быть числами");
+      }
+    }
+
+    if (answerMin !== null && answerMax !== null && answerMin > answerMax) {
+      throw new Error("Минимум диапазона ответов больше максимума");
+    }
+
+    // Проверка границ промежуточных итогов: числа, min ≤ max, достижимы на абакусе,
+    // пересекаются с диапазоном ответов и содержат стартовое число
+    const totalMin = this.config.totalRange?.min ?? null;
+    const totalMax = this.config.totalRange?.max ?? null;
+
+    for (const value of [totalMin, totalMax]) {
+      if (value !== null && !Number.isFinite(value)) {
+        throw new Error("Границы промежуточных итогов должны быть числами");
+      }
+    }
+
+    if (totalMin !== null && totalMax !== null && totalMin > totalMax) {
+      throw new Error("Минимум промежуточных итогов больше максимума");
+    }
+
+    const lowest = -(negativeLimit ?? 0);
+    const highest = Math.pow(10, digitCount) - Math.pow(10, -(decimalPlaces ?? 0));
+    if ((totalMin !== null && totalMin > highest) || (totalMax !== null && totalMax < lowest)) {
+      throw new Error(`Промежуточные итоги вне возможных на абакусе: от ${lowest} до ${highest}`);
+    }
+
+    if (
+      (totalMin !== null && answerMax !== null && answerMax < totalMin) ||
+      (totalMax !== null && answerMin !== null && answerMin > totalMax)
+    ) {
+      throw new Error("Диапазон ответов не пересекается с границами промежуточных итогов");
+    }
+
+    if (
+      (startMin !== null && totalMin !== null && startMin < totalMin) ||
+      (startMax !== null && totalMax !== null && startMax > totalMax)
+    ) {
+      throw new Error("Стартовое число вне границ промежуточных итогов");
+    }
+
+    // Итоги до и после каждого шага (кроме первого) - в границах: границы
+    // уже наименьшего шага не допускают ни одной цепочки
+    const stepSize = minStepSize(this.config);
+    if (totalMin !== null && totalMax !== null && stepSize !== null && totalMax - totalMin < stepSize) {
+      throw new Error(
+        `Промежуточные итоги ${totalMin}-${totalMax} уже одного шага: ` +
+        `каждое число после первого меняет итог минимум на ${stepSize}`
+      );
+    }
+
     // Проверка что хотя бы один блок активен
     const hasActiveBlock = this._hasActiveBlock(blocks);
     
@@ -231,16 +1005,47 @@ export class PrintGenerator {
       throw new Error("Необходимо выбрать хотя бы один блок и цифры в нем");
     }
 
-    // Проверка специфичных требований блоков
-    
-    // Друзі требует минимум 2 разряда
-    if (blocks.friends?.digits?.length > 0 && digitCount < 2) {
-      throw new Error("Блок 'Друзі' требует минимум 2 разряда");
+    // Проверка требований блоков (из описаний правил в RuleRegistry)
+    const activeRules = RuleRegistry.active(blocks);
+
+    // Блоки с переносом (Друзі, Мікс) требуют минимум 2 разряда (дробные тоже считаются)
+    for (const rule of activeRules) {
+      if (digitCount + decimalPlaces < rule.minRods) {
+        throw new Error(`Блок '${rule.name}' требует минимум ${rule.minRods} разряда`);
+      }
     }
 
-    // Мікс требует минимум 2 разряда
-    if (blocks.mix?.digits?.length > 0 && digitCount < 2) {
-      throw new Error("Блок 'Мікс' требует минимум 2 разряда");
+    // Переход через ноль - заём за старший стержень, его делают только блоки с переносом
+    if (negativeLimit > 0 && !activeRules.some(rule => rule.carries)) {
+      const carryNames = RuleRegistry.list().filter(rule => rule.carries).map(rule => `'${rule.name}'`);
+      throw new Error(`Итог ниже нуля возможен только с блоком ${carryNames.join(' или ')}`);
+    }
+
+    // Опции блоков (разрядность операндов умножения и деления, режим остатка...)
+    for (const rule of activeRules) {
+      const problem = rule.validate(blocks[rule.id], { digitCount, decimalPlaces });
+      if (problem) {
+        throw new Error(problem.message);
+      }
+    }
+
+    // Веса блоков при смешивании: не меньше нуля и хотя бы один больше нуля
+    // (все нули - учитель выключил все блоки, а не выбрал старший)
+    if (this.config.blendMode !== 'priority') {
+      const weights = activeRules.map(rule => Number(blocks[rule.id].weight ?? 1));
+      if (weights.some(weight => !Number.isFinite(weight) || weight < 0) || !weights.some(weight => weight > 0)) {
+        throw new Error("Веса блоков должны быть не меньше нуля, и хотя бы у одного активного блока - больше нуля");
+      }
+    }
+
+    // Стартовое число - только из цифр, доступных правилу на стержне
+    // ("Просто 1-4" не начнёт с 5 или 50)
+    const unusableStart = findUnusableStart({ blocks, blendMode: this.config.blendMode, start });
+    if (unusableStart) {
+      throw new Error(
+        `Стартовое число ${unusableStart.start} недоступно блоку '${RuleRegistry.get(unusableStart.block).name}': ` +
+        `на стержнях только цифры 0-${unusableStart.maxDigit}`
+      );
     }
 
     console.log("✅ Валидация настроек пройдена");
@@ -257,17 +1062,7 @@ export class PrintGenerator {
       return false;
     }
 
-    const blockNames = ['simple', 'brothers', 'friends', 'mix'];
-    
-    for (const name of blockNames) {
-      const block = blocks[name];
-      
-      if (block && Array.isArray(block.digits) && block.digits.length > 0) {
-        return true;
-      }
-    }
-
-    return false;
+    return RuleRegistry.active(blocks).length > 0;
   }
 
   /**
@@ -281,19 +1076,40 @@ export class PrintGenerator {
         total: 0,
         avgSteps: 0,
         minAnswer: 0,
-        maxAnswer: 0
+        maxAnswer: 0,
+        techniques: {},
+        blocks: {}
       };
     }
 
     const answers = examples.map(ex => ex.answer);
     const stepCounts = examples.map(ex => ex.steps.length);
 
+    // Сколько шагов каждой техники (simple, brother, friend, mix)
+    const techniques = {};
+    for (const example of examples) {
+      for (const detail of example.details || []) {
+        techniques[detail.technique] = (techniques[detail.technique] || 0) + 1;
+      }
+    }
+
+    // Сколько примеров дал каждый блок (режимы "priority" и "example")
+    const blocks = {};
+    for (const example of examples) {
+      const block = example.blend?.block;
+      if (block) {
+        blocks[block] = (blocks[block] || 0) + 1;
+      }
+    }
+
     return {
       total: examples.length,
       avgSteps: (stepCounts.reduce((a, b) => a + b, 0) / examples.length).toFixed(1),
       minAnswer: Math.min(...answers),
       maxAnswer: Math.max(...answers),
-      avgAnswer: (answers.reduce((a, b) => a + b, 0) / examples.length).toFixed(1)
+      avgAnswer: (answers.reduce((a, b) => a + b, 0) / examples.length).toFixed(1),
+      techniques: techniques,
+      blocks: blocks
     };
   }
 
@@ -302,27 +1118,30 @@ export class PrintGenerator {
    * @returns {Object} Информация
    */
   getInfo() {
-    const activeBlocks = [];
-    
-    if (this.config.blocks.simple?.digits?.length > 0) {
-      activeBlocks.push(`Просто (${this.config.blocks.simple.digits.join(',')})`);
-    }
-    if (this.config.blocks.brothers?.digits?.length > 0) {
-      activeBlocks.push(`Братья (${this.config.blocks.brothers.digits.join(',')})`);
-    }
-    if (this.config.blocks.friends?.digits?.length > 0) {
-      activeBlocks.push(`Друзі (${this.config.blocks.friends.digits.join(',')})`);
-    }
-    if (this.config.blocks.mix?.digits?.length > 0) {
-      activeBlocks.push(`Мікс (${this.config.blocks.mix.digits.join(',')})`);
-    }
+    const activeBlocks = RuleRegistry.active(this.config.blocks)
+      .map(rule => `${rule.name} (${this.config.blocks[rule.id].digits.join(',')})`);
 
     return {
       examplesCount: this.config.examplesCount,
       actionsCount: this.config.actionsCount,
       digitCount: this.config.digitCount,
+      decimalPlaces: this.config.decimalPlaces,
+      negativeLimit: this.config.negativeLimit,
       activeBlocks: activeBlocks,
-      combineLevels: this.config.combineLevels
+      combineLevels: this.config.combineLevels,
+      blendMode: this.config.blendMode,
+      forbiddenPatterns: this.config.forbiddenPatterns,
+      digitProfile: this.config.digitProfile,
+      formulaCoverage: this.config.formulaCoverage,
+      sortByDifficulty: this.config.sortByDifficulty,
+      uniqueExamples: this.config.uniqueExamples,
+      maxSameAnswer: this.config.maxSameAnswer,
+      maxSameFirstStep: this.config.maxSameFirstStep,
+      answerSpread: this.config.answerSpread,
+      answerRange: this.config.answerRange,
+      answerParity: this.config.answerParity,
+      totalRange: this.config.totalRange,
+      seed: this.seed
     };
   }
 }
@@ -0,0 +1,177 @@
+// ui/Dictation.js
+// Диктант: примеры читаются вслух через синтез речи браузера
+
+import { PrintFormatter } from "../print/PrintFormatter.js";
+
+/**
+ * BrowserSpeechAdapter - озвучка через Web Speech API (speechSynthesis).
+ *
+ * АДАПТЕР РЕЧИ - любой объект с методами:
+ * - isAvailable(): boolean - можно ли говорить
+ * - speak(text, { lang, rate }): Promise<void> - сказать фразу (промис - когда договорил)
+ * - cancel(): void - замолчать сразу
+ * Так другой голос или внешний сервис озвучки подключается без изменений Dictation.
+ */
+export class BrowserSpeechAdapter {
+  isAvailable() {
+    return typeof window !== 'undefined' &&
+      'speechSynthesis' in window &&
+      typeof window.SpeechSynthesisUtterance === 'function';
+  }
+
+  speak(text, { lang, rate = 1 } = {}) {
+    return new Promise((resolve, reject) => {
+      const utterance = new window.SpeechSynthesisUtterance(text);
+      utterance.lang = lang;
+      utterance.rate = rate;
+
+      // Голос языка, если он установлен в системе (иначе - голос по умолчанию)
+      const voice = window.speechSynthesis.getVoices().find(v => v.lang === lang);
+      if (voice) {
+        utterance.voice = voice;
+      }
+
+      utterance.onend = () => resolve();
+      utterance.onerror = (event) => {
+        // Остановка пользователем - не ошибка
+        if (event.error === 'interrupted' || event.error === 'canceled') {
+          resolve();
+        } else {
+          reject(new Error(`Синтез речи: ${event.error}`));
+        }
+      };
+
+      window.speechSynthesis.speak(utterance);
+    });
+  }
+
+  cancel() {
+    if (this.isAvailable()) {
+      window.speechSynthesis.cancel();
+    }
+  }
+}
+
+/**
+ * Dictation - чтение примеров вслух для упражнений "на слух".
+ *
+ * Каждый пример: "Приклад 1" → пауза → "5" → пауза → "плюс 3" → … → "Скільки?".
+ * Фразы те же, что в сценарии учителя (PrintFormatter.formatSpokenSteps),
+ * поэтому напечатанный сценарий совпадает с озвучкой.
+ *
+ * ИСПОЛЬЗОВАНИЕ:
+ * const dictation = new Dictation({ language: 'uk', words: t.dictation, pause: 2 });
+ * if (dictation.isAvailable()) {
+ *   await dictation.dictate(examples);
+ * }
+ */
+export class Dictation {
+  /**
+   * Язык интерфейса → язык синтеза речи
+   */
+  static SPEECH_LANGS = {
+    uk: 'uk-UA',
+    ru: 'ru-RU',
+    en: 'en-US',
+    es: 'es-ES'
+  };
+
+  /**
+   * @param {Object} options
+   * @param {Object} [options.adapter] - Адаптер речи (по умолчанию BrowserSpeechAdapter)
+   * @param {string} [options.language] - Язык интерфейса (uk, ru, en, es)
+   * @param {Object} options.words - Слова { plus, minus, times, dividedBy, example, question }
+   * @param {number} [options.pause] - Пауза между фразами (с)
+   * @param {number} [options.rate] - Скорость речи (0.5-2, 1 = обычная)
+   */
+  constructor({ adapter = new BrowserSpeechAdapter(), language = 'uk', words, pause = 1.5, rate = 1 }) {
+    this.adapter = adapter;
+    this.language = language;
+    this.words = words;
+    this.pause = pause;
+    this.rate = rate;
+
+    this._stopped = false;
+    this._pauseTimer = null;
+    this._pauseResolve = null;
+  }
+
+  /**
+   * Можно ли диктовать (иначе - печатать сценарий для учителя)
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return this.adapter.isAvailable();
+  }
+
+  /**
+   * Продиктовать примеры по очереди
+   *
+   * @param {Array} examples - Примеры (PrintGenerator)
+   * @param {Object} [callbacks]
+   * @param {Function} [callbacks.onExample] - (example) перед каждым примером
+   * @returns {Promise<boolean>} true - дочитали до конца, false - остановлено
+   * @throws {Error} Если синтез речи недоступен или сломался
+   */
+  async dictate(examples, { onExample } = {}) {
+    if (!this.isAvailable()) {
+      throw new Error("Синтез речи недоступен");
+    }
+
+    this._stopped = false;
+    console.log(`🔊 Диктант: ${examples.length} примеров, пауза ${this.pause} с`);
+
+    for (const example of examples) {
+      onExample?.(example);
+
+      const phrases = [
+        `${this.words.example} ${example.id}`,
+        ...PrintFormatter.formatSpokenSteps(example, this.words, this.language),
+        this.words.question
+      ];
+
+      for (const phrase of phrases) {
+        if (this._stopped) {
+          return false;
+        }
+
+        await this._say(phrase);
+        await this._wait(this.pause * 1000);
+      }
+    }
+
+    console.log("✅ Диктант окончен");
+    return !this._stopped;
+  }
+
+  /**
+   * Остановить диктант (фраза обрывается сразу)
+   */
+  stop() {
+    this._stopped = true;
+    this.adapter.cancel();
+
+    if (this._pauseTimer !== null) {
+      clearTimeout(this._pauseTimer);
+      this._pauseTimer = null;
+      this._pauseResolve();
+    }
+  }
+
+  _say(text) {
+    return this.adapter.speak(text, {
+      lang: Dictation.SPEECH_LANGS[this.language] || Dictation.SPEECH_LANGS.uk,
+      rate: this.rate
+    });
+  }
+
+  _wait(ms) {
+    return new Promise(resolve => {
+      this._pauseResolve = resolve;
+      this._pauseTimer = setTimeout(() => {
+        this._pauseTimer = null;
+        resolve();
+      }, ms);
+    });
+  }
+}
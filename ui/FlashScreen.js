@@ -0,0 +1,355 @@
+// ui/FlashScreen.js
+// Экран флеш-анзан: числа примера показываются по одному на весь экран
+
+import { generateExample } from "../core/generator.js";
+import { RuleRegistry } from "../core/RuleRegistry.js";
+import { getTranslations } from "../i18n/translations.js";
+
+// Пауза перед первым числом и пустой экран между числами (мс)
+const READY_DELAY = 1000;
+const BLANK_DELAY = 150;
+
+// Таймер текущего показа (один на экран)
+let flashTimer = null;
+
+/**
+ * Рендеринг экрана флеш-анзан
+ *
+ * Пример берётся из generateExample с блоками экрана генератора,
+ * шаги показываются по одному (соревновательный формат),
+ * в конце ученик вводит ответ и получает проверку.
+ *
+ * @param {HTMLElement} container - Контейнер для рендера
+ * @param {Object} options
+ * @param {string} options.language - Язык интерфейса
+ * @param {Object} options.settings - Настройки генератора (blocks, blendMode, actionsCount, digitCount,
+ *        forbiddenPatterns…)
+ * @param {Function} options.onExit - Возврат к экрану генератора
+ */
+export function renderFlashScreen(container, { language = 'uk', settings, onExit }) {
+  console.log("⚡ Рендеринг экрана флеш-анзан");
+
+  const t = getTranslations(language);
+  stopFlash();
+
+  container.innerHTML = '';
+
+  const screen = document.createElement('div');
+  screen.className = 'flash-screen';
+
+  // === НАСТРОЙКИ ПОКАЗА ===
+  const setup = document.createElement('div');
+  setup.className = 'print-settings flash-setup';
+
+  const h2 = document.createElement('h2');
+  h2.textContent = t.flash.title;
+  setup.appendChild(h2);
+
+  const grid = document.createElement('div');
+  grid.className = 'settings-grid';
+  grid.appendChild(createFlashInput('flashInterval', t.flash.interval, 1, 0.1, 10, 0.1));
+  grid.appendChild(createFlashInput('flashCount', t.flash.count, settings.actionsCount, 1, 30, 1));
+  grid.appendChild(createFlashInput('flashDigits', t.flash.digits, settings.digitCount, 1, 9, 1));
+  grid.appendChild(createFlashInput('flashFontSize', t.flash.fontSize, 160, 40, 400, 10));
+  setup.appendChild(grid);
+
+  const controls = document.createElement('div');
+  controls.className = 'print-controls';
+
+  const backBtn = document.createElement('button');
+  backBtn.className = 'btn-secondary';
+  backBtn.textContent = t.flash.back;
+  backBtn.onclick = () => {
+    stopFlash();
+    onExit();
+  };
+  controls.appendChild(backBtn);
+
+  const startBtn = document.createElement('button');
+  startBtn.className = 'btn-primary btn-large';
+  startBtn.textContent = t.flash.start;
+  startBtn.onclick = () => handleStart(screen, settings, t);
+  controls.appendChild(startBtn);
+
+  setup.appendChild(controls);
+  screen.appendChild(setup);
+
+  // === СЦЕНА ПОКАЗА (на весь экран) ===
+  const stage = document.createElement('div');
+  stage.className = 'flash-stage';
+  stage.id = 'flashStage';
+  stage.style.display = 'none';
+  screen.appendChild(stage);
+
+  container.appendChild(screen);
+
+  console.log("✅ Экран флеш-анзан отрисован");
+}
+
+/**
+ * Сбор настроек показа из полей экрана
+ */
+function collectFlashSettings() {
+  const read = (id) => parseFloat(document.getElementById(id).value);
+
+  return {
+    interval: read('flashInterval'),
+    count: Math.round(read('flashCount')),
+    digits: Math.round(read('flashDigits')),
+    fontSize: Math.round(read('flashFontSize'))
+  };
+}
+
+/**
+ * Валидация настроек показа
+ */
+function validateFlashSettings(flash, t) {
+  if (!(flash.interval >= 0.1 && flash.interval <= 10)) {
+    return { valid: false, error: t.flash.intervalInvalid };
+  }
+  if (!(flash.count >= 1 && flash.count <= 30)) {
+    return { valid: false, error: t.flash.countInvalid };
+  }
+  if (!(flash.digits >= 1 && flash.digits <= 9)) {
+    return { valid: false, error: t.errors.digitCountInvalid };
+  }
+  if (!(flash.fontSize >= 40 && flash.fontSize <= 400)) {
+    return { valid: false, error: t.flash.fontSizeInvalid };
+  }
+  return { valid: true };
+}
+
+/**
+ * Старт: генерируем пример, разворачиваем сцену и показываем числа
+ */
+function handleStart(screen, settings, t) {
+  const flash = collectFlashSettings();
+  const validation = validateFlashSettings(flash, t);
+  if (!validation.valid) {
+    alert(validation.error);
+    return;
+  }
+
+  let example;
+  try {
+    example = generateExample({
+      digits: flash.digits,
+      decimalPlaces: settings.decimalPlaces,
+      negativeLimit: settings.negativeLimit,
+      actions: { count: flash.count },
+      blocks: chainBlocks(settings.blocks),
+      blendMode: settings.blendMode,
+      techniqueSteps: settings.techniqueSteps,
+      start: settings.start,
+      forbiddenPatterns: settings.forbiddenPatterns
+    });
+  } catch (error) {
+    console.error("❌ Ошибка генерации примера для флеш-анзан:", error);
+    alert(t.errors.generationFailed + '\n' + error.message);
+    return;
+  }
+
+  const stage = screen.querySelector('#flashStage');
+  stage.style.display = '';
+  stage.style.fontSize = `${flash.fontSize}px`;
+  stage.innerHTML = '';
+
+  const number = document.createElement('div');
+  number.className = 'flash-number';
+  stage.appendChild(number);
+
+  // Полноэкранный режим - если браузер разрешает
+  if (stage.requestFullscreen) {
+    stage.requestFullscreen().catch(() => {});
+  }
+
+  console.log(`⚡ Флеш-анзан: ${flashNumbers(example).length} чисел по ${flash.interval} с`);
+
+  number.textContent = t.flash.ready;
+  showNumbers(flashNumbers(example), number, flash.interval * 1000, () => {
+    showAnswerForm(stage, example, settings, t);
+  });
+}
+
+/**
+ * Только блоки-цепочки: примеры-операции (умножение, деление)
+ * во флеш-анзан не показываются
+ */
+function chainBlocks(blocks) {
+  return Object.fromEntries(
+    Object.entries(blocks).filter(([id]) => !RuleRegistry.get(id)?.operation)
+  );
+}
+
+/**
+ * Числа для показа: стартовое (если есть) и шаги без "+"
+ * (во флеш-анзан "+" не пишут, вычитание - со знаком "-")
+ */
+function flashNumbers(example) {
+  const numbers = example.steps.map(step => step.replace(/^\+/, ''));
+  return example.start ? [String(example.start), ...numbers] : numbers;
+}
+
+/**
+ * Показать числа по одному: число - interval мс, между числами короткий
+ * пустой экран (чтобы два одинаковых числа подряд были различимы)
+ */
+function showNumbers(numbers, element, interval, onDone) {
+  let index = 0;
+
+  const showNext = () => {
+    if (index >= numbers.length) {
+      element.textContent = '';
+      flashTimer = setTimeout(onDone, BLANK_DELAY);
+      return;
+    }
+
+    element.textContent = numbers[index++];
+    flashTimer = setTimeout(() => {
+      element.textContent = '';
+      flashTimer = setTimeout(showNext, BLANK_DELAY);
+    }, interval);
+  };
+
+  flashTimer = setTimeout(showNext, READY_DELAY);
+}
+
+/**
+ * Остановить показ (выход с экрана или новый старт)
+ */
+function stopFlash() {
+  if (flashTimer !== null) {
+    clearTimeout(flashTimer);
+    flashTimer = null;
+  }
+}
+
+/**
+ * Форма ответа: ученик вводит число, проверяем и показываем пример целиком
+ */
+function showAnswerForm(stage, example, settings, t) {
+  flashTimer = null;
+  stage.innerHTML = '';
+
+  const form = document.createElement('form');
+  form.className = 'flash-answer';
+
+  const label = document.createElement('label');
+  label.textContent = t.flash.answerPrompt;
+  label.setAttribute('for', 'flashAnswer');
+  form.appendChild(label);
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.inputMode = 'decimal';
+  input.id = 'flashAnswer';
+  input.className = 'setting-input flash-answer-input';
+  input.autocomplete = 'off';
+  form.appendChild(input);
+
+  const checkBtn = document.createElement('button');
+  checkBtn.type = 'submit';
+  checkBtn.className = 'btn-primary';
+  checkBtn.textContent = t.flash.check;
+  form.appendChild(checkBtn);
+
+  form.onsubmit = (e) => {
+    e.preventDefault();
+    if (input.value.trim() === '') {
+      return;
+    }
+    showResult(stage, example, input.value, settings, t);
+  };
+
+  stage.appendChild(form);
+  input.focus();
+}
+
+/**
+ * Результат проверки и кнопки "ещё раз" / "к настройкам"
+ */
+function showResult(stage, example, answerText, settings, t) {
+  const correct = isCorrectAnswer(answerText, example);
+  console.log(`⚡ Ответ ${answerText}: ${correct ? 'верно' : 'неверно'} (${example.answer})`);
+
+  stage.innerHTML = '';
+
+  const result = document.createElement('div');
+  result.className = `flash-result ${correct ? 'flash-result--correct' : 'flash-result--wrong'}`;
+
+  const verdict = document.createElement('div');
+  verdict.className = 'flash-verdict';
+  verdict.textContent = correct ? t.flash.correct : t.flash.wrong;
+  result.appendChild(verdict);
+
+  const solution = document.createElement('div');
+  solution.className = 'flash-solution';
+  solution.textContent = `${flashNumbers(example).join(' ')} = ${example.answer}`;
+  result.appendChild(solution);
+
+  const controls = document.createElement('div');
+  controls.className = 'print-controls';
+
+  const againBtn = document.createElement('button');
+  againBtn.className = 'btn-primary';
+  againBtn.textContent = t.flash.again;
+  againBtn.onclick = () => handleStart(stage.parentElement, settings, t);
+  controls.appendChild(againBtn);
+
+  const setupBtn = document.createElement('button');
+  setupBtn.className = 'btn-secondary';
+  setupBtn.textContent = t.flash.toSettings;
+  setupBtn.onclick = () => {
+    if (document.fullscreenElement) {
+      document.exitFullscreen().catch(() => {});
+    }
+    stage.style.display = 'none';
+  };
+  controls.appendChild(setupBtn);
+
+  result.appendChild(controls);
+  stage.appendChild(result);
+}
+
+/**
+ * Проверка ответа ученика. Дроби сравниваются в единицах младшего
+ * разряда (без ошибок плавающей точки), запятая и точка равноправны
+ *
+ * @param {string} answerText - Введённый ответ ("12,35", "-7")
+ * @param {Object} example - Пример из generateExample
+ * @returns {boolean}
+ */
+function isCorrectAnswer(answerText, example) {
+  const value = Number(answerText.trim().replace(',', '.'));
+  if (!Number.isFinite(value)) {
+    return false;
+  }
+
+  const scale = Math.pow(10, example.decimalPlaces ?? 0);
+  return Math.round(value * scale) === Math.round(example.answer * scale);
+}
+
+/**
+ * Числовое поле настройки показа
+ */
+function createFlashInput(id, label, defaultValue, min, max, step) {
+  const item = document.createElement('div');
+  item.className = 'setting-item';
+
+  const labelEl = document.createElement('label');
+  labelEl.textContent = label;
+  labelEl.setAttribute('for', id);
+  item.appendChild(labelEl);
+
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.id = id;
+  input.className = 'setting-input';
+  input.value = defaultValue;
+  input.min = min;
+  input.max = max;
+  input.step = step;
+  item.appendChild(input);
+
+  return item;
+}
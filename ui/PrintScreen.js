@@ -3,11 +3,25 @@
 
 import { PrintGenerator } from "../print/PrintGenerator.js";
 import { PrintFormatter } from "../print/PrintFormatter.js";
+import { RuleRegistry } from "../core/RuleRegistry.js";
+import { findUnusableStart, minStepSize } from "../core/generator.js";
+import { renderFlashScreen } from "./FlashScreen.js";
+import { Dictation } from "./Dictation.js";
 import { getTranslations } from "../i18n/translations.js";
 
 // Глобальная переменная для хранения текущего языка
 let currentLanguage = 'uk';
 
+// Текущий диктант (чтобы остановить его при новой генерации)
+let currentDictation = null;
+
+// Чекбоксы запрещённых шаблонов цепочки → шаблон PatternFilter
+const PATTERN_CHECKBOXES = {
+  forbidInverse: 'inverse',
+  forbidRepeat: 'repeat',
+  forbidZeroReturn: 'zeroReturn'
+};
+
 /**
  * Главная функция рендеринга экрана генератора
  * @param {HTMLElement} container - Контейнер для рендера
@@ -30,7 +44,7 @@ export function renderPrintScreen(container) {
   screen.appendChild(header);
 
   // === НАСТРОЙКИ ===
-  const settingsSection = createSettingsSection(t);
+  const settingsSection = createSettingsSection(t, container);
   screen.appendChild(settingsSection);
 
   // === СЕКЦИЯ РЕЗУЛЬТАТА (изначально скрыта) ===
@@ -109,7 +123,7 @@ function createHeader(t, container) {
 /**
  * Создание секции настроек
  */
-function createSettingsSection(t) {
+function createSettingsSection(t, container) {
   const section = document.createElement('div');
   section.className = 'print-settings';
 
@@ -158,6 +172,144 @@ function createSettingsSection(t) {
     1
   ));
 
+  // Профиль разрядности многозначных чисел: первое и последнее число
+  // (пусто = как остальные) и длины остальных ("2" или "1:1, 2:3" - с весами)
+  for (const id of ['firstNumberDigits', 'lastNumberDigits']) {
+    const item = createNumberInput(id, t.settings[id], '', 1, 9);
+    item.querySelector('input').placeholder = t.settings.digitProfilePlaceholder;
+    grid.appendChild(item);
+  }
+  grid.appendChild(createTextInput(
+    'otherNumbersDigits',
+    t.settings.otherNumbersDigits,
+    t.settings.otherNumbersPlaceholder
+  ));
+
+  // Знаков после запятой (0 = целые; дроби - младшие стержни абакуса)
+  grid.appendChild(createNumberInput(
+    'decimalPlaces',
+    t.settings.decimalPlaces,
+    0,
+    0,
+    3
+  ));
+
+  // Насколько итог может уйти ниже нуля (0 = не может; метод дополнения)
+  grid.appendChild(createNumberInput(
+    'negativeLimit',
+    t.settings.negativeLimit,
+    0,
+    0,
+    999999999
+  ));
+
+  // Запись чисел на листе: цифрами или словами ("плюс тридцять сім")
+  grid.appendChild(createSelect(
+    'numberForm',
+    t.settings.numberForm,
+    [
+      { value: 'digits', label: t.settings.numberFormDigits },
+      { value: 'words', label: t.settings.numberFormWords }
+    ],
+    'digits'
+  ));
+
+  // Порядок примеров: как сгенерированы или от лёгких к сложным
+  grid.appendChild(createSelect(
+    'exampleOrder',
+    t.settings.exampleOrder,
+    [
+      { value: 'generated', label: t.settings.orderGenerated },
+      { value: 'difficulty', label: t.settings.orderDifficulty }
+    ],
+    'generated'
+  ));
+
+  // Разнообразие листа: без повторов цепочек, лимиты одинаковых ответов и первых шагов
+  grid.appendChild(createCheckbox('uniqueExamples', t.settings.uniqueExamples, true));
+  for (const id of ['maxSameAnswer', 'maxSameFirstStep']) {
+    const item = createNumberInput(id, t.settings[id], '', 1, 1000);
+    item.querySelector('input').placeholder = t.settings.varietyPlaceholder;
+    grid.appendChild(item);
+  }
+
+  // Запрет бесполезных шаблонов цепочки: +4 -4, +3 +3, возврат в ноль посреди примера
+  for (const id of Object.keys(PATTERN_CHECKBOXES)) {
+    grid.appendChild(createCheckbox(id, t.settings[id], true));
+  }
+
+  // Поєднання блоків (якщо вибрано кілька блоків)
+  grid.appendChild(createSelect(
+    'blendMode',
+    t.settings.blendMode,
+    [
+      { value: 'priority', label: t.settings.blendPriority },
+      { value: 'example', label: t.settings.blendExample },
+      { value: 'step', label: t.settings.blendStep }
+    ],
+    'priority'
+  ));
+
+  // Сколько раз каждая выбранная формула должна встретиться на листе
+  grid.appendChild(createNumberInput(
+    'formulaCoverage',
+    t.settings.formulaCoverage,
+    1,
+    0,
+    20
+  ));
+
+  // Квота технических шагов на пример (пусто = авто: хотя бы один)
+  for (const id of ['minTechniqueSteps', 'maxTechniqueSteps']) {
+    const item = createNumberInput(id, t.settings[id], '', 0, 20);
+    item.querySelector('input').placeholder = t.settings.techniqueStepsPlaceholder;
+    grid.appendChild(item);
+  }
+
+  // Стартовое число примера (пусто = с нуля; "від" = "до" - фиксированное)
+  for (const id of ['startMin', 'startMax']) {
+    const item = createNumberInput(id, t.settings[id], '', 0, 999999999);
+    item.querySelector('input').placeholder = t.settings.startPlaceholder;
+    grid.appendChild(item);
+  }
+
+  // Границы промежуточных итогов (после каждого шага; пусто = без границы)
+  for (const id of ['totalMin', 'totalMax']) {
+    const item = createNumberInput(id, t.settings[id], '', -999999999, 999999999);
+    const input = item.querySelector('input');
+    input.step = 'any';
+    input.placeholder = t.settings.answerRangePlaceholder;
+    grid.appendChild(item);
+  }
+
+  // Ответы: равномерно по значениям, диапазон (пусто = без границы) и чётность
+  grid.appendChild(createSelect(
+    'answerSpread',
+    t.settings.answerSpread,
+    [
+      { value: 'natural', label: t.settings.spreadNatural },
+      { value: 'even', label: t.settings.spreadEven }
+    ],
+    'natural'
+  ));
+  for (const id of ['answerMin', 'answerMax']) {
+    const item = createNumberInput(id, t.settings[id], '', -999999999, 999999999);
+    const input = item.querySelector('input');
+    input.step = 'any';
+    input.placeholder = t.settings.answerRangePlaceholder;
+    grid.appendChild(item);
+  }
+  grid.appendChild(createSelect(
+    'answerParity',
+    t.settings.answerParity,
+    [
+      { value: '', label: t.settings.parityAny },
+      { value: 'even', label: t.settings.parityEven },
+      { value: 'odd', label: t.settings.parityOdd }
+    ],
+    ''
+  ));
+
   section.appendChild(grid);
 
   // Дополнительные поля (заголовок и комментарий)
@@ -177,6 +329,15 @@ function createSettingsSection(t) {
   commentInput.classList.add('setting-item--full');
   section.appendChild(commentInput);
 
+  // Код листа (seed) - чтобы восстановить ранее напечатанный лист
+  const seedInput = createTextInput(
+    'worksheetSeed',
+    t.settings.seed,
+    t.settings.seedPlaceholder
+  );
+  seedInput.classList.add('setting-item--full');
+  section.appendChild(seedInput);
+
   // === БЛОКИ ===
   const blocksSection = createBlocksSection(t);
   section.appendChild(blocksSection);
@@ -192,13 +353,21 @@ function createSettingsSection(t) {
   generateBtn.onclick = () => handleGenerate(t);
   generateSection.appendChild(generateBtn);
 
+  // Флеш-анзан: те же блоки, числа по одному на экране
+  const flashBtn = document.createElement('button');
+  flashBtn.className = 'btn-secondary btn-large';
+  flashBtn.textContent = t.buttons.flash;
+  flashBtn.onclick = () => handleFlash(t, container);
+  generateSection.appendChild(flashBtn);
+
   section.appendChild(generateSection);
 
   return section;
 }
 
 /**
- * Создание секции блоков (Просто, Братья, Друзі, Мікс)
+ * Создание секции блоков - по правилам из RuleRegistry
+ * (Просто, Братья, Друзі, Мікс, Множення, Ділення и зарегистрированные свои)
  */
 function createBlocksSection(t) {
   const section = document.createElement('div');
@@ -208,58 +377,35 @@ function createBlocksSection(t) {
   h3.textContent = t.blocks.title;
   section.appendChild(h3);
 
-  // Блок "Просто" - активен за замовчуванням
-  section.appendChild(createBlock(
-    'simple',
-    t.blocks.simple,
-    [1, 2, 3, 4, 5, 6, 7, 8, 9],
-    [1, 2, 3, 4, 5],  // За замовчуванням активні
-    t,
-    false,
-    false  // НЕ показувати опції "тільки додавання/віднімання"
-  ));
-
-  // Блок "Братья" - НЕ активен за замовчуванням
-  section.appendChild(createBlock(
-    'brothers',
-    t.blocks.brothers,
-    [1, 2, 3, 4],
-    [],  // За замовчуванням НЕ активні
-    t,
-    false,
-    true  // Показувати опції "тільки додавання/віднімання"
-  ));
+  for (const rule of RuleRegistry.list()) {
+    section.appendChild(createBlock(rule, t));
+  }
 
-  // Блок "Друзі" - НЕ активен за замовчуванням
-  section.appendChild(createBlock(
-    'friends',
-    t.blocks.friends,
-    [1, 2, 3, 4, 5, 6, 7, 8, 9],
-    [],  // За замовчуванням НЕ активні
-    t,
-    true,
-    true  // Показувати опції "тільки додавання/віднімання"
-  ));
+  return section;
+}
 
-  // Блок "Мікс" - НЕ активен за замовчуванням
-  section.appendChild(createBlock(
-    'mix',
-    t.blocks.mix,
-    [6, 7, 8, 9],
-    [],  // За замовчуванням НЕ активні
-    t,
-    true,
-    true  // Показувати опції "тільки додавання/віднімання"
-  ));
+/**
+ * Текст для UI: свои правила задают labels по языкам,
+ * встроенные берут текст из translations.js (fallback)
+ */
+function localLabel(labels, fallback) {
+  return labels?.[currentLanguage] ?? labels?.uk ?? fallback;
+}
 
-  return section;
+/**
+ * Заголовок блока правила
+ */
+function blockTitle(rule, t) {
+  return localLabel(rule.labels, t.blocks[rule.id] ?? rule.name);
 }
 
 /**
  * Создание одного блока выбора
- * @param {boolean} showOnlyOptions - Показувати опції "тільки додавання/віднімання"
+ * @param {Object} rule - Описание правила из RuleRegistry (цифры, цифры по умолчанию,
+ *        опции "тільки додавання/віднімання", опции блока, минимум разрядов)
  */
-function createBlock(blockId, title, availableDigits, defaultDigits, t, requiresMultipleDigits, showOnlyOptions = true) {
+function createBlock(rule, t) {
+  const blockId = rule.id;
   const block = document.createElement('div');
   block.className = 'block';
   block.dataset.blockId = blockId;
@@ -269,13 +415,13 @@ function createBlock(blockId, title, availableDigits, defaultDigits, t, requires
   header.className = 'block-header';
 
   const h4 = document.createElement('h4');
-  h4.textContent = title;
+  h4.textContent = blockTitle(rule, t);
   header.appendChild(h4);
 
   const selectAllBtn = document.createElement('button');
   selectAllBtn.className = 'btn-select-all';
   selectAllBtn.textContent = t.blocks.selectAll;
-  selectAllBtn.onclick = () => toggleAllDigits(blockId, availableDigits);
+  selectAllBtn.onclick = () => toggleAllDigits(blockId, rule.digits);
   header.appendChild(selectAllBtn);
 
   block.appendChild(header);
@@ -285,7 +431,7 @@ function createBlock(blockId, title, availableDigits, defaultDigits, t, requires
   digitsGrid.className = 'digits-grid';
   digitsGrid.dataset.blockId = blockId;
 
-  for (const digit of availableDigits) {
+  for (const digit of rule.digits) {
     const btn = document.createElement('button');
     btn.className = 'digit-btn';
     btn.textContent = digit;
@@ -293,7 +439,7 @@ function createBlock(blockId, title, availableDigits, defaultDigits, t, requires
     btn.dataset.blockId = blockId;
 
     // По умолчанию активны defaultDigits
-    if (defaultDigits.includes(digit)) {
+    if (rule.defaultDigits.includes(digit)) {
       btn.classList.add('active');
     }
 
@@ -304,8 +450,8 @@ function createBlock(blockId, title, availableDigits, defaultDigits, t, requires
   block.appendChild(digitsGrid);
 
   // Опции блока (только сложение / только вычитание)
-  // Показываем ТІЛЬКИ якщо showOnlyOptions = true
-  if (showOnlyOptions) {
+  // Показываем ТІЛЬКИ якщо правило их поддерживает (rule.directions)
+  if (rule.directions) {
     const options = document.createElement('div');
     options.className = 'block-options';
 
@@ -330,14 +476,25 @@ function createBlock(blockId, title, availableDigits, defaultDigits, t, requires
     block.appendChild(options);
   }
 
+  // Опции правила (разрядность операндов, режим остатка, частичные произведения...)
+  if (rule.options.length > 0) {
+    const options = document.createElement('div');
+    options.className = 'block-options';
+    for (const option of rule.options) {
+      options.appendChild(createRuleOption(blockId, option, t));
+    }
+    block.appendChild(options);
+  }
+
+  // Вес блока при смешивании (blendMode "example" / "step")
+  block.appendChild(createBlockNumberOption(blockId, 'weight', t.blockOptions.weight, 1, 0, 10));
+
   // Предупреждение для блоков, требующих 2+ разрядов
-  if (requiresMultipleDigits) {
+  if (rule.minRods > 1) {
     const note = document.createElement('div');
     note.className = 'block-note';
     const small = document.createElement('small');
-    small.textContent = blockId === 'friends'
-      ? t.warnings.friendsRequires2Digits
-      : t.warnings.mixRequires2Digits;
+    small.textContent = t.warnings.requiresRods.replace('{count}', rule.minRods);
     note.appendChild(small);
     block.appendChild(note);
   }
@@ -345,6 +502,83 @@ function createBlock(blockId, title, availableDigits, defaultDigits, t, requires
   return block;
 }
 
+/**
+ * Опция правила по описанию { id, type, value, min, max, choices, labels }
+ */
+function createRuleOption(blockId, option, t) {
+  const label = localLabel(option.labels, t.blockOptions[option.id] ?? option.id);
+
+  if (option.type === 'checkbox') {
+    return createBlockCheckboxOption(blockId, option.id, label, option.value);
+  }
+
+  if (option.type === 'select') {
+    const choices = option.choices.map(choice => ({
+      value: choice.value,
+      label: localLabel(choice.labels, t.blockOptions[choice.key] ?? String(choice.value))
+    }));
+    return createBlockSelectOption(blockId, option.id, label, choices, option.value);
+  }
+
+  return createBlockNumberOption(blockId, option.id, label, option.value, option.min, option.max);
+}
+
+/**
+ * Числовая опция блока (вес, разрядность множимого...)
+ */
+function createBlockNumberOption(blockId, option, label, value, min, max) {
+  const optionLabel = document.createElement('label');
+  optionLabel.className = 'block-weight';
+  optionLabel.appendChild(document.createTextNode(label + ' '));
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.min = min;
+  input.max = max;
+  input.value = value;
+  input.className = 'setting-input block-weight-input';
+  input.dataset.blockId = blockId;
+  input.dataset.option = option;
+  optionLabel.appendChild(input);
+  return optionLabel;
+}
+
+/**
+ * Опция-флажок блока (частичные произведения в ответах...)
+ */
+function createBlockCheckboxOption(blockId, option, label, checked) {
+  const optionLabel = document.createElement('label');
+  const input = document.createElement('input');
+  input.type = 'checkbox';
+  input.checked = checked;
+  input.dataset.blockId = blockId;
+  input.dataset.option = option;
+  optionLabel.appendChild(input);
+  optionLabel.appendChild(document.createTextNode(' ' + label));
+  return optionLabel;
+}
+
+/**
+ * Опция-список блока (режим остатка деления...)
+ */
+function createBlockSelectOption(blockId, option, label, options, defaultValue) {
+  const optionLabel = document.createElement('label');
+  optionLabel.className = 'block-weight';
+  optionLabel.appendChild(document.createTextNode(label + ' '));
+  const select = document.createElement('select');
+  select.className = 'setting-select';
+  select.dataset.blockId = blockId;
+  select.dataset.option = option;
+  for (const opt of options) {
+    const optionEl = document.createElement('option');
+    optionEl.value = opt.value;
+    optionEl.textContent = opt.label;
+    optionEl.selected = opt.value === defaultValue;
+    select.appendChild(optionEl);
+  }
+  optionLabel.appendChild(select);
+  return optionLabel;
+}
+
 /**
  * Переключение цифры
  */
@@ -414,6 +648,27 @@ function createNumberInput(id, label, defaultValue, min, max) {
   return item;
 }
 
+/**
+ * Создание чекбокса-настройки
+ */
+function createCheckbox(id, label, checked) {
+  const item = document.createElement('div');
+  item.className = 'setting-item';
+
+  const labelEl = document.createElement('label');
+  labelEl.className = 'checkbox-label';
+
+  const input = document.createElement('input');
+  input.type = 'checkbox';
+  input.id = id;
+  input.checked = checked;
+  labelEl.appendChild(input);
+  labelEl.appendChild(document.createTextNode(' ' + label));
+  item.appendChild(labelEl);
+
+  return item;
+}
+
 /**
  * Создание выпадающего списка
  */
@@ -483,11 +738,39 @@ function createResultSection(t) {
   // statsContainer.id = 'statistics-container';
   // section.appendChild(statsContainer);
 
+  // Контейнер для отчёта о покрытии формул
+  const coverageContainer = document.createElement('div');
+  coverageContainer.id = 'coverage-report';
+  section.appendChild(coverageContainer);
+
+  // Контейнер для предупреждения о разнообразии
+  const varietyContainer = document.createElement('div');
+  varietyContainer.id = 'variety-report';
+  section.appendChild(varietyContainer);
+
+  // Контейнер для предупреждения о распределении ответов
+  const answersContainer = document.createElement('div');
+  answersContainer.id = 'answers-report';
+  section.appendChild(answersContainer);
+
+  // Контейнер для сводки сложности листа
+  const difficultyContainer = document.createElement('div');
+  difficultyContainer.id = 'difficulty-report';
+  section.appendChild(difficultyContainer);
+
   // Контейнер для превью листа
   const previewContainer = document.createElement('div');
   previewContainer.id = 'worksheet-preview';
   section.appendChild(previewContainer);
 
+  // Контейнер для сценария диктанта (для чтения учителем)
+  const scriptContainer = document.createElement('div');
+  scriptContainer.id = 'dictation-script';
+  section.appendChild(scriptContainer);
+
+  // Диктант: темп и кнопки
+  section.appendChild(createDictationControls(t));
+
   // Контролы
   const controls = document.createElement('div');
   controls.className = 'print-controls';
@@ -530,6 +813,116 @@ function createResultSection(t) {
   return section;
 }
 
+/**
+ * Контролы диктанта: пауза между шагами, "диктовать"/"стоп", сценарий для учителя
+ */
+function createDictationControls(t) {
+  const controls = document.createElement('div');
+  controls.className = 'print-controls dictation-controls';
+
+  const controlsLeft = document.createElement('div');
+  controlsLeft.className = 'controls-left';
+  const paceItem = createNumberInput('dictationPace', t.dictation.pace, 2, 0.5, 10);
+  paceItem.querySelector('input').step = 0.5;
+  controlsLeft.appendChild(paceItem);
+  controls.appendChild(controlsLeft);
+
+  const controlsRight = document.createElement('div');
+  controlsRight.className = 'controls-right';
+
+  const dictateBtn = document.createElement('button');
+  dictateBtn.className = 'btn-primary';
+  dictateBtn.id = 'dictateBtn';
+  dictateBtn.textContent = t.dictation.dictate;
+  dictateBtn.onclick = () => {
+    if (currentDictation) {
+      stopDictation();
+    } else {
+      handleDictate(t);
+    }
+  };
+  controlsRight.appendChild(dictateBtn);
+
+  const scriptBtn = document.createElement('button');
+  scriptBtn.className = 'btn-secondary';
+  scriptBtn.textContent = t.dictation.script;
+  scriptBtn.onclick = () => showDictationScript(t);
+  controlsRight.appendChild(scriptBtn);
+
+  controls.appendChild(controlsRight);
+  return controls;
+}
+
+/**
+ * Диктант текущих примеров голосом; без синтеза речи - сценарий для учителя
+ */
+function handleDictate(t) {
+  if (!window.currentExamples) return;
+
+  const pace = parseFloat(document.getElementById('dictationPace').value);
+  if (!(pace >= 0.5 && pace <= 10)) {
+    alert(t.dictation.paceInvalid);
+    return;
+  }
+
+  const dictation = new Dictation({
+    language: currentLanguage,
+    words: t.dictation,
+    pause: pace
+  });
+
+  if (!dictation.isAvailable()) {
+    alert(t.dictation.unavailable);
+    showDictationScript(t);
+    return;
+  }
+
+  const dictateBtn = document.getElementById('dictateBtn');
+  currentDictation = dictation;
+  dictateBtn.textContent = t.dictation.stop;
+
+  dictation.dictate(window.currentExamples)
+    .catch(error => {
+      console.error("❌ Ошибка диктанта:", error);
+      alert(t.dictation.unavailable);
+      showDictationScript(t);
+    })
+    .finally(() => {
+      // Новый диктант мог уже начаться - кнопку сбрасывает только свой
+      if (currentDictation === dictation) {
+        currentDictation = null;
+        dictateBtn.textContent = t.dictation.dictate;
+      }
+    });
+}
+
+/**
+ * Остановить текущий диктант (если идёт)
+ */
+function stopDictation() {
+  if (currentDictation) {
+    currentDictation.stop();
+  }
+}
+
+/**
+ * Сценарий диктанта для учителя под превью листа
+ */
+function showDictationScript(t) {
+  if (!window.currentExamples) return;
+
+  const scriptContainer = document.getElementById('dictation-script');
+  scriptContainer.innerHTML = PrintFormatter.formatDictationScript(window.currentExamples, {
+    title: t.dictation.title,
+    answerLabel: t.dictation.answerLabel,
+    words: t.dictation,
+    locale: currentLanguage,
+    inWords: true,
+    remainderLabel: t.worksheet.remainderLabel
+  });
+  scriptContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
 /**
  * Обработка генерации примеров
  */
@@ -575,8 +968,25 @@ function handleGenerate(t) {
           examplesCount: settings.examplesCount,
           actionsCount: settings.actionsCount,
           digitCount: settings.digitCount,
+          decimalPlaces: settings.decimalPlaces,
+          negativeLimit: settings.negativeLimit,
           blocks: settings.blocks,
           combineLevels: settings.combineLevels,
+          blendMode: settings.blendMode,
+          techniqueSteps: settings.techniqueSteps,
+          start: settings.start,
+          forbiddenPatterns: settings.forbiddenPatterns,
+          digitProfile: settings.digitProfile,
+          formulaCoverage: settings.formulaCoverage,
+          sortByDifficulty: settings.sortByDifficulty,
+          uniqueExamples: settings.uniqueExamples,
+          maxSameAnswer: settings.maxSameAnswer,
+          maxSameFirstStep: settings.maxSameFirstStep,
+          answerSpread: settings.answerSpread,
+          answerRange: settings.answerRange,
+          answerParity: settings.answerParity,
+          totalRange: settings.totalRange,
+          seed: settings.seed,
           verbose: true,
           // Callback для отображения прогресса (для больших объемов)
           onProgress: (progress) => {
@@ -595,6 +1005,12 @@ function handleGenerate(t) {
         }
 
         // === 5. ОТОБРАЖЕНИЕ РЕЗУЛЬТАТОВ ===
+        // Запоминаем фактический seed листа (заданный или новый)
+        settings.usedSeed = generator.seed;
+        settings.coverage = generator.coverage;
+        settings.difficulty = generator.difficulty;
+        settings.variety = generator.variety;
+        settings.answers = generator.answers;
         displayResults(examples, settings, t);
 
         // Прокручиваем к результатам
@@ -618,6 +1034,41 @@ function handleGenerate(t) {
   }
 }
 
+/**
+ * Переход в режим флеш-анзан с текущими настройками.
+ * Экран генератора только скрывается, чтобы настройки сохранились
+ */
+function handleFlash(t, container) {
+  const settings = collectSettings();
+
+  const validation = validateSettings(settings, t);
+  if (!validation.valid) {
+    alert(validation.error);
+    return;
+  }
+
+  // Во флеш-анзан - только цепочки шагов (не умножение и деление)
+  const hasChainBlock = RuleRegistry.active(settings.blocks).some(rule => !rule.operation);
+  if (!hasChainBlock) {
+    alert(t.flash.noChainBlocks);
+    return;
+  }
+
+  const printScreen = container.querySelector('.print-screen');
+  const flashContainer = document.createElement('div');
+  container.appendChild(flashContainer);
+  printScreen.style.display = 'none';
+
+  renderFlashScreen(flashContainer, {
+    language: currentLanguage,
+    settings,
+    onExit: () => {
+      flashContainer.remove();
+      printScreen.style.display = '';
+    }
+  });
+}
+
 /**
  * Сбор настроек из UI
  */
@@ -625,13 +1076,68 @@ function collectSettings() {
   const examplesCount = parseInt(document.getElementById('examplesCount').value, 10);
   const actionsCount = parseInt(document.getElementById('actionsCount').value, 10);
   const digitCount = parseInt(document.getElementById('digitCount').value, 10);
+  const decimalPlaces = parseInt(document.getElementById('decimalPlaces').value, 10) || 0;
+  const negativeLimit = parseInt(document.getElementById('negativeLimit').value, 10) || 0;
+  const inWords = document.getElementById('numberForm').value === 'words';
+  const sortByDifficulty = document.getElementById('exampleOrder').value === 'difficulty';
+  const uniqueExamples = document.getElementById('uniqueExamples').checked;
+  const forbiddenPatterns = Object.keys(PATTERN_CHECKBOXES)
+    .filter(id => document.getElementById(id).checked)
+    .map(id => PATTERN_CHECKBOXES[id]);
   const worksheetTitle = document.getElementById('worksheetTitle').value.trim();
   const worksheetComment = document.getElementById('worksheetComment').value.trim();
+  const seed = document.getElementById('worksheetSeed').value.trim();
+  const blendMode = document.getElementById('blendMode').value;
+  const answerSpread = document.getElementById('answerSpread').value;
+  const answerParity = document.getElementById('answerParity').value || null;
+  const formulaCoverage = parseInt(document.getElementById('formulaCoverage').value, 10) || 0;
+
+  // Пустое поле квоты = null (по умолчанию правила)
+  const readOptionalInt = (id) => {
+    const value = document.getElementById(id).value.trim();
+    return value === '' ? null : parseInt(value, 10);
+  };
+  const techniqueSteps = {
+    min: readOptionalInt('minTechniqueSteps'),
+    max: readOptionalInt('maxTechniqueSteps')
+  };
+  const start = {
+    min: readOptionalInt('startMin'),
+    max: readOptionalInt('startMax')
+  };
+
+  // Профиль разрядности: ничего не задано = все числа полной разрядности
+  const digitProfile = {
+    first: readOptionalInt('firstNumberDigits'),
+    last: readOptionalInt('lastNumberDigits'),
+    weights: parseDigitWeights(document.getElementById('otherNumbersDigits').value)
+  };
+  const hasDigitProfile = digitProfile.first !== null || digitProfile.last !== null ||
+    digitProfile.weights === null || Object.keys(digitProfile.weights).length > 0;
+
+  // Диапазон ответов: пусто = без границы (дробные допускаются)
+  const readOptionalNumber = (id) => {
+    const value = document.getElementById(id).value.trim();
+    return value === '' ? null : parseFloat(value);
+  };
+  const answerRange = {
+    min: readOptionalNumber('answerMin'),
+    max: readOptionalNumber('answerMax')
+  };
+  const totalRange = {
+    min: readOptionalNumber('totalMin'),
+    max: readOptionalNumber('totalMax')
+  };
+
+  // Пустой лимит повторов = без ограничения (0)
+  const maxSameAnswer = readOptionalInt('maxSameAnswer') ?? 0;
+  const maxSameFirstStep = readOptionalInt('maxSameFirstStep') ?? 0;
 
   // Собираем блоки
   const blocks = {};
 
-  ['simple', 'brothers', 'friends', 'mix'].forEach(blockId => {
+  RuleRegistry.list().forEach(rule => {
+    const blockId = rule.id;
     const block = document.querySelector(`.block[data-block-id="${blockId}"]`);
     const activeButtons = block.querySelectorAll('.digit-btn.active');
     const digits = Array.from(activeButtons).map(btn => parseInt(btn.dataset.digit, 10));
@@ -643,24 +1149,79 @@ function collectSettings() {
     const onlyAddition = onlyAdditionEl ? onlyAdditionEl.checked : false;
     const onlySubtraction = onlySubtractionEl ? onlySubtractionEl.checked : false;
 
+    const weightEl = block.querySelector(`input[data-option="weight"]`);
+    const weight = weightEl ? parseFloat(weightEl.value) : 1;
+
     blocks[blockId] = {
       digits: digits,
       onlyAddition: onlyAddition,
-      onlySubtraction: onlySubtraction
+      onlySubtraction: onlySubtraction,
+      weight: Number.isFinite(weight) ? weight : 1
     };
+
+    // Опции правила: разрядность операндов, режим остатка, частичные произведения в ответах
+    for (const option of rule.options) {
+      const input = block.querySelector(`[data-option="${option.id}"]`);
+      blocks[blockId][option.id] = option.type === 'checkbox' ? input.checked
+        : option.type === 'number' ? parseFloat(input.value)
+        : input.value;
+    }
   });
 
   return {
     examplesCount,
     actionsCount,
     digitCount,
+    decimalPlaces,
+    negativeLimit,
+    inWords,
+    sortByDifficulty,
+    uniqueExamples,
+    maxSameAnswer,
+    maxSameFirstStep,
+    forbiddenPatterns,
+    digitProfile: hasDigitProfile ? digitProfile : null,
+    answerSpread,
+    answerRange,
+    answerParity,
+    totalRange,
     worksheetTitle,
     worksheetComment,
+    seed: seed || null,
+    blendMode,
+    techniqueSteps,
+    start,
+    formulaCoverage,
     blocks,
-    combineLevels: false // Пока отключено
+    combineLevels: false // Разная длина чисел задаётся профилем разрядности (digitProfile)
   };
 }
 
+/**
+ * Длины чисел с весами из поля профиля: "2" → { 2: 1 },
+ * "1:1, 2:3" → { 1: 1, 2: 3 }, "1, 2, 2" → { 1: 1, 2: 2 }
+ *
+ * @param {string} text - Текст поля
+ * @returns {Object<number, number>|null} Веса длин ({} - поле пустое) или null, если формат неверный
+ */
+function parseDigitWeights(text) {
+  const weights = {};
+
+  for (const part of text.split(',').map(item => item.trim()).filter(Boolean)) {
+    // Запятая разделяет длины, поэтому дробный вес - только через точку (1:1.5)
+    const match = part.match(/^(\d+)\s*(?::\s*(\d+(?:\.\d+)?))?$/);
+    if (!match) {
+      return null;
+    }
+
+    const length = parseInt(match[1], 10);
+    const weight = match[2] === undefined ? 1 : parseFloat(match[2]);
+    weights[length] = (weights[length] || 0) + weight;
+  }
+
+  return weights;
+}
+
 /**
  * Валидация настроек
  */
@@ -680,19 +1241,156 @@ function validateSettings(settings, t) {
     return { valid: false, error: t.errors.digitCountInvalid };
   }
 
+  // Проверка знаков после запятой (вместе с разрядностью - не больше 9 стержней)
+  if (
+    !Number.isInteger(settings.decimalPlaces) ||
+    settings.decimalPlaces < 0 ||
+    settings.decimalPlaces > 3 ||
+    settings.digitCount + settings.decimalPlaces > 9
+  ) {
+    return { valid: false, error: t.errors.decimalPlacesInvalid };
+  }
+
+  // Проверка границы ниже нуля (помещается в разрядность примера)
+  const maxNegative = Math.pow(10, settings.digitCount) - 1;
+  if (!Number.isInteger(settings.negativeLimit) || settings.negativeLimit < 0 || settings.negativeLimit > maxNegative) {
+    return { valid: false, error: t.errors.negativeLimitInvalid.replace('{max}', String(maxNegative)) };
+  }
+
+  // Проверка квоты технических шагов
+  const { min: minTechnique, max: maxTechnique } = settings.techniqueSteps;
+  const techniqueValues = [minTechnique, maxTechnique].filter(value => value !== null);
+  if (
+    techniqueValues.some(value => !Number.isInteger(value) || value < 0 || value > settings.actionsCount) ||
+    (minTechnique !== null && maxTechnique !== null && minTechnique > maxTechnique)
+  ) {
+    return { valid: false, error: t.errors.techniqueStepsInvalid };
+  }
+
+  // Проверка профиля разрядности: длины от 1 до разрядности примера, веса больше нуля
+  if (settings.digitProfile) {
+    const { first, last, weights } = settings.digitProfile;
+    const isLength = value => Number.isInteger(value) && value >= 1 && value <= settings.digitCount;
+
+    if (
+      weights === null ||
+      [first, last].some(value => value !== null && !isLength(value)) ||
+      Object.entries(weights).some(([length, weight]) => !isLength(Number(length)) || !(weight > 0))
+    ) {
+      return { valid: false, error: t.errors.digitProfileInvalid.replace('{max}', String(settings.digitCount)) };
+    }
+  }
+
+  // Проверка стартового числа (помещается в разрядность примера)
+  const { min: startMin, max: startMax } = settings.start;
+  const maxStart = Math.pow(10, settings.digitCount) - 1;
+  if (
+    [startMin, startMax].some(value => value !== null && (!Number.isInteger(value) || value < 0 || value > maxStart)) ||
+    (startMin !== null && startMax !== null && startMin > startMax)
+  ) {
+    return { valid: false, error: t.errors.startInvalid.replace('{max}', String(maxStart)) };
+  }
+
+  // Проверка лимитов повторов (0 = без ограничения)
+  if ([settings.maxSameAnswer, settings.maxSameFirstStep].some(value => !Number.isInteger(value) || value < 0 || value > 1000)) {
+    return { valid: false, error: t.errors.varietyLimitInvalid };
+  }
+
+  // Проверка диапазона ответов
+  const { min: answerMin, max: answerMax } = settings.answerRange;
+  if (
+    [answerMin, answerMax].some(value => value !== null && !Number.isFinite(value)) ||
+    (answerMin !== null && answerMax !== null && answerMin > answerMax)
+  ) {
+    return { valid: false, error: t.errors.answerRangeInvalid };
+  }
+
+  // Проверка границ промежуточных итогов: в пределах абакуса
+  // (от -negativeLimit до 10^разрядность), не пусто
+  const { min: totalMin, max: totalMax } = settings.totalRange;
+  const lowest = -settings.negativeLimit;
+  const highest = Math.pow(10, settings.digitCount) - Math.pow(10, -settings.decimalPlaces);
+  if (
+    [totalMin, totalMax].some(value => value !== null && !Number.isFinite(value)) ||
+    (totalMin !== null && totalMax !== null && totalMin > totalMax) ||
+    (totalMin !== null && totalMin > highest) ||
+    (totalMax !== null && totalMax < lowest)
+  ) {
+    return {
+      valid: false,
+      error: t.errors.totalRangeInvalid.replace('{min}', String(lowest)).replace('{max}', String(highest))
+    };
+  }
+
+  // Ответ и стартовое число - тоже итоги: должны попадать в границы итогов
+  if (
+    (totalMin !== null && answerMax !== null && answerMax < totalMin) ||
+    (totalMax !== null && answerMin !== null && answerMin > totalMax) ||
+    (totalMin !== null && settings.start.min !== null && settings.start.min < totalMin) ||
+    (totalMax !== null && settings.start.max !== null && settings.start.max > totalMax)
+  ) {
+    return { valid: false, error: t.errors.totalRangeConflict };
+  }
+
+  // Границы уже наименьшего шага: итог не может остаться в них после шага
+  const stepSize = minStepSize(settings);
+  if (totalMin !== null && totalMax !== null && stepSize !== null && totalMax - totalMin < stepSize) {
+    return { valid: false, error: t.errors.totalRangeTooNarrow.replace('{step}', String(stepSize)) };
+  }
+
   // Проверка что хотя бы один блок активен
   const hasActiveBlock = Object.values(settings.blocks).some(block => block.digits.length > 0);
   if (!hasActiveBlock) {
     return { valid: false, error: t.errors.noBlocksSelected };
   }
 
-  // Проверка для блоков "Друзі" и "Мікс" (требуют минимум 2 разряда)
-  if (settings.blocks.friends.digits.length > 0 && settings.digitCount < 2) {
-    return { valid: false, error: t.errors.friendsNeed2Digits };
+  // Требования блоков - из описаний правил в RuleRegistry
+  const activeRules = RuleRegistry.active(settings.blocks);
+
+  // Блоки с переносом (Друзі, Мікс) требуют минимум 2 разряда (дробные тоже считаются)
+  const rodsShort = activeRules.find(rule => settings.digitCount + settings.decimalPlaces < rule.minRods);
+  if (rodsShort) {
+    return {
+      valid: false,
+      error: t.errors.blockNeedsRods.replace('{block}', blockTitle(rodsShort, t)).replace('{count}', rodsShort.minRods)
+    };
+  }
+
+  // Ниже нуля уходят только блоки с переносом (заём за старший стержень)
+  if (settings.negativeLimit > 0 && !activeRules.some(rule => rule.carries)) {
+    const carryBlocks = RuleRegistry.list().filter(rule => rule.carries).map(rule => blockTitle(rule, t));
+    return { valid: false, error: t.errors.negativeNeedsCarry.replace('{blocks}', carryBlocks.join(', ')) };
+  }
+
+  // Опции блоков (разрядность множимого и делимого, режим остатка...)
+  for (const rule of activeRules) {
+    const problem = rule.validate(settings.blocks[rule.id], {
+      digitCount: settings.digitCount,
+      decimalPlaces: settings.decimalPlaces
+    });
+    if (problem) {
+      return { valid: false, error: t.errors[problem.error] ?? problem.message };
+    }
+  }
+
+  // Веса блоков при смешивании: хотя бы у одного активного блока больше нуля
+  if (settings.blendMode !== 'priority') {
+    const weights = activeRules.map(rule => settings.blocks[rule.id].weight);
+    if (weights.some(weight => !(weight >= 0)) || !weights.some(weight => weight > 0)) {
+      return { valid: false, error: t.errors.blendWeightsInvalid };
+    }
   }
 
-  if (settings.blocks.mix.digits.length > 0 && settings.digitCount < 2) {
-    return { valid: false, error: t.errors.mixNeed2Digits };
+  // Стартовое число - только из цифр, доступных правилу на стержне
+  const unusableStart = findUnusableStart(settings);
+  if (unusableStart) {
+    return {
+      valid: false,
+      error: t.errors.startNotUsable
+        .replace('{start}', unusableStart.start)
+        .replace('{block}', blockTitle(RuleRegistry.get(unusableStart.block), t))
+        .replace('{max}', unusableStart.maxDigit)
+    };
   }
 
   return { valid: true };
@@ -711,6 +1409,52 @@ function displayResults(examples, settings, t) {
   // const statsHtml = PrintFormatter.formatStatisticsBlock(examples);
   // statsContainer.innerHTML = statsHtml;
 
+  // === ПОКРЫТИЕ ФОРМУЛ ===
+  document.getElementById('coverage-report').innerHTML = PrintFormatter.formatCoverageBlock(
+    settings.coverage,
+    {
+      title: t.result.coverageTitle,
+      complete: t.result.coverageComplete,
+      incomplete: t.result.coverageIncomplete
+    }
+  );
+
+  // === РАЗНООБРАЗИЕ (предупреждение, если настройки дают мало разных примеров) ===
+  document.getElementById('variety-report').innerHTML = PrintFormatter.formatVarietyBlock(
+    settings.variety,
+    {
+      title: t.result.varietyTitle,
+      incomplete: t.result.varietyIncomplete,
+      distinct: t.result.varietyDistinct,
+      duplicates: t.result.varietyDuplicates,
+      sameAnswer: t.result.varietySameAnswer,
+      sameFirstStep: t.result.varietySameFirstStep
+    }
+  );
+
+  // === РАСПРЕДЕЛЕНИЕ ОТВЕТОВ (предупреждение, если часть ответов вне диапазона или чётности) ===
+  document.getElementById('answers-report').innerHTML = PrintFormatter.formatAnswersBlock(
+    settings.answers,
+    {
+      title: t.result.answersReportTitle,
+      incomplete: t.result.answersIncomplete,
+      range: t.result.answersRange,
+      distinct: t.result.answersDistinct
+    }
+  );
+
+  // === СЛОЖНОСТЬ ЛИСТА ===
+  document.getElementById('difficulty-report').innerHTML = PrintFormatter.formatDifficultyBlock(
+    settings.difficulty,
+    {
+      title: t.result.difficultyTitle,
+      average: t.result.difficultyAverage,
+      range: t.result.difficultyRange,
+      factors: t.result.difficultyFactors
+    },
+    currentLanguage
+  );
+
   // === ПРЕВЬЮ ЛИСТА ===
   const previewContainer = document.getElementById('worksheet-preview');
   const title = settings.worksheetTitle || t.worksheet.defaultTitle;
@@ -723,6 +1467,12 @@ function displayResults(examples, settings, t) {
     showAnswers: false,  // Ответы НЕ показываем в примерах
     title: title,
     comment: comment,
+    seed: settings.usedSeed,
+    seedLabel: t.worksheet.seedLabel,
+    remainderLabel: t.worksheet.remainderLabel,
+    locale: currentLanguage,
+    inWords: settings.inWords,
+    words: t.dictation,
     columns: 10,
     rows: Math.ceil(examples.length / 10)
   });
@@ -737,6 +1487,14 @@ function displayResults(examples, settings, t) {
     // Добавляем лист с ответами
     const answersHtml = PrintFormatter.formatAnswersSheet(examples, {
       title: t.result?.answersTitle || "Відповіді",
+      seed: settings.usedSeed,
+      seedLabel: t.worksheet.seedLabel,
+      remainderLabel: t.worksheet.remainderLabel,
+      showFormulas: true,  // Формулы технических шагов - подсказка учителю
+      showPartials: partialsOptions(settings),
+      showDifficulty: true,  // Оценка сложности - подсказка учителю
+      locale: currentLanguage,
+      inWords: settings.inWords,
       columns: 10,
       rows: Math.ceil(examples.length / 10)
     });
@@ -746,12 +1504,28 @@ function displayResults(examples, settings, t) {
 
   previewContainer.innerHTML = fullHtml;
 
+  // Диктант и сценарий относятся к прошлым примерам
+  stopDictation();
+  document.getElementById('dictation-script').innerHTML = '';
+
   // Сохраняем примеры для переключения ответов
   window.currentExamples = examples;
   window.currentSettings = settings;
   window.currentTranslations = t;
 }
 
+/**
+ * Частичные произведения в ответах - по блокам-операциям реестра
+ * (ключ - id правила, он же example.operation)
+ */
+function partialsOptions(settings) {
+  return Object.fromEntries(
+    RuleRegistry.list()
+      .filter(rule => rule.operation)
+      .map(rule => [rule.id, settings.blocks[rule.id]?.showPartials ?? false])
+  );
+}
+
 /**
  * Переключение отображения ответов
  */
@@ -767,6 +1541,12 @@ function toggleAnswers(showAnswers) {
     showAnswers: false,  // Ответы НЕ показываем в примерах
     title: title,
     comment: comment,
+    seed: window.currentSettings.usedSeed,
+    seedLabel: window.currentTranslations.worksheet.seedLabel,
+    remainderLabel: window.currentTranslations.worksheet.remainderLabel,
+    locale: currentLanguage,
+    inWords: window.currentSettings.inWords,
+    words: window.currentTranslations.dictation,
     columns: 10,
     rows: Math.ceil(window.currentExamples.length / 10)
   });
@@ -781,6 +1561,14 @@ function toggleAnswers(showAnswers) {
     // Добавляем лист с ответами
     const answersHtml = PrintFormatter.formatAnswersSheet(window.currentExamples, {
       title: window.currentTranslations.result?.answersTitle || "Відповіді",
+      seed: window.currentSettings.usedSeed,
+      seedLabel: window.currentTranslations.worksheet.seedLabel,
+      remainderLabel: window.currentTranslations.worksheet.remainderLabel,
+      showFormulas: true,  // Формулы технических шагов - подсказка учителю
+      showPartials: partialsOptions(window.currentSettings),
+      showDifficulty: true,  // Оценка сложности - подсказка учителю
+      locale: currentLanguage,
+      inWords: window.currentSettings.inWords,
       columns: 10,
       rows: Math.ceil(window.currentExamples.length / 10)
     });